@@ -0,0 +1,49 @@
+// auth.js - Authentication API Routes
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const { getAuthConfig, issueDevToken, requireUser } = require('../services/auth');
+
+/**
+ * GET /api/auth/me
+ * The signed-in user, as identified by the presented token or API key
+ */
+router.get('/auth/me', requireUser, (req, res) => {
+  if (!req.user) {
+    return res.json({ success: true, user: null, mode: getAuthConfig().mode });
+  }
+
+  res.json({ success: true, user: { id: req.user.id, method: req.user.method }, mode: getAuthConfig().mode });
+});
+
+/**
+ * POST /api/auth/dev-token
+ * Local development issuer (AUTH_DEV_ISSUER=true, never in production)
+ * Request body: { "userId": "string", "expiresIn": "8h" (optional) }
+ */
+router.post('/auth/dev-token', (req, res) => {
+  const { userId, expiresIn } = req.body || {};
+
+  if (!getAuthConfig().devIssuer) {
+    return res.status(404).json({ error: 'The development token issuer is disabled' });
+  }
+
+  if (typeof userId !== 'string' || !/^[A-Za-z0-9_.@-]{1,128}$/.test(userId)) {
+    return res.status(400).json({ error: 'userId must be 1-128 letters, digits or _ . @ -' });
+  }
+
+  try {
+    const token = issueDevToken(userId, { expiresIn: expiresIn || '8h' });
+    if (!token) {
+      return res.status(404).json({ error: 'The development token issuer is disabled when AUTH_JWT_PUBLIC_KEY is set' });
+    }
+
+    console.log(`🔑 Dev token issued for ${userId}`);
+    res.json({ success: true, token, tokenType: 'Bearer', userId });
+  } catch (error) {
+    res.status(400).json({ error: `Could not issue token: ${error.message}` });
+  }
+});
+
+module.exports = router;
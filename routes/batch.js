@@ -0,0 +1,146 @@
+// batch.js - Batch Form Filling API Routes
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+
+// Import services
+const { getBatchConfig, parseRows, checkRows, createBatchJob, getBatchJob } = require('../services/batchService');
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { getFileRecord, createDownloadLink } = require('../services/fileRegistry');
+const { requireUser, canAccess } = require('../services/auth');
+const { resolveLanguage } = require('../services/i18n');
+
+const BATCH_FORMATS = {
+  'text/csv': 'csv',
+  'application/vnd.ms-excel': 'csv',
+  'application/json': 'json'
+};
+
+// Row files are small and only parsed, so they stay in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getBatchConfig().maxBytes, files: 1 }
+});
+
+/**
+ * Parse an optional `file` upload, turning multer errors into 4xx responses
+ */
+const parseUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ error: `Upload rejected: ${error.message}` });
+  });
+};
+
+/**
+ * Format of an uploaded rows file, from its extension or MIME type
+ */
+const uploadFormat = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  return ['csv', 'json'].includes(extension) ? extension : BATCH_FORMATS[file.mimetype];
+};
+
+/**
+ * POST /api/batch
+ * Fill one form per row as a background job.
+ * JSON body: { "formId": "...", "rows": [{ <field name>: value }], "language": "hi" (optional) }
+ * or multipart: `formId`, `language` and a `file` (CSV with a header row of field names, or JSON rows)
+ */
+router.post('/batch', requireUser, parseUpload, async (req, res) => {
+  try {
+    const form = VERIFIED_GOVERNMENT_FORMS[req.body.formId];
+
+    if (!form) {
+      return res.status(404).json({ error: `Unknown form: ${req.body.formId}` });
+    }
+
+    let parsed;
+    if (req.file) {
+      const format = uploadFormat(req.file);
+      if (!format) {
+        return res.status(400).json({ error: 'Upload a .csv or .json file' });
+      }
+      parsed = parseRows(req.file.buffer, format);
+    } else {
+      parsed = checkRows(req.body.rows);
+    }
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const result = await createBatchJob(form, parsed.rows, {
+      userId: req.user?.id,
+      language: resolveLanguage(req.body.language) || 'en'
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: result.job.id,
+      status: result.job.status,
+      total: result.job.total,
+      ignoredColumns: result.job.ignoredColumns,
+      statusUrl: `/api/batch/${result.job.id}`
+    });
+
+  } catch (error) {
+    console.error('❌ Batch Create Error:', error);
+    res.status(500).json({ error: 'Failed to start batch' });
+  }
+});
+
+/**
+ * GET /api/batch/:jobId
+ * Progress and per-row results of a batch job; completed jobs include a signed link to the ZIP of PDFs
+ */
+router.get('/batch/:jobId', requireUser, async (req, res) => {
+  try {
+    const job = await getBatchJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    if (!canAccess(job.userId, req.user)) {
+      return res.status(403).json({ error: 'This batch belongs to another user' });
+    }
+
+    const record = job.fileId && await getFileRecord(job.fileId);
+    const link = record ? createDownloadLink(record) : null;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      formId: job.formId,
+      formVersion: job.formVersion,
+      status: job.status,
+      progress: {
+        total: job.total,
+        processed: job.processed,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        percent: Math.round((job.processed / job.total) * 100)
+      },
+      ignoredColumns: job.ignoredColumns,
+      rows: job.rows,
+      error: job.error,
+      downloadUrl: link?.url || null,
+      downloadUrlExpiresAt: link?.expiresAt || null,
+      fileExpiresAt: record?.expiresAt || null,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt
+    });
+
+  } catch (error) {
+    console.error('❌ Batch Status Error:', error);
+    res.status(500).json({ error: 'Failed to load batch job' });
+  }
+});
+
+module.exports = router;
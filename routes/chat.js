@@ -1,42 +1,49 @@
 // chat.js - Chat API Routes
 const express = require('express');
-const path = require('path');
 const router = express.Router();
 
 // Import services
 const { processUserMessage } = require('../services/aiService');
-const { getSession } = require('../services/sessionService');
-const { generateVerifiedPDF } = require('../services/pdfService');
+const { getSession, findSession, saveSession, withSessionLock, countSessions, SessionConflictError } = require('../services/sessionService');
+const { generateFormPDF, generateChecklistPDF } = require('../services/pdfService');
+const { buildChecklist } = require('../services/formBundles');
+const { listExporters, getExporter, writeExport } = require('../services/exportService');
+const { isFileId, allocateFile, registerFile, getFileRecord, readStoredFile, createDownloadLink, verifyDownloadLink } = require('../services/fileRegistry');
+const { requireUser, canAccess } = require('../services/auth');
+const { redactMessage } = require('../services/privacy');
 
 /**
  * POST /api/chat
  * Process user messages with LangChain
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireUser, async (req, res) => {
   try {
-    const { message, sessionId } = req.body;
-    const session = getSession(sessionId);
-    
-    console.log(`📨 LangChain Session ${session.id}: "${message}"`);
-    
-    const result = await processUserMessage(message, session);
-    
-    res.json({
-      success: true,
-      sessionId: session.id,
-      response: result,
-      sessionState: {
-        state: session.state,
-        currentForm: session.currentForm,
-        progress: session.verifiedFormStructure ? 
-          `${session.currentField}/${session.verifiedFormStructure.verified_fields.length}` : null,
-        formName: session.verifiedFormStructure?.name,
-        verified: !!session.verifiedFormStructure,
-        langchain: true
+    const { message, sessionId, language } = req.body;
+    
+    await withSessionLock(sessionId, async () => {
+      const session = await getSession(sessionId, req.user?.id);
+      
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
       }
+      
+      console.log(`📨 [${req.correlationId}] LangChain Session ${session.id}: "${redactMessage(session, message)}"`);
+      
+      const result = await processUserMessage(message, session, { correlationId: req.correlationId, language, userId: req.user?.id });
+      await saveSession(session);
+      
+      res.json({
+        success: true,
+        sessionId: session.id,
+        response: result,
+        sessionState: session.getSessionState()
+      });
     });
     
   } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
     console.error('❌ LangChain Chat Error:', error);
     res.status(500).json({
       success: false,
@@ -47,53 +54,266 @@ router.post('/chat', async (req, res) => {
 });
 
 /**
- * POST /api/generate-pdf
- * Generate a verified PDF from form data
+ * Write one Server-Sent Event
  */
-router.post('/generate-pdf', async (req, res) => {
-  try {
-    const { sessionId } = req.body;
-    const session = getSession(sessionId);
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * GET|POST /api/chat/stream
+ * Same as /api/chat, streamed as Server-Sent Events:
+ *   session (initial state) → token* (LLM deltas) → intent (parsed result) → session (updated state) → done
+ * GET takes ?message=&sessionId= (and ?access_token=) so browsers can use EventSource.
+ * Closing the connection cancels the LLM calls, and the message is dropped without saving the session.
+ */
+const streamChat = async (req, res) => {
+  const { message, sessionId, language } = req.method === 'GET' ? req.query : req.body;
+  
+  await withSessionLock(sessionId, async () => {
+    let session;
+    try {
+      session = await getSession(sessionId, req.user?.id);
+    } catch (error) {
+      console.error('❌ LangChain Stream Error:', error);
+      return res.status(500).json({ error: 'LangChain processing failed', message: error.message });
+    }
     
-    if (!session || session.state !== 'COMPLETE') {
-      return res.status(400).json({ error: 'Session not ready for PDF generation' });
+    if (!canAccess(session.userId, req.user)) {
+      return res.status(403).json({ error: 'This session belongs to another user' });
     }
     
-    const filename = `${session.currentForm}_langchain_${Date.now()}.pdf`;
-    const outputPath = path.join(__dirname, '..', 'downloads', filename);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    
+    try {
+      console.log(`📡 [${req.correlationId}] LangChain Stream Session ${session.id}: "${redactMessage(session, message)}"`);
+      sendEvent(res, 'session', { sessionId: session.id, sessionState: session.getSessionState() });
+    
+      const result = await processUserMessage(message, session, {
+        onToken: (token) => sendEvent(res, 'token', { delta: token }),
+        correlationId: req.correlationId,
+        language,
+        userId: req.user?.id,
+        signal: controller.signal
+      });
+      await saveSession(session);
+    
+      sendEvent(res, 'intent', { sessionId: session.id, response: result });
+      sendEvent(res, 'session', { sessionId: session.id, sessionState: session.getSessionState() });
+      sendEvent(res, 'done', { success: true });
+    
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`📴 [${req.correlationId}] Stream client disconnected, message for session ${session.id} dropped`);
+        return;
+      }
+      console.error('❌ LangChain Stream Error:', error);
+      sendEvent(res, 'error', { success: false, error: 'LangChain processing failed', message: error.message });
+    }
     
-    await generateVerifiedPDF(session.formData, session.verifiedFormStructure, outputPath);
+    res.end();
+  });
+};
+
+router.get('/chat/stream', requireUser, streamChat);
+router.post('/chat/stream', requireUser, streamChat);
+
+/**
+ * Encrypt and register a generated file, list it on the session and sign a download link
+ * @returns {Promise<Object>} - { fileId, filename, formId, formName, layout, downloadUrl, downloadUrlExpiresAt, fileExpiresAt }
+ */
+const storeGeneratedFile = async (session, file, { formId, formName, layout }) => {
+  const record = await registerFile(file, { userId: session.userId, sessionId: session.id, formId });
+  session.generatedFiles.push({ fileId: record.id, filename: record.downloadName, formId, layout, createdAt: record.createdAt, expiresAt: record.expiresAt });
+  
+  const link = createDownloadLink(record);
+  return {
+    fileId: record.id,
+    filename: record.downloadName,
+    formId,
+    formName,
+    layout,
+    downloadUrl: link.url,
+    downloadUrlExpiresAt: link.expiresAt,
+    fileExpiresAt: record.expiresAt
+  };
+};
+
+/**
+ * POST /api/generate-pdf
+ * Generate a verified PDF from form data.
+ * Sessions working through a form bundle get one PDF per form plus the combined checklist.
+ */
+router.post('/generate-pdf', requireUser, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
     
-    res.json({
-      success: true,
-      filename: filename,
-      downloadUrl: `/api/download/${filename}`,
-      formName: session.verifiedFormStructure.name,
-      verified: true,
-      langchain: true
+    await withSessionLock(sessionId, async () => {
+      const session = await findSession(sessionId);
+      
+      if (session && !canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+      
+      if (session?.state === 'REVIEW') {
+        return res.status(409).json({ error: 'Confirm the reviewed answers before generating the PDF' });
+      }
+      
+      if (!session || session.state !== 'COMPLETE' || !session.confirmedAt) {
+        return res.status(400).json({ error: 'Session not ready for PDF generation' });
+      }
+      
+      const current = { formId: session.currentForm, form: session.verifiedFormStructure, formData: session.formData, confirmedAt: session.confirmedAt };
+      const forms = session.bundle ? [...session.bundle.completed, current] : [current];
+      
+      const files = [];
+      for (const entry of forms) {
+        const file = allocateFile(`${entry.formId}_langchain_${Date.now()}.pdf`);
+        const { layout } = await generateFormPDF(entry.formId, entry.formData, entry.form, file.path, { language: session.language, confirmedAt: entry.confirmedAt });
+        files.push(await storeGeneratedFile(session, file, { formId: entry.formId, formName: entry.form.name, layout }));
+      }
+      
+      if (!session.bundle) {
+        await saveSession(session);
+        return res.json({ success: true, ...files[0], verified: true, langchain: true });
+      }
+      
+      const { definition } = session.bundle;
+      const file = allocateFile(`${definition.id}_checklist_${Date.now()}.pdf`);
+      const answers = Object.fromEntries(forms.map(entry => [entry.formId, entry.formData]));
+      await generateChecklistPDF(buildChecklist(definition, forms.map(entry => entry.form), answers), file.path);
+      const checklist = await storeGeneratedFile(session, file, { formId: definition.id, formName: definition.name, layout: 'checklist' });
+      await saveSession(session);
+      
+      res.json({
+        success: true,
+        bundle: session.getBundleProgress(),
+        files,
+        checklist,
+        verified: true,
+        langchain: true
+      });
     });
     
   } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('❌ PDF Generation Error:', error);
     res.status(500).json({ error: 'PDF generation failed' });
   }
 });
 
 /**
- * GET /api/download/:filename
- * Download a generated PDF file
+ * GET /api/export
+ * Available export formats
+ */
+router.get('/export', (req, res) => {
+  res.json({ success: true, formats: listExporters() });
+});
+
+/**
+ * POST /api/export/:format
+ * Export a completed form's answers as JSON, CSV, XML, DOCX or any registered format, with the
+ * same field order and labels as the PDF. Body: { "sessionId": "...", "formId": "..." (optional) };
+ * in a form bundle, formId picks one of the filled forms (default: the last one).
+ */
+router.post('/export/:format', requireUser, async (req, res) => {
+  try {
+    const { sessionId, formId } = req.body;
+    const exporter = getExporter(req.params.format);
+    
+    if (!exporter) {
+      return res.status(404).json({ error: `Unknown export format: ${req.params.format}`, formats: listExporters().map(item => item.format) });
+    }
+    
+    await withSessionLock(sessionId, async () => {
+      const session = await findSession(sessionId);
+      
+      if (session && !canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+      
+      if (session?.state === 'REVIEW') {
+        return res.status(409).json({ error: 'Confirm the reviewed answers before exporting' });
+      }
+      
+      if (!session || session.state !== 'COMPLETE' || !session.confirmedAt) {
+        return res.status(400).json({ error: 'Session not ready for export' });
+      }
+      
+      const current = { formId: session.currentForm, form: session.verifiedFormStructure, formData: session.formData, confirmedAt: session.confirmedAt };
+      const forms = session.bundle ? [...session.bundle.completed, current] : [current];
+      const entry = formId ? forms.find(candidate => candidate.formId === formId) : current;
+      
+      if (!entry) {
+        return res.status(404).json({ error: `Form ${formId} is not part of this session` });
+      }
+      
+      const file = allocateFile(`${entry.formId}_export_${Date.now()}.${exporter.extension}`, exporter.contentType);
+      await writeExport(req.params.format, entry.form, entry.formData, file.path, { language: session.language, confirmedAt: entry.confirmedAt });
+      const stored = await storeGeneratedFile(session, file, { formId: entry.formId, formName: entry.form.name, layout: req.params.format });
+      await saveSession(session);
+      
+      res.json({ success: true, format: req.params.format, ...stored });
+    });
+    
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Export Error:', error);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+/**
+ * GET /api/download/:fileId?expires=&signature=
+ * Download a generated PDF (or batch ZIP) through a signed, expiring link (from generate-pdf, the session's
+ * file list or a batch job).
+ * Files generated for a signed-in user are only served to that user; the link alone is enough for unowned files.
  */
-router.get('/download/:filename', async (req, res) => {
+router.get('/download/:fileId', async (req, res) => {
   try {
-    const filePath = path.join(__dirname, '..', 'downloads', req.params.filename);
-    await require('fs').promises.access(filePath);
+    if (!isFileId(req.params.fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+    
+    const record = await getFileRecord(req.params.fileId);
+    if (!record) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const link = verifyDownloadLink(record, req.query);
+    if (!link.valid) {
+      return res.status(link.status).json({ error: link.error });
+    }
+    // A user's file also needs their sign-in, so a leaked link alone can't download it
+    if (record.userId && !req.user) {
+      return res.status(401).json({ error: 'Sign in to download this file' });
+    }
+    if (req.user && !canAccess(record.userId, req.user)) {
+      return res.status(403).json({ error: 'This file belongs to another user' });
+    }
     
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${req.params.filename}"`);
+    const contents = await readStoredFile(record);
     
-    const fileStream = require('fs').createReadStream(filePath);
-    fileStream.pipe(res);
+    res.setHeader('Content-Type', record.contentType || 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${record.downloadName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(contents);
   } catch (error) {
+    console.error('❌ Download Error:', error);
     res.status(404).json({ error: 'File not found' });
   }
 });
@@ -102,13 +322,13 @@ router.get('/download/:filename', async (req, res) => {
  * GET /api/health
  * Health check endpoint
  */
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
   res.json({
     status: 'ok',
     version: 'LangChain V4.0',
     features: ['langchain_chains', 'verified_forms', 'bedrock_claude', 'conversation_memory'],
     verified_forms: Object.keys(require('../services/formsDatabase').VERIFIED_GOVERNMENT_FORMS),
-    sessions: require('../services/sessionService').sessions?.size || 0,
+    sessions: await countSessions().catch(() => 0),
     langchain: '✅ Enabled'
   });
 });
@@ -0,0 +1,85 @@
+// drafts.js - Saved Draft API Routes
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const { findDraftSession, listDrafts } = require('../services/draftService');
+const { askCurrentQuestion, showReview } = require('../services/aiService');
+const { saveSession, withSessionLock, SessionConflictError } = require('../services/sessionService');
+const { requireUser, canAccess } = require('../services/auth');
+const { t } = require('../services/i18n');
+
+/**
+ * GET /api/drafts
+ * The signed-in user's saved drafts, soonest to expire first
+ */
+router.get('/drafts', requireUser, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in to list your drafts' });
+    }
+
+    const drafts = (await listDrafts(req.user.id)).map(session => ({
+      resumeCode: session.draft.code,
+      sessionId: session.id,
+      savedAt: session.draft.savedAt,
+      sessionState: session.getSessionState()
+    }));
+
+    res.json({ success: true, drafts });
+
+  } catch (error) {
+    console.error('❌ Draft List Error:', error);
+    res.status(500).json({ error: 'Failed to list drafts' });
+  }
+});
+
+/**
+ * POST /api/drafts/:code/resume
+ * Continue a saved draft: returns its session ID, the question it stopped at and the recent conversation
+ */
+router.post('/drafts/:code/resume', requireUser, async (req, res) => {
+  try {
+    // Read again under the session's lock so the copy saved below is the latest one
+    const draft = await findDraftSession(req.params.code);
+
+    await withSessionLock(draft?.id, async () => {
+      const session = draft && await findDraftSession(req.params.code);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Resume code not found or expired' });
+      }
+
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This draft belongs to another user' });
+      }
+
+      // Re-ask the exact question the draft stopped at (or show the answers awaiting confirmation);
+      // completed drafts go back to the PDF step
+      const welcome = t(session.language, 'draft_resumed');
+      const response = askCurrentQuestion(session, welcome) || showReview(session, welcome) || {
+        intent: 'draft_resumed',
+        message: session.state === 'COMPLETE' ? `${welcome}\n\n${t(session.language, 'already_complete')}` : welcome
+      };
+      await saveSession(session);
+
+      res.json({
+        success: true,
+        sessionId: session.id,
+        resumeCode: session.draft.code,
+        response,
+        messages: await session.getTranscript(),
+        sessionState: session.getSessionState()
+      });
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Draft Resume Error:', error);
+    res.status(500).json({ error: 'Failed to resume draft' });
+  }
+});
+
+module.exports = router;
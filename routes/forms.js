@@ -0,0 +1,156 @@
+// forms.js - Forms Catalog API Routes
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const { VERIFIED_GOVERNMENT_FORMS, FORM_SCHEMA, getForm, getFormVersions } = require('../services/formsDatabase');
+const { listBundles, getBundle, buildChecklist } = require('../services/formBundles');
+const { saveForm, deleteForm, listAuditEntries } = require('../services/formsAdminService');
+const { requireAdmin } = require('../services/adminAuth');
+
+/**
+ * Send the result of a catalog edit
+ */
+const sendEditResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error, problems: result.problems });
+  }
+  res.status(successStatus).json(result);
+};
+
+/**
+ * GET /api/forms
+ * Summary of every form in the catalog
+ */
+router.get('/forms', (req, res) => {
+  const forms = Object.values(VERIFIED_GOVERNMENT_FORMS).map(form => ({
+    id: form.id,
+    name: form.name,
+    authority: form.authority,
+    form_number: form.form_number,
+    version: form.version,
+    last_verified: form.last_verified,
+    fields: form.verified_fields.length,
+    verified_fees: form.verified_fees,
+    verified_processing_time: form.verified_processing_time
+  }));
+
+  res.json({ success: true, count: forms.length, forms });
+});
+
+/**
+ * GET /api/forms/schema
+ * JSON Schema that form definitions are validated against
+ */
+router.get('/forms/schema', (req, res) => {
+  res.json(FORM_SCHEMA);
+});
+
+/**
+ * GET /api/forms/:formId
+ * Full definition: fields, documents, fees, processing time and version history.
+ * ?version=N returns an earlier version that is still pinned by sessions.
+ */
+router.get('/forms/:formId', (req, res) => {
+  const version = req.query.version !== undefined ? Number(req.query.version) : undefined;
+  const form = getForm(req.params.formId, version);
+
+  if (!form) {
+    return res.status(404).json({ error: 'Form not found' });
+  }
+
+  res.json({ success: true, form, loadedVersions: getFormVersions(req.params.formId) });
+});
+
+/**
+ * GET /api/bundles
+ * Form bundles: goals that need several forms, filled in order
+ */
+router.get('/bundles', (req, res) => {
+  const bundles = listBundles().map(bundle => ({
+    id: bundle.id,
+    name: bundle.name,
+    description: bundle.description,
+    goals: bundle.goals,
+    forms: bundle.forms.map(step => ({
+      formId: step.form_id,
+      name: VERIFIED_GOVERNMENT_FORMS[step.form_id].name,
+      dependsOn: step.depends_on || []
+    }))
+  }));
+
+  res.json({ success: true, count: bundles.length, bundles });
+});
+
+/**
+ * GET /api/bundles/:bundleId
+ * Full bundle definition with its combined checklist of fees, processing times and documents
+ */
+router.get('/bundles/:bundleId', (req, res) => {
+  const bundle = getBundle(req.params.bundleId);
+
+  if (!bundle) {
+    return res.status(404).json({ error: 'Bundle not found' });
+  }
+
+  const forms = bundle.forms.map(step => VERIFIED_GOVERNMENT_FORMS[step.form_id]);
+  res.json({ success: true, bundle, checklist: buildChecklist(bundle, forms) });
+});
+
+/**
+ * GET /api/forms/:formId/audit
+ * Catalog edits for a form, newest first (admin)
+ */
+router.get('/forms/:formId/audit', requireAdmin, async (req, res) => {
+  try {
+    const entries = await listAuditEntries({ formId: req.params.formId, limit: Number(req.query.limit) || 100 });
+    res.json({ success: true, formId: req.params.formId, entries });
+  } catch (error) {
+    console.error('❌ Audit Trail Error:', error);
+    res.status(500).json({ error: 'Failed to read the audit trail' });
+  }
+});
+
+/**
+ * POST /api/forms
+ * Add a form (admin). The body is the definition including `id`; the service assigns the version.
+ */
+router.post('/forms', requireAdmin, async (req, res) => {
+  try {
+    const result = await saveForm(req.body?.id, req.body, { actor: req.admin, correlationId: req.correlationId, create: true });
+    sendEditResult(res, result, 201);
+  } catch (error) {
+    console.error('❌ Form Create Error:', error);
+    res.status(500).json({ error: 'Failed to create form', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/forms/:formId
+ * Replace a form's definition (admin), publishing it as the next version
+ */
+router.put('/forms/:formId', requireAdmin, async (req, res) => {
+  try {
+    const result = await saveForm(req.params.formId, req.body, { actor: req.admin, correlationId: req.correlationId, create: false });
+    sendEditResult(res, result);
+  } catch (error) {
+    console.error('❌ Form Update Error:', error);
+    res.status(500).json({ error: 'Failed to update form', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/forms/:formId
+ * Remove a form from the catalog (admin); ?reason= is recorded in the audit trail
+ */
+router.delete('/forms/:formId', requireAdmin, async (req, res) => {
+  try {
+    const result = await deleteForm(req.params.formId, { actor: req.admin, correlationId: req.correlationId, reason: req.query.reason });
+    sendEditResult(res, result);
+  } catch (error) {
+    console.error('❌ Form Delete Error:', error);
+    res.status(500).json({ error: 'Failed to delete form', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// profiles.js - User Profile API Routes
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const { getProfile, deleteProfile } = require('../services/profileService');
+const { requireUser } = require('../services/auth');
+const { maskCanonicalValue } = require('../services/privacy');
+
+/**
+ * Only the signed-in user can read or delete their own profile
+ */
+const requireProfileOwner = (req, res, next) => {
+  if (!req.user || req.user.id !== req.params.userId) {
+    return res.status(403).json({ error: 'You can only access your own profile' });
+  }
+  next();
+};
+
+/**
+ * GET /api/profiles/:userId
+ * Saved profile values with the form and time each was saved from
+ */
+router.get('/profiles/:userId', requireUser, requireProfileOwner, async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.userId);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    // Sensitive values are masked; they are only ever shown in full on generated PDFs
+    const values = Object.entries(profile.values).map(([key, entry]) => [key, { ...entry, value: maskCanonicalValue(key, entry.value) }]);
+    res.json({ success: true, profile: { ...profile, values: Object.fromEntries(values) } });
+
+  } catch (error) {
+    console.error('❌ Profile Error:', error);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:userId
+ * Forget everything saved for a user
+ */
+router.delete('/profiles/:userId', requireUser, requireProfileOwner, async (req, res) => {
+  try {
+    if (!(await deleteProfile(req.params.userId))) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ success: true, userId: req.params.userId });
+
+  } catch (error) {
+    console.error('❌ Profile Delete Error:', error);
+    res.status(500).json({ error: 'Failed to delete profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+// session.js - Session API Routes
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+// Import services
+const { updateFieldValue, askCurrentQuestion } = require('../services/aiService');
+const { findSession, saveSession, withSessionLock, SessionConflictError } = require('../services/sessionService');
+const {
+  UPLOAD_TYPES, getDocumentConfig, addDocument, removeDocument, getDocumentChecklist, listDocumentSuggestions
+} = require('../services/documentService');
+const { listProfileChanges, resolveProfileConsent } = require('../services/profileService');
+const { getFileRecord, createDownloadLink } = require('../services/fileRegistry');
+const { saveDraft } = require('../services/draftService');
+const { requireUser, canAccess } = require('../services/auth');
+const { maskFieldValue, maskSuggestion, maskDocument } = require('../services/privacy');
+const { t } = require('../services/i18n');
+
+// Uploads are held in memory until the session is known, then written by the document service
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getDocumentConfig().maxBytes, files: 1 },
+  fileFilter: (req, file, callback) => callback(null, !!UPLOAD_TYPES[file.mimetype])
+});
+
+/**
+ * Parse a single `file` upload, turning multer errors into 4xx responses
+ */
+const parseUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ error: `Upload rejected: ${error.message}` });
+  });
+};
+
+/**
+ * PATCH /api/session/:sessionId/fields/:fieldName
+ * Edit a stored form value with the same validation as the chat flow
+ */
+router.patch('/session/:sessionId/fields/:fieldName', requireUser, async (req, res) => {
+  try {
+    await withSessionLock(req.params.sessionId, async () => {
+      const session = await findSession(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+
+      const result = await updateFieldValue(session, req.params.fieldName, req.body.value);
+
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await saveSession(session);
+
+      const field = session.verifiedFormStructure.verified_fields.find(candidate => candidate.name === result.field);
+      res.json({
+        success: true,
+        sessionId: session.id,
+        field: result.field,
+        value: maskFieldValue(field, result.value),
+        reopened: result.reopened,
+        violations: result.violations,
+        sessionState: session.getSessionState()
+      });
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Field Update Error:', error);
+    res.status(500).json({ error: 'Field update failed' });
+  }
+});
+
+/**
+ * GET /api/session/:sessionId/files
+ * PDFs generated for the session, each with a fresh signed download link
+ */
+router.get('/session/:sessionId/files', requireUser, async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!canAccess(session.userId, req.user)) {
+      return res.status(403).json({ error: 'This session belongs to another user' });
+    }
+
+    const files = [];
+    for (const file of session.generatedFiles) {
+      const record = file.fileId && await getFileRecord(file.fileId);
+      if (!record) continue;
+
+      const link = createDownloadLink(record);
+      files.push({ ...file, downloadUrl: link.url, downloadUrlExpiresAt: link.expiresAt });
+    }
+
+    res.json({ success: true, sessionId: session.id, files });
+
+  } catch (error) {
+    console.error('❌ File List Error:', error);
+    res.status(500).json({ error: 'Failed to list files' });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/profile
+ * Answer the save-to-profile question from a button instead of chat
+ * Request body: { "consent": true | false }
+ */
+router.post('/session/:sessionId/profile', requireUser, async (req, res) => {
+  try {
+    await withSessionLock(req.params.sessionId, async () => {
+      const session = await findSession(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+
+      if (!session.userId) {
+        return res.status(400).json({ error: 'Session is not linked to a user' });
+      }
+
+      if (typeof req.body.consent !== 'boolean') {
+        return res.status(400).json({ error: 'consent must be true or false' });
+      }
+
+      const pending = listProfileChanges(session);
+      const saved = await resolveProfileConsent(session, req.body.consent);
+      await saveSession(session);
+
+      res.json({
+        success: true,
+        sessionId: session.id,
+        saved,
+        skipped: pending.filter(change => !saved.includes(change.key)).map(change => change.key),
+        sessionState: session.getSessionState()
+      });
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Profile Consent Error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/draft
+ * Save the session as a draft and get a resume code; saving again keeps the code and extends the expiry
+ */
+router.post('/session/:sessionId/draft', requireUser, async (req, res) => {
+  try {
+    await withSessionLock(req.params.sessionId, async () => {
+      const session = await findSession(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+
+      const result = await saveDraft(session);
+
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(201).json({
+        success: true,
+        sessionId: session.id,
+        resumeCode: result.draft.code,
+        expiresAt: result.draft.expiresAt,
+        message: t(session.language, 'draft_saved', { code: result.draft.code, date: result.draft.expiresAt.slice(0, 10) }),
+        sessionState: session.getSessionState()
+      });
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Draft Save Error:', error);
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/documents
+ * Upload an ID document (multipart `file`: JPEG, PNG, WebP, TIFF or PDF).
+ * Optional fields: `documentType` (aadhaar, pan_card, ...) and `checklistItem` (index or text of a verified document).
+ */
+router.post('/session/:sessionId/documents', requireUser, parseUpload, async (req, res) => {
+  try {
+    await withSessionLock(req.params.sessionId, async () => {
+      const session = await findSession(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: `Upload a file in the "file" field (${Object.keys(UPLOAD_TYPES).join(', ')})` });
+      }
+
+      const document = await addDocument(session, req.file, {
+        documentType: req.body.documentType,
+        checklistItem: req.body.checklistItem
+      });
+
+      // The question being asked may now have a value to confirm
+      const response = askCurrentQuestion(session, t(session.language, 'document_read', { document: document.label }));
+
+      await saveSession(session);
+
+      res.status(201).json({
+        success: true,
+        sessionId: session.id,
+        document: maskDocument(document),
+        suggestions: listDocumentSuggestions(session).map(suggestion => maskSuggestion(session.verifiedFormStructure, suggestion)),
+        checklist: getDocumentChecklist(session),
+        response,
+        sessionState: session.getSessionState()
+      });
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Document Upload Error:', error);
+    res.status(500).json({ error: 'Document upload failed' });
+  }
+});
+
+/**
+ * GET /api/session/:sessionId/documents
+ * Uploaded documents, the form's document checklist and pending autofill suggestions
+ */
+router.get('/session/:sessionId/documents', requireUser, async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!canAccess(session.userId, req.user)) {
+      return res.status(403).json({ error: 'This session belongs to another user' });
+    }
+
+    res.json({
+      success: true,
+      sessionId: session.id,
+      documents: session.documents.map(maskDocument),
+      checklist: getDocumentChecklist(session),
+      suggestions: listDocumentSuggestions(session).map(suggestion => maskSuggestion(session.verifiedFormStructure, suggestion))
+    });
+
+  } catch (error) {
+    console.error('❌ Document List Error:', error);
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
+
+/**
+ * DELETE /api/session/:sessionId/documents/:documentId
+ * Remove an uploaded document and its file
+ */
+router.delete('/session/:sessionId/documents/:documentId', requireUser, async (req, res) => {
+  try {
+    await withSessionLock(req.params.sessionId, async () => {
+      const session = await findSession(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccess(session.userId, req.user)) {
+        return res.status(403).json({ error: 'This session belongs to another user' });
+      }
+
+      if (!(await removeDocument(session, req.params.documentId))) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      await saveSession(session);
+
+      res.json({
+        success: true,
+        sessionId: session.id,
+        checklist: getDocumentChecklist(session)
+      });
+    });
+
+  } catch (error) {
+    if (error instanceof SessionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Document Delete Error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
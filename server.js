@@ -2,14 +2,22 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const path = require('path');
 
 // Load environment variables
 dotenv.config();
 
 // Import services
 const { ensureDownloadsDir } = require('./services/pdfService');
-const { cleanupSessions } = require('./services/sessionService');
+const { cleanupSessions, getSessionLifetimeConfig } = require('./services/sessionService');
+const { cleanupExpiredDrafts } = require('./services/draftService');
+const { cleanupOrphanedUploads } = require('./services/documentService');
+const { cleanupExpiredBatches, failInterruptedBatches } = require('./services/batchService');
+const { correlationMiddleware, getTelemetryConfig } = require('./services/telemetry');
+const { VERIFIED_GOVERNMENT_FORMS, getFormsDir, watchFormsCatalog } = require('./services/formsDatabase');
+const { VERIFIED_FORM_BUNDLES, getBundlesDir } = require('./services/formBundles');
+const { loadKnowledgeBase, getKnowledgeConfig } = require('./services/knowledgeBase');
+const { authenticate, getAuthConfig } = require('./services/auth');
+const { cleanupExpiredFiles, getDownloadConfig } = require('./services/fileRegistry');
 
 // Initialize Express app
 const app = express();
@@ -18,15 +26,28 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors({ origin: process.env.FRONTEND_URL || 'http://localhost:3000', credentials: true }));
 app.use(express.json());
-app.use('/api/downloads', express.static(path.join(__dirname, 'downloads')));
+app.use(correlationMiddleware);
+app.use(authenticate);
 
 // Import and use routes
 const chatRoutes = require('./routes/chat');
+const sessionRoutes = require('./routes/session');
+const formsRoutes = require('./routes/forms');
+const profileRoutes = require('./routes/profiles');
+const authRoutes = require('./routes/auth');
+const draftRoutes = require('./routes/drafts');
+const batchRoutes = require('./routes/batch');
 app.use('/api', chatRoutes);
+app.use('/api', sessionRoutes);
+app.use('/api', formsRoutes);
+app.use('/api', profileRoutes);
+app.use('/api', authRoutes);
+app.use('/api', draftRoutes);
+app.use('/api', batchRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('❌ Server Error:', err);
+  console.error(`❌ Server Error [${req.correlationId}]:`, err);
   res.status(500).json({ 
     error: 'Internal Server Error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
@@ -39,30 +60,64 @@ async function startServer() {
     // Ensure downloads directory exists
     await ensureDownloadsDir();
     
+    // Batch jobs a stopped process had queued or was running can't resume (their rows were in memory)
+    failInterruptedBatches().catch(error => console.error('❌ Batch recovery failed:', error));
+    
+    // Pick up form definition edits without a restart
+    const hotReload = process.env.FORMS_HOT_RELOAD !== 'false';
+    if (hotReload) watchFormsCatalog();
+    
+    // Index the guidance documents for mid-form questions; a failed build is retried on the first question
+    loadKnowledgeBase()
+      .then(({ passages, files }) => console.log(`📚 Knowledge Base: ${passages} passages from ${files} files (${getKnowledgeConfig().embeddings} embeddings)`))
+      .catch(error => console.error('❌ Knowledge base indexing failed:', error.message));
+    
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 IntelliForm AI LangChain V4.0 running on port ${PORT}`);
       console.log(`🦜 LangChain: Fully Enabled with Bedrock Claude`);
-      console.log(`✅ Verified Forms: ${Object.keys(require('./services/formsDatabase').VERIFIED_GOVERNMENT_FORMS).length}`);
-      console.log(`🧠 Memory: Conversation Buffer Memory`);
+      console.log(`✅ Verified Forms: ${Object.keys(VERIFIED_GOVERNMENT_FORMS).length} from ${getFormsDir()} (hot reload ${hotReload ? 'on' : 'off'})`);
+      console.log(`📦 Form Bundles: ${Object.keys(VERIFIED_FORM_BUNDLES).length} from ${getBundlesDir()}`);
+      console.log(`🧠 Memory: Conversation Buffer Memory (${process.env.SESSION_STORE || 'memory'} store)`);
       console.log(`🔗 Chains: Form Discovery + Field Validation`);
+      const auth = getAuthConfig();
+      const issuers = [auth.publicKey || auth.secret ? 'JWT' : null, auth.apiKeys.length ? `${auth.apiKeys.length} API keys` : null, auth.devIssuer ? 'dev issuer' : null].filter(Boolean);
+      console.log(`🔐 Auth: ${auth.mode}${issuers.length ? ` (${issuers.join(', ')})` : ' - no issuer configured, set AUTH_JWT_SECRET, USER_API_KEYS or AUTH_DEV_ISSUER'}`);
+      console.log(`🔭 Tracing: Langfuse ${getTelemetryConfig().langfuse.enabled ? 'on' : 'off'}, spans → ${getTelemetryConfig().exporter}`);
       console.log(`📄 PDF Generation: LangChain Verified`);
       console.log(`🎯 Ready for production LangChain workflows!`);
     });
     
-    // Set up session cleanup interval (every 6 hours)
+    // Set up session cleanup interval (every 6 hours); saved drafts are kept until DRAFT_TTL_MS.
+    // Uploaded documents go with their session
     setInterval(() => {
-      cleanupSessions(6 * 60 * 60 * 1000);
+      cleanupSessions(getSessionLifetimeConfig().ttl)
+        .then(() => cleanupOrphanedUploads())
+        .then(() => cleanupExpiredDrafts())
+        .catch(error => {
+          console.error('❌ Session cleanup failed:', error);
+        });
     }, 6 * 60 * 60 * 1000);
     
+    // Delete generated PDFs and batch jobs after FILE_RETENTION_MS (checked at least hourly, at most every minute)
+    setInterval(() => {
+      cleanupExpiredFiles().then(() => cleanupExpiredBatches()).catch(error => {
+        console.error('❌ File retention cleanup failed:', error);
+      });
+    }, Math.max(Math.min(getDownloadConfig().retention, 60 * 60 * 1000), 60 * 1000));
+    
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
   }
 }
 
-// Start the server
-startServer();
+// Start the server when run directly; tests load the app and listen on their own port
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
 
 // Error handling for uncaught exceptions
 process.on('uncaughtException', (error) => {
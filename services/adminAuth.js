@@ -0,0 +1,72 @@
+// adminAuth.js - Admin API Key Authentication
+const crypto = require('crypto');
+
+/**
+ * Parse a comma-separated list of "name:key" pairs (a bare key gets the default name)
+ * @returns {Array<Object>} - [{ name, key }]
+ */
+function parseApiKeys(value, defaultName) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator === -1 ? { name: defaultName, key: entry } : { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    })
+    .filter(entry => entry.key);
+}
+
+/**
+ * Admin keys from ADMIN_API_KEYS: comma-separated "name:key" pairs.
+ * The name identifies the operator in audit entries.
+ * @returns {Array<Object>} - [{ name, key }]
+ */
+const getAdminKeys = () => parseApiKeys(process.env.ADMIN_API_KEYS, 'admin');
+
+// Compare digests so the check takes the same time whatever the input
+const sameKey = (expected, provided) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(expected).digest(),
+  crypto.createHash('sha256').update(provided).digest()
+);
+
+/**
+ * Key presented with a request: Authorization: Bearer <key> or X-API-Key
+ */
+const getPresentedKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+};
+
+/**
+ * Entry whose key matches the presented one
+ */
+const findKey = (keys, provided) => (provided ? keys.find(entry => sameKey(entry.key, provided)) : undefined);
+
+/**
+ * Express middleware requiring an admin key (Authorization: Bearer <key> or X-API-Key)
+ * Sets req.admin to the key's name.
+ */
+function requireAdmin(req, res, next) {
+  const keys = getAdminKeys();
+  if (keys.length === 0) {
+    return res.status(503).json({ error: 'Administration is disabled (ADMIN_API_KEYS is not set)' });
+  }
+
+  const match = findKey(keys, getPresentedKey(req));
+
+  if (!match) {
+    return res.status(401).json({ error: 'A valid admin API key is required' });
+  }
+
+  req.admin = match.name;
+  next();
+}
+
+module.exports = {
+  parseApiKeys,
+  getPresentedKey,
+  findKey,
+  getAdminKeys,
+  requireAdmin
+};
@@ -1,32 +1,31 @@
 // aiService.js - LangChain Implementation
-const { BedrockChat } = require('@langchain/community/chat_models/bedrock');
-const { CallbackHandler } = require('langfuse-langchain');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
 const { RunnableSequence, RunnableLambda } = require('@langchain/core/runnables');
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+
+const { createLLM } = require('./llmProviders');
+const { startSpan, createTracingCallbacks } = require('./telemetry');
 
 // Import verified forms database
 const { VERIFIED_GOVERNMENT_FORMS } = require('./formsDatabase');
-
-// Initialize Langfuse callback handler
-const langfuseHandler = new CallbackHandler({
-  publicKey: "pk-lf-61036817-ccbe-4989-a7aa-22f35dd3b9d7",
-  secretKey: "sk-lf-53e62775-c833-4471-a4c1-5c3d60b35bf5",
-  baseUrl: "https://cloud.langfuse.com",
-});
+const { getBundle, listBundles, carryForwardValues, buildChecklist } = require('./formBundles');
+const { validateFieldInput, formatCurrency } = require('./validators');
+const { applyFormDefaults, checkFormRules } = require('./formRules');
+const { assessApplication } = require('./feeCalculator');
+const { isFieldApplicable, isFieldRequired, getApplicableFields, nextApplicableIndex, previousApplicableIndex, findMissingField } = require('./fieldConditions');
+const { parseNavigationCommand, parseConfirmation, looksLikeSeveralAnswers, findFieldByReference, fieldLabel, reopenField, reopenMissingField } = require('./navigationService');
+const { findDocumentSuggestion } = require('./documentService');
+const { searchKnowledge, endsWithQuestionMark, isQuestion } = require('./knowledgeBase');
+const { isValidUserId, loadProfileIntoSession, findProfileSuggestion, offerProfileUpdate, resolveProfileConsent } = require('./profileService');
+const { maskFieldValue, maskFormData, maskSuggestion, redactDeep, redactMessage, sensitiveValues, sensitiveMessageParts } = require('./privacy');
+const { LANGUAGES, detectLanguage, hasNonLatinLetters, normalizeDigits, resolveLanguage, parseLanguageCommand, getFieldQuestion, t } = require('./i18n');
 
 /**
- * Initialize the LangChain LLM with AWS Bedrock Claude
+ * Initialize the LangChain LLM from the configured provider (LLM_PROVIDER, default Bedrock Claude)
  */
 const initLLM = () => {
-  return new BedrockChat({
-    model: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0',
-    region: process.env.AWS_REGION || 'us-east-2',
-    maxTokens: 2000,
-    temperature: 0.1,
-    streaming: true,
-    callbacks: [langfuseHandler],
-  });
+  return createLLM();
 };
 
 /**
@@ -38,6 +37,9 @@ You are IntelliForm AI, a specialized government form assistant with access to v
 VERIFIED FORMS DATABASE:
 {verified_forms_list}
 
+VERIFIED FORM BUNDLES (goals that need several forms, filled in this order):
+{verified_bundles_list}
+
 USER REQUEST: "{user_input}"
 
 CONVERSATION CONTEXT:
@@ -48,16 +50,23 @@ CURRENT SESSION STATE:
 - Current Form: {current_form}
 - Progress: {progress}
 
+RESPONSE LANGUAGE: {response_language}
+
 INSTRUCTIONS:
 1. ONLY recommend forms that exist in the VERIFIED FORMS DATABASE above
 2. If user asks for a form NOT in the database, suggest the closest verified alternative
 3. Always validate form requirements against the verified data
 4. Be specific about which verified form matches their request
+5. The user may write in any Indian language or mix it with English; understand the request either way
+6. Write "message" in the RESPONSE LANGUAGE
+7. If the request is a goal that needs several forms and matches a bundle, set "matched_bundle_id" to the bundle ID
+   and "matched_form_id" to its first form; otherwise "matched_bundle_id" is null
 
 RESPONSE FORMAT (JSON only):
 {{
   "intent": "form_discovery|clarification_needed",
   "matched_form_id": "exact_id_from_verified_database_or_null",
+  "matched_bundle_id": "exact_id_from_verified_bundles_or_null",
   "confidence": 0.0-1.0,
   "message": "response to user",
   "form_name": "human readable form name if matched"
@@ -68,6 +77,8 @@ Examples:
 - "GST registration" → "gst_registration"
 - "Company registration" → "company_registration"
 - "Trademark registration" → null (not in verified database, suggest alternatives)
+- "मुझे पैन कार्ड चाहिए" → "pan_card_application"
+- "I want to open a restaurant company" → bundle "restaurant_company"
 
 Respond with ONLY the JSON, no other text.
 `);
@@ -79,6 +90,7 @@ FORM: {form_name}
 FIELD: {field_name}
 FIELD TYPE: {field_type}
 REQUIRED: {field_required}
+USER LANGUAGE: {language}
 USER INPUT: "{user_input}"
 
 {field_options}
@@ -87,7 +99,11 @@ INSTRUCTIONS:
 1. Check if the user input is appropriate for this field type
 2. For choice fields, check if input matches one of the valid options
 3. For email/phone, basic format validation
-4. Return validation result as JSON
+4. The input may be in any Indian language or script. "cleaned_value" is the official value and must be in English/Latin script:
+   transliterate names, places and addresses (e.g. "राहुल शर्मा" → "Rahul Sharma"), translate other answers,
+   and for choice fields return the exact matching OPTION
+5. Write "error_message" in the USER LANGUAGE
+6. Return validation result as JSON
 
 RESPONSE FORMAT (JSON only):
 {{
@@ -99,6 +115,76 @@ RESPONSE FORMAT (JSON only):
 Respond with ONLY the JSON, no other text.
 `);
 
+const FIELD_EXTRACTION_PROMPT = PromptTemplate.fromTemplate(`
+You are reading a message from someone filling in a government form and picking out every answer it contains.
+
+FORM: {form_name}
+QUESTION BEING ASKED: {current_field}
+USER LANGUAGE: {language}
+USER MESSAGE: "{user_input}"
+
+{fields_heading}:
+{remaining_fields}
+
+INSTRUCTIONS:
+1. Only include fields the message clearly answers; never guess or invent values
+2. Use the exact field names listed above
+3. Values must be in English/Latin script: transliterate names and addresses, keep numbers and dates as written,
+   and for choice fields return the exact matching OPTION
+4. If the message only answers the question being asked, return just that field
+
+RESPONSE FORMAT (JSON only):
+{{
+  "values": {{ "field_name": "value" }}
+}}
+
+Respond with ONLY the JSON, no other text.
+`);
+
+const KNOWLEDGE_QUERY_PROMPT = PromptTemplate.fromTemplate(`
+Decide whether a message from someone filling in a government form asks about the form or its requirements,
+or answers the question being asked ("May Anne Thomas" is a name, "Do catering for events" is an activity).
+Rewrite a question as a short English search query.
+
+FORM: {form_name}
+QUESTION BEING ASKED ON THE FORM: {current_field}
+USER QUESTION: "{user_input}"
+
+RESPONSE FORMAT (JSON only):
+{{
+  "is_question": true/false,
+  "query": "english search query, or null for an answer"
+}}
+
+Respond with ONLY the JSON, no other text.
+`);
+
+const KNOWLEDGE_ANSWER_PROMPT = PromptTemplate.fromTemplate(`
+You are IntelliForm AI. Someone filling in a government form asked a question instead of answering.
+
+FORM: {form_name}
+QUESTION BEING ASKED ON THE FORM: {current_field}
+USER LANGUAGE: {language}
+USER QUESTION: "{user_input}"
+
+VERIFIED GUIDANCE (most relevant first):
+{guidance}
+
+INSTRUCTIONS:
+1. Answer ONLY from the VERIFIED GUIDANCE; never add fees, rules or documents it doesn't mention
+2. If the guidance doesn't answer the question, set "grounded" to false
+3. Keep the answer to 2-4 sentences and write it in the USER LANGUAGE
+4. Don't answer the form's question on the user's behalf
+
+RESPONSE FORMAT (JSON only):
+{{
+  "grounded": true/false,
+  "answer": "answer to the user's question, or null"
+}}
+
+Respond with ONLY the JSON, no other text.
+`);
+
 /**
  * LangChain Helper Functions
  */
@@ -130,10 +216,14 @@ const addFormContext = RunnableLambda.from((input) => {
   const verifiedFormsList = Object.entries(VERIFIED_GOVERNMENT_FORMS)
     .map(([id, form]) => `${id}: ${form.name} (${form.authority})`)
     .join('\n');
+  const verifiedBundlesList = listBundles()
+    .map(bundle => `${bundle.id}: ${bundle.name} - ${bundle.forms.map(step => step.form_id).join(' → ')} (e.g. "${bundle.goals.join('", "')}")`)
+    .join('\n') || 'none';
     
   return {
     ...input,
-    verified_forms_list: verifiedFormsList
+    verified_forms_list: verifiedFormsList,
+    verified_bundles_list: verifiedBundlesList
   };
 });
 
@@ -159,184 +249,1034 @@ const createFieldValidationChain = (llm) => {
   ]);
 };
 
+const createFieldExtractionChain = (llm) => {
+  return RunnableSequence.from([
+    FIELD_EXTRACTION_PROMPT,
+    llm,
+    new StringOutputParser(),
+    parseJSONOutput
+  ]);
+};
+
+const createKnowledgeQueryChain = (llm) => {
+  return RunnableSequence.from([
+    KNOWLEDGE_QUERY_PROMPT,
+    llm,
+    new StringOutputParser(),
+    parseJSONOutput
+  ]);
+};
+
+const createKnowledgeAnswerChain = (llm) => {
+  return RunnableSequence.from([
+    KNOWLEDGE_ANSWER_PROMPT,
+    llm,
+    new StringOutputParser(),
+    parseJSONOutput
+  ]);
+};
+
 /**
- * Process user message with LangChain
+ * Field Collection Helpers
  */
-const processUserMessage = async (userMessage, session) => {
-  try {
-    await session.addMessage('user', userMessage);
-    
-    // Initialize LLM and chains
-    const llm = initLLM();
-    const formDiscoveryChain = createFormDiscoveryChain(llm);
-    const fieldValidationChain = createFieldValidationChain(llm);
+
+/**
+ * Validate a value for a field, using LangChain for complex fields.
+ * Answers written in an Indian script are first normalized (transliterated/translated) by the chain.
+ * @param {Object} field - Field definition
+ * @param {string} userInput - Raw value
+ * @param {LangChainSession} session - Current session
+ * @param {RunnableSequence} fieldValidationChain - Optional pre-built validation chain
+ * @param {Object} runConfig - Optional LangChain run config (streaming callbacks)
+ * @returns {Promise<Object>} - { valid, value, error }
+ */
+const validateFieldValue = async (field, userInput, session, fieldValidationChain, runConfig) => {
+  const required = isFieldRequired(field, session.formData);
+  const input = normalizeDigits(userInput);
+
+  if (field.type !== 'complex' && !hasNonLatinLetters(input)) {
+    return validateFieldInput({ ...field, required }, input);
+  }
+
+  const chain = fieldValidationChain || createFieldValidationChain(initLLM());
+  const fieldOptions = field.options ? 
+    `OPTIONS: ${JSON.stringify(field.options)}` : '';
     
-    if (session.state === 'INIT' || session.state === 'FORM_DISCOVERY') {
-      // Form Discovery Phase
-      console.log('🦜 LangChain Form Discovery...');
+  const validationResult = await chain.invoke({
+    form_name: session.verifiedFormStructure.name,
+    field_name: field.name,
+    field_type: field.type,
+    field_required: required,
+    language: LANGUAGES[session.language].name,
+    user_input: input,
+    field_options: fieldOptions
+  }, runConfig);
+
+  // Normalized values still go through the field's format checks
+  if (field.type !== 'complex' && validationResult.valid) {
+    return validateFieldInput({ ...field, required }, normalizeDigits(validationResult.cleaned_value));
+  }
+
+  return {
+    valid: !!validationResult.valid,
+    value: validationResult.cleaned_value,
+    error: validationResult.error_message
+  };
+};
+
+/**
+ * Value the user can confirm instead of typing: their saved profile first, then uploaded documents
+ */
+const findSuggestion = (session, field) => findProfileSuggestion(session, field) || findDocumentSuggestion(session, field);
+
+/**
+ * Offer a known value for the question being asked (masked when the field is sensitive)
+ */
+const withSuggestion = (session, field, response) => {
+  const found = findSuggestion(session, field);
+  if (!found) return response;
+
+  const suggestion = maskSuggestion(session.verifiedFormStructure, found);
+  const prompt = suggestion.source === 'profile' ?
+    t(session.language, 'profile_suggestion', { value: suggestion.value }) :
+    t(session.language, 'document_suggestion', { document: suggestion.document, value: suggestion.value });
+  return {
+    ...response,
+    suggestion,
+    message: `${response.message}\n\n${prompt}`
+  };
+};
+
+/**
+ * Ask the question the session currently points at
+ */
+const askCurrentField = (session, prefix) => {
+  const fields = session.verifiedFormStructure.verified_fields;
+  const field = fields[session.currentField];
+  const question = getFieldQuestion(field, session.language);
+  const existing = session.formData[field.name];
+  const shown = field.type === 'currency' && existing !== undefined ? formatCurrency(existing) : maskFieldValue(field, existing);
+  const currentValue = existing !== undefined && existing !== '' ? `\n\n${t(session.language, 'current_answer')}: ${shown}` : '';
+
+  return withSuggestion(session, field, {
+    intent: 'next_question',
+    question,
+    field: field.name,
+    progress: `${session.currentField + 1}/${fields.length}`,
+    message: `${prefix} ${t(session.language, 'question')} (${session.currentField + 1}/${fields.length}):\n\n${question}${currentValue}`
+  });
+};
+
+/**
+ * Apply form defaults and cross-field rules, then move the session to REVIEW.
+ * On violations the session reopens at the first offending field instead.
+ */
+const finishCollecting = (session, message) => {
+  const form = session.verifiedFormStructure;
+  const fields = form.verified_fields;
+
+  applyFormDefaults(form, session.formData);
+  const violations = checkFormRules(form, session.formData, session.language);
+
+  if (violations.length > 0) {
+    session.state = 'COLLECTING';
+    session.currentField = fields.findIndex(field => field.name === violations[0].field);
+    session.resumeField = fields.length;
+
+    const list = violations.map(violation => `• ${violation.message}`).join('\n');
+    return {
+      ...askCurrentField(session, t(session.language, 'rule_violations', { violations: list })),
+      intent: 'rule_violations',
+      violations
+    };
+  }
+
+  session.currentField = fields.length;
+  session.state = 'REVIEW';
+  session.confirmedAt = null;
+  return reviewForm(session, message);
+};
+
+/**
+ * Every answer that applies, in form order, each with the chat command and REST call that edit it.
+ * Sensitive values are masked.
+ * @param {LangChainSession} session - Session in REVIEW
+ * @returns {Object} - { formId, formName, formVersion, fields: [{ field, label, question, value, required, edit }], assessment }
+ */
+const buildReview = (session) => {
+  const form = session.verifiedFormStructure;
+  return {
+    formId: session.currentForm,
+    formName: form.name,
+    formVersion: session.formVersion,
+    fields: getApplicableFields(form, session.formData).map((field) => {
+      const value = session.formData[field.name];
+      return {
+        field: field.name,
+        label: fieldLabel(field),
+        question: getFieldQuestion(field, session.language),
+        value: !isAnswered(value) ? null : field.type === 'currency' ? formatCurrency(value) : maskFieldValue(field, value),
+        required: isFieldRequired(field, session.formData),
+        edit: {
+          command: `change ${fieldLabel(field)}`,
+          method: 'PATCH',
+          path: `/api/session/${session.id}/fields/${field.name}`
+        }
+      };
+    }),
+    assessment: assessApplication(form, session.formData)
+  };
+};
+
+/**
+ * Show the answers for confirmation
+ * @param {LangChainSession} session - Session in REVIEW
+ * @param {string} prefix - Text before the summary
+ */
+const reviewForm = (session, prefix) => {
+  const review = buildReview(session);
+  const answers = review.fields
+    .map(item => `• ${item.label}: ${item.value ?? t(session.language, 'review_not_provided')}`)
+    .join('\n');
+
+  return {
+    intent: 'review',
+    review,
+    ...(session.bundle ? { bundle: session.getBundleProgress() } : {}),
+    message: [
+      prefix,
+      `${t(session.language, 'review_intro', { form: review.formName })}\n${answers}`,
+      describeAssessment(session.language, review.assessment),
+      t(session.language, 'review_confirm')
+    ].filter(Boolean).join('\n\n')
+  };
+};
+
+/**
+ * Record the user's confirmation, then hand over to the next form in a bundle or move to COMPLETE
+ */
+const confirmForm = (session) => {
+  const form = session.verifiedFormStructure;
+  session.confirmedAt = new Date().toISOString();
+
+  // Within a bundle, every form but the last hands over to the next one
+  if (session.bundle && session.bundle.step < session.bundle.definition.forms.length - 1) {
+    return startNextBundleForm(session);
+  }
+
+  session.state = 'COMPLETE';
+
+  const message = t(session.language, 'form_complete');
+  const profileUpdate = offerProfileUpdate(session);
+  const done = session.bundle ?
+    `${message}\n\n${t(session.language, 'bundle_complete', { bundle: session.bundle.definition.name, count: session.bundle.definition.forms.length })}` : message;
+  return withBundleSummary(session, {
+    intent: 'form_complete',
+    formData: maskFormData(form, session.formData),
+    formDetails: form,
+    assessment: assessApplication(form, session.formData),
+    confirmedAt: session.confirmedAt,
+    profileUpdate,
+    message: profileUpdate ?
+      `${done}\n\n${t(session.language, 'profile_offer', { fields: profileUpdate.labels.join(', ') })}` : done
+  });
+};
+
+/**
+ * Fee, processing time and eligibility findings for a completion message
+ */
+const describeAssessment = (language, { fees, processingTime, eligibility }) => {
+  const lines = [t(language, 'fee_estimate', { fee: fees.display, time: processingTime })];
+  if (eligibility && eligibility.verdict !== 'eligible') {
+    const findings = eligibility.findings.map(finding => `• ${finding.message}`).join('\n');
+    lines.push(t(language, `eligibility_${eligibility.verdict}`, { findings }));
+  } else if (eligibility) {
+    lines.push(...eligibility.findings.map(finding => `ℹ️ ${finding.message}`));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Add bundle progress and the combined checklist to a completion response
+ */
+const withBundleSummary = (session, response) => {
+  if (!session.bundle) return response;
+  const filled = [...session.bundle.completed, { form: session.verifiedFormStructure, formData: session.formData }];
+  const answers = Object.fromEntries(filled.map(entry => [entry.form.id, entry.formData]));
+  return {
+    ...response,
+    bundle: session.getBundleProgress(),
+    checklist: buildChecklist(session.bundle.definition, filled.map(entry => entry.form), answers)
+  };
+};
+
+const isAnswered = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+/**
+ * Index of the first applicable question from `start` that has no answer yet
+ */
+const nextUnansweredIndex = (fields, formData, start) => {
+  let index = start;
+  while (index < fields.length && (!isFieldApplicable(fields[index], formData) || isAnswered(formData[fields[index].name]))) {
+    index++;
+  }
+  return index;
+};
+
+/**
+ * Pin the current version of a form on the session and point it at the first question still unanswered.
+ * Later catalog edits don't affect this session.
+ * @param {LangChainSession} session - Session
+ * @param {string} formId - Form to fill
+ * @param {Object} formData - Answers already known (carried from earlier forms in a bundle)
+ */
+const startForm = (session, formId, formData) => {
+  session.currentForm = formId;
+  session.verifiedFormStructure = VERIFIED_GOVERNMENT_FORMS[formId];
+  session.formVersion = session.verifiedFormStructure.version;
+  session.formData = formData;
+  session.state = 'COLLECTING';
+  session.confirmedAt = null;
+  session.resumeField = null;
+  session.pendingExtraction = null;
+  session.dismissedSuggestions = [];
+  session.currentField = nextUnansweredIndex(session.verifiedFormStructure.verified_fields, formData, 0);
+};
+
+/**
+ * Set aside the bundle form just finished and start the next one with the answers they share
+ */
+const startNextBundleForm = (session) => {
+  const { bundle } = session;
+  const finished = session.verifiedFormStructure;
+  bundle.completed.push({ formId: session.currentForm, formVersion: session.formVersion, form: finished, formData: session.formData, confirmedAt: session.confirmedAt });
+  bundle.step += 1;
+
+  const nextFormId = bundle.definition.forms[bundle.step].form_id;
+  const carried = carryForwardValues(bundle.definition, VERIFIED_GOVERNMENT_FORMS[nextFormId], bundle.completed);
+  bundle.carried = Object.keys(carried);
+  startForm(session, nextFormId, carried);
+
+  const form = session.verifiedFormStructure;
+  const fields = form.verified_fields;
+  const carriedLabels = Object.keys(carried).map(name => fieldLabel(fields.find(field => field.name === name)));
+  const intro = [
+    t(session.language, 'bundle_next_form', { completed: finished.name, step: bundle.step + 1, total: bundle.definition.forms.length, form: form.name }),
+    carriedLabels.length ? t(session.language, 'bundle_carried', { fields: carriedLabels.join(', ') }) : null
+  ].filter(Boolean).join('\n\n');
+
+  // Every question was answered by earlier forms
+  if (session.currentField >= fields.length) {
+    return finishCollecting(session, intro);
+  }
+
+  const nextField = fields[session.currentField];
+  const nextQuestion = getFieldQuestion(nextField, session.language);
+  return withSuggestion(session, nextField, {
+    intent: 'bundle_next_form',
+    formDetails: form,
+    bundle: session.getBundleProgress(),
+    carried: Object.keys(carried),
+    nextQuestion,
+    progress: `${session.currentField + 1}/${fields.length}`,
+    message: `${intro}\n\n${nextQuestion}`
+  });
+};
+
+/**
+ * Move past the field just answered (or back to where an edit started)
+ * and return the next question or the completion response
+ */
+const advanceToNextField = (session, prefix) => {
+  const fields = session.verifiedFormStructure.verified_fields;
+
+  if (session.resumeField !== null) {
+    session.currentField = session.resumeField;
+    session.resumeField = null;
+  } else {
+    session.currentField += 1;
+  }
+  
+  // Skip fields whose show_if condition does not hold, and answers carried over from earlier bundle forms
+  session.currentField = nextApplicableIndex(fields, session.formData, session.currentField);
+  const carried = session.bundle?.carried || [];
+  while (session.currentField < fields.length && carried.includes(fields[session.currentField].name) &&
+    isAnswered(session.formData[fields[session.currentField].name])) {
+    session.currentField = nextApplicableIndex(fields, session.formData, session.currentField + 1);
+  }
+  
+  // An earlier answer may have made a skipped field required
+  const missing = findMissingField(fields, session.formData, session.currentField);
+  if (missing !== -1) {
+    session.resumeField = session.currentField;
+    session.currentField = missing;
+    return askCurrentField(session, `${prefix} ${t(session.language, 'also_needed')}`);
+  }
+
+  // Every question is answered: show them for review
+  if (session.currentField >= fields.length) {
+    return finishCollecting(session, t(session.language, 'review_ready'));
+  }
+
+  // Ask next question
+  const nextField = fields[session.currentField];
+  const nextQuestion = getFieldQuestion(nextField, session.language);
+  return withSuggestion(session, nextField, {
+    intent: 'next_question',
+    question: nextQuestion,
+    progress: `${session.currentField + 1}/${fields.length}`,
+    message: `${prefix} ${t(session.language, 'next_question')} (${session.currentField + 1}/${fields.length}):\n\n${nextQuestion}`
+  });
+};
+
+/**
+ * Pick out answers to any unanswered fields from one free-text message, validating each one
+ * like a normal answer. Returns null when the message only answers the current question.
+ * In REVIEW every applicable field may be named, so "my email should be ravi@example.com" corrects an answer.
+ * @param {string} userMessage - Message from the user
+ * @param {LangChainSession} session - Session in COLLECTING or REVIEW
+ * @param {Object} chains - { fieldExtractionChain, fieldValidationChain }
+ * @param {Object} runConfig - LangChain run config
+ * @returns {Promise<Object|null>} - { values: { <field>: value }, errors: [{ field, error }] } or null
+ */
+const extractFieldValues = async (userMessage, session, { fieldExtractionChain, fieldValidationChain }, runConfig) => {
+  const fields = session.verifiedFormStructure.verified_fields;
+  const reviewing = session.state === 'REVIEW';
+  const currentField = reviewing ? null : fields[session.currentField];
+  const remaining = reviewing ?
+    getApplicableFields(session.verifiedFormStructure, session.formData) :
+    fields.filter(field => !isAnswered(session.formData[field.name]));
+
+  if (!reviewing) {
+    if (session.resumeField !== null || remaining.length < 2) return null;
+    if (!looksLikeSeveralAnswers(userMessage)) return null;
+  }
+
+  const result = await fieldExtractionChain.invoke({
+    form_name: session.verifiedFormStructure.name,
+    current_field: currentField ? currentField.name : 'none (the user is reviewing their answers)',
+    language: LANGUAGES[session.language].name,
+    user_input: userMessage,
+    fields_heading: reviewing ? 'FIELDS THE USER MAY BE CORRECTING' : 'UNANSWERED FIELDS',
+    remaining_fields: remaining.map(field => {
+      const options = field.options ? ` [options: ${field.options.join(', ')}]` : '';
+      return `- ${field.name} (${field.type}): ${field.question}${options}`;
+    }).join('\n')
+  }, runConfig);
+
+  const extracted = result && typeof result.values === 'object' && result.values ? result.values : {};
+  const names = Object.keys(extracted).filter(name => remaining.some(field => field.name === name) && isAnswered(extracted[name]));
+  if (names.length === 0 || names.every(name => name === currentField?.name)) return null;
+
+  // Form order, so answers such as applicant_category decide which later fields apply
+  const formData = { ...session.formData };
+  const values = {};
+  const errors = [];
+  for (const field of remaining) {
+    if (!names.includes(field.name) || !isFieldApplicable(field, formData)) continue;
+
+    const validation = await validateFieldValue(field, String(extracted[field.name]), session, fieldValidationChain, runConfig);
+    if (validation.valid) {
+      values[field.name] = validation.value;
+      formData[field.name] = validation.value;
+    } else {
+      errors.push({ field: field.name, error: validation.error });
+    }
+  }
+
+  return Object.keys(values).length > 0 ? { values, errors } : null;
+};
+
+/**
+ * Ask the user to confirm values extracted from one message before they are stored
+ */
+const confirmExtractedValues = (session, extraction) => {
+  const fields = session.verifiedFormStructure.verified_fields;
+  const byName = (name) => fields.find(field => field.name === name);
+
+  const shown = (field, value) => (field.type === 'currency' ? formatCurrency(value) : maskFieldValue(field, value));
+  const extracted = Object.entries(extraction.values).map(([name, value]) => ({ field: name, value: shown(byName(name), value) }));
+  const found = extracted.map(item => `• ${fieldLabel(byName(item.field))}: ${item.value}`).join('\n');
+  const problems = extraction.errors.map(item => `• ${fieldLabel(byName(item.field))}: ${item.error}`).join('\n');
+
+  return {
+    intent: 'confirm_extracted',
+    extracted,
+    errors: extraction.errors,
+    message: [
+      `${t(session.language, 'extraction_found')}\n${found}`,
+      problems ? `${t(session.language, 'extraction_invalid')}\n${problems}` : null,
+      t(session.language, session.state === 'REVIEW' ? 'correction_confirm' : 'extraction_confirm')
+    ].filter(Boolean).join('\n\n')
+  };
+};
+
+/**
+ * Store confirmed extracted values and continue at the first applicable question still unanswered
+ * (or, for corrections made in REVIEW, show the updated answers)
+ */
+const applyExtractedValues = (session, values) => {
+  const fields = session.verifiedFormStructure.verified_fields;
+  Object.assign(session.formData, values);
+
+  const labels = Object.keys(values).map(name => fieldLabel(fields.find(field => field.name === name)));
+  const saved = t(session.language, 'extraction_saved', { fields: labels.join(', ') });
+
+  if (session.state === 'REVIEW') {
+    if (reopenMissingField(session)) return askCurrentField(session, `${saved} ${t(session.language, 'also_needed')}`);
+    return finishCollecting(session, saved);
+  }
+
+  // advanceToNextField moves one past the current field
+  session.currentField = nextUnansweredIndex(fields, session.formData, session.currentField) - 1;
+  return advanceToNextField(session, saved);
+};
+
+// The pending question, as the knowledge prompts describe it
+const pendingQuestion = (session) => {
+  const currentField = session.state === 'COLLECTING' ? session.verifiedFormStructure.verified_fields[session.currentField] : null;
+  return currentField ? currentField.question : 'none (the form is complete)';
+};
+
+/**
+ * Whether a message at the pending field is a question about the form: it ends with "?", or it opens
+ * like a question and the LLM reads it as one rather than as an answer ("May Anne Thomas")
+ * @param {string} userMessage - Message from the user
+ * @param {LangChainSession} session - Session in COLLECTING
+ * @param {Object} knowledgeQueryChain - Chain classifying and rewriting questions
+ * @param {Object} runConfig - LangChain run config
+ * @returns {Promise<Object|null>} - { query } (null when not rewritten yet) for a question, null for an answer
+ */
+const readFormQuestion = async (userMessage, session, knowledgeQueryChain, runConfig) => {
+  if (parseConfirmation(userMessage)) return null;
+  if (endsWithQuestionMark(userMessage)) return { query: null };
+  if (!isQuestion(userMessage)) return null;
+
+  const result = await knowledgeQueryChain.invoke({
+    form_name: session.verifiedFormStructure.name,
+    current_field: pendingQuestion(session),
+    user_input: userMessage
+  }, runConfig);
+  return result.is_question === true ? { query: typeof result.query === 'string' && result.query.trim() || null } : null;
+};
+
+/**
+ * Answer a question asked mid-form ("what counts as address proof?") from the guidance knowledge base,
+ * then repeat the pending question. currentField doesn't move.
+ * @param {string} userMessage - The question
+ * @param {LangChainSession} session - Session in COLLECTING, REVIEW or COMPLETE
+ * @param {Object} chains - { knowledgeQueryChain, knowledgeAnswerChain }
+ * @param {Object} runConfig - LangChain run config
+ * @param {string|null} rewrittenQuery - English search query already produced by readFormQuestion
+ * @returns {Promise<Object>} - form_question response with `answer` (null when the guidance has none) and `sources`
+ */
+const answerFormQuestion = async (userMessage, session, { knowledgeQueryChain, knowledgeAnswerChain }, runConfig, rewrittenQuery = null) => {
+  const form = session.verifiedFormStructure;
+  const formIds = session.bundle ? session.bundle.definition.forms.map(step => step.form_id) : [session.currentForm];
+
+  // Guidance is written in English; questions in other scripts are searched through an English rewrite
+  let query = rewrittenQuery || userMessage;
+  if (!rewrittenQuery && hasNonLatinLetters(userMessage)) {
+    const result = await knowledgeQueryChain.invoke({
+      form_name: form.name,
+      current_field: pendingQuestion(session),
+      user_input: userMessage
+    }, runConfig);
+    query = result.query || userMessage;
+  }
+  const passages = await searchKnowledge(query, formIds);
+
+  let answer = null;
+  if (passages.length > 0) {
+    const result = await knowledgeAnswerChain.invoke({
+      form_name: form.name,
+      current_field: pendingQuestion(session),
+      language: LANGUAGES[session.language].name,
+      user_input: userMessage,
+      guidance: passages.map((passage, index) => `[${index + 1}] ${passage.text}`).join('\n\n')
+    }, runConfig);
+    if (result.grounded && typeof result.answer === 'string' && result.answer.trim()) answer = result.answer.trim();
+  }
+
+  const sources = answer ? passages.map(({ formId, section, source }) => ({ formId, section, source })) : [];
+  const reply = answer || t(session.language, 'knowledge_unknown', { website: form.official_website });
+  await session.addMessage('ai', reply);
+
+  if (session.state !== 'COLLECTING') {
+    return { intent: 'form_question', answer, sources, message: reply };
+  }
+  return { ...askCurrentField(session, `${reply}\n\n${t(session.language, 'back_to_form')}`), intent: 'form_question', answer, sources };
+};
+
+/**
+ * Handle "go back", "skip" and "change my <field>" commands
+ * @returns {Promise<Object|null>} - Response, or null when the message should be treated as an answer
+ */
+const handleNavigationCommand = async (command, session) => {
+  const fields = session.verifiedFormStructure.verified_fields;
+
+  switch (command.type) {
+    case 'back': {
+      // Answers reopened for editing have to be reviewed and confirmed again
+      if (session.state === 'REVIEW' || session.state === 'COMPLETE') {
+        session.state = 'COLLECTING';
+        session.currentField = fields.length;
+        session.confirmedAt = null;
+      }
+      session.resumeField = null;
+
+      const previous = previousApplicableIndex(fields, session.formData, session.currentField);
+      if (previous === -1) {
+        return askCurrentField(session, t(session.language, 'first_question'));
+      }
+
+      session.currentField = previous;
+      return askCurrentField(session, t(session.language, 'go_back'));
+    }
+
+    case 'skip': {
+      if (session.state !== 'COLLECTING') return null;
       
-      const conversationHistory = await session.getConversationHistory();
+      const field = fields[session.currentField];
+      if (isFieldRequired(field, session.formData)) {
+        return {
+          intent: 'validation_error',
+          message: t(session.language, 'skip_required'),
+          retryQuestion: getFieldQuestion(field, session.language)
+        };
+      }
       
-      const result = await formDiscoveryChain.invoke({
-        user_input: userMessage,
-        conversation_history: conversationHistory,
-        session_state: session.state,
-        current_form: session.currentForm || 'none',
-        progress: `${session.currentField}/${session.verifiedFormStructure?.verified_fields.length || 0}`
-      });
+      delete session.formData[field.name];
+      return advanceToNextField(session, t(session.language, 'skipped'));
+    }
 
-      console.log('🔍 LangChain Discovery Result:', result);
+    case 'edit': {
+      const index = findFieldByReference(fields, command.fieldReference);
+      if (index === -1) return null;
       
-      if (result.matched_form_id && VERIFIED_GOVERNMENT_FORMS[result.matched_form_id]) {
-        // Valid form found
-        session.currentForm = result.matched_form_id;
-        session.verifiedFormStructure = VERIFIED_GOVERNMENT_FORMS[result.matched_form_id];
-        session.state = 'COLLECTING';
-        session.currentField = 0;
-        
-        const firstField = session.verifiedFormStructure.verified_fields[0];
-        await session.addMessage('ai', result.message);
-        
+      const field = fields[index];
+      
+      if (!isFieldApplicable(field, session.formData)) {
         return {
-          intent: 'form_discovered',
-          formDetails: session.verifiedFormStructure,
-          nextQuestion: firstField.question,
-          message: `${result.message}\n\n✅ This form uses VERIFIED government requirements with LangChain validation.\n\nLet's start with the first question:\n\n${firstField.question}`,
-          confidence: result.confidence
+          intent: 'field_not_applicable',
+          message: t(session.language, 'field_not_needed', { field: fieldLabel(field) })
         };
-      } else {
-        await session.addMessage('ai', result.message);
+      }
+      
+      if (!command.value) {
+        reopenField(session, index);
+        return askCurrentField(session, t(session.language, 'update_field', { field: fieldLabel(field) }));
+      }
+      
+      const validation = await validateFieldValue(field, command.value, session);
+      if (!validation.valid) {
         return {
-          intent: 'clarification_needed',
-          message: result.message,
-          confidence: result.confidence
+          intent: 'validation_error',
+          message: validation.error,
+          retryQuestion: getFieldQuestion(field, session.language)
         };
       }
       
-    } else if (session.state === 'COLLECTING') {
-      // Field Collection Phase
-      const currentField = session.verifiedFormStructure.verified_fields[session.currentField];
-      
-      console.log('🦜 LangChain Field Validation...');
+      session.formData[field.name] = validation.value;
+      const updated = t(session.language, 'updated_field', { field: fieldLabel(field) });
+      await session.addMessage('ai', updated);
       
-      // Use direct validation for simple fields
-      const validation = validateFieldInput(currentField, userMessage);
+      if (reopenMissingField(session)) {
+        return askCurrentField(session, `${updated} ${t(session.language, 'also_needed')}`);
+      }
       
-      // For complex fields, use LangChain validation
-      if (currentField.type === 'complex') {
-        const fieldOptions = currentField.options ? 
-          `OPTIONS: ${JSON.stringify(currentField.options)}` : '';
-          
-        const validationResult = await fieldValidationChain.invoke({
-          form_name: session.verifiedFormStructure.name,
-          field_name: currentField.name,
-          field_type: currentField.type,
-          field_required: currentField.required,
-          user_input: userMessage,
-          field_options: fieldOptions
-        });
-        
-        if (!validationResult.valid) {
-          return {
-            intent: 'validation_error',
-            message: validationResult.error_message,
-            retryQuestion: currentField.question
-          };
-        }
-        
-        // Store validated data
-        session.formData[currentField.name] = validationResult.cleaned_value;
-      } else {
-        // Use direct validation result
-        if (!validation.valid) {
-          return {
-            intent: 'validation_error',
-            message: validation.error,
-            retryQuestion: currentField.question
-          };
-        }
-        
-        // Store validated data
-        session.formData[currentField.name] = validation.value;
+      // A confirmed or reviewed form goes back to review with the new answer
+      if (session.state === 'REVIEW' || session.state === 'COMPLETE') {
+        return finishCollecting(session, updated);
       }
+      return askCurrentField(session, updated);
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Edit a stored form value outside the conversation (REST)
+ * An empty value clears the field. When the edit leaves a required field unanswered
+ * (cleared, or newly required through show_if/required_if) collection reopens at it.
+ * @param {LangChainSession} session - Session to edit
+ * @param {string} fieldName - verified_fields name
+ * @param {string|null} value - New value
+ * @returns {Promise<Object>} - { success, field, value, reopened, violations, error }
+ */
+const updateFieldValue = async (session, fieldName, value) => {
+  if (!session.verifiedFormStructure) {
+    return { success: false, status: 409, error: 'No form selected for this session' };
+  }
+
+  const fields = session.verifiedFormStructure.verified_fields;
+  const index = fields.findIndex(field => field.name === fieldName);
+  if (index === -1) {
+    return { success: false, status: 404, error: `Unknown field: ${fieldName}` };
+  }
+
+  const field = fields[index];
+  if (!isFieldApplicable(field, session.formData)) {
+    return { success: false, status: 409, error: `Field does not apply to the current answers: ${fieldName}` };
+  }
+
+  const isEmpty = value === undefined || value === null || String(value).trim() === '';
+  let newValue = null;
+
+  if (isEmpty) {
+    delete session.formData[field.name];
+  } else {
+    const validation = await validateFieldValue(field, String(value), session);
+    if (!validation.valid) {
+      return { success: false, status: 400, error: validation.error };
+    }
+    newValue = validation.value;
+    session.formData[field.name] = newValue;
+  }
+
+  if (reopenMissingField(session)) {
+    return { success: true, field: field.name, value: newValue, reopened: true, violations: [] };
+  }
+
+  // A reviewed or completed form must still satisfy its cross-field rules, and is confirmed again
+  const violations = ['REVIEW', 'COMPLETE'].includes(session.state) ? finishCollecting(session).violations || [] : [];
+  return { success: true, field: field.name, value: newValue, reopened: violations.length > 0, violations };
+};
+
+/**
+ * Route a message through discovery or field collection
+ * @param {string} userMessage - Message from the user
+ * @param {LangChainSession} session - Current session
+ * @param {Object} runConfig - LangChain run config (tracing and streaming callbacks)
+ */
+const respondToMessage = async (userMessage, session, runConfig) => {
+  await session.addMessage('user', redactMessage(session, userMessage));
+  
+  // Explicit language switch ("language hindi", "தமிழ்")
+  const requestedLanguage = parseLanguageCommand(userMessage);
+  if (requestedLanguage) {
+    session.language = requestedLanguage;
+    session.languageLocked = true;
+    const confirmation = t(requestedLanguage, 'language_set', { language: LANGUAGES[requestedLanguage].native });
+    
+    if (session.state === 'COLLECTING') {
+      return { ...askCurrentField(session, confirmation), intent: 'language_changed', language: requestedLanguage };
+    }
+    return { intent: 'language_changed', language: requestedLanguage, message: confirmation };
+  }
+  
+  // Follow the user's script until a language is chosen explicitly; Latin input
+  // (answers such as emails and numbers) never switches back to English
+  const detectedLanguage = detectLanguage(userMessage);
+  if (!session.languageLocked && detectedLanguage && LANGUAGES[session.language].script !== LANGUAGES[detectedLanguage].script) {
+    session.language = detectedLanguage;
+  }
+  
+  // Initialize LLM and chains
+  const llm = initLLM();
+  const formDiscoveryChain = createFormDiscoveryChain(llm);
+  const fieldValidationChain = createFieldValidationChain(llm);
+  const fieldExtractionChain = createFieldExtractionChain(llm);
+  const knowledgeQueryChain = createKnowledgeQueryChain(llm);
+  const knowledgeAnswerChain = createKnowledgeAnswerChain(llm);
+  
+  if (session.state === 'INIT' || session.state === 'FORM_DISCOVERY') {
+    // Form Discovery Phase
+    console.log('🦜 LangChain Form Discovery...');
+    
+    const conversationHistory = await session.getConversationHistory();
+    
+    const result = await formDiscoveryChain.invoke({
+      user_input: userMessage,
+      conversation_history: conversationHistory,
+      session_state: session.state,
+      current_form: session.currentForm || 'none',
+      response_language: LANGUAGES[session.language].name,
+      progress: `${session.currentField}/${session.verifiedFormStructure?.verified_fields.length || 0}`
+    }, runConfig);
+
+    console.log('🔍 LangChain Discovery Result:', redactDeep(result, sensitiveValues(session)));
+    
+    // A goal needing several forms ("open a restaurant company") starts with the bundle's first form
+    const bundle = result.matched_bundle_id ? getBundle(result.matched_bundle_id) : null;
+    const formId = bundle ? bundle.forms[0].form_id : result.matched_form_id;
+    
+    if (formId && VERIFIED_GOVERNMENT_FORMS[formId]) {
+      // Valid form found
+      session.bundle = bundle ? { definition: bundle, step: 0, completed: [], carried: [] } : null;
+      startForm(session, formId, session.formData);
       
-      session.currentField += 1;
-      await session.addMessage('ai', 'Thank you! Information recorded.');
+      const firstField = session.verifiedFormStructure.verified_fields[session.currentField];
+      const firstQuestion = getFieldQuestion(firstField, session.language);
+      await session.addMessage('ai', result.message);
       
-      // Check if form is complete
-      if (session.currentField >= session.verifiedFormStructure.verified_fields.length) {
-        session.state = 'COMPLETE';
-        return {
-          intent: 'form_complete',
-          formData: session.formData,
-          formDetails: session.verifiedFormStructure,
-          message: "🎉 Form completed with LangChain validation! All required information has been collected. You can now generate the PDF."
-        };
-      } else {
-        // Ask next question
-        const nextField = session.verifiedFormStructure.verified_fields[session.currentField];
+      const bundleIntro = bundle ? `${t(session.language, 'bundle_intro', {
+        count: bundle.forms.length,
+        forms: bundle.forms.map((step, index) => `${index + 1}. ${VERIFIED_GOVERNMENT_FORMS[step.form_id].name}`).join('\n')
+      })}\n\n` : '';
+      return withSuggestion(session, firstField, {
+        intent: bundle ? 'bundle_discovered' : 'form_discovered',
+        ...(bundle ? { bundle: session.getBundleProgress() } : {}),
+        formDetails: session.verifiedFormStructure,
+        nextQuestion: firstQuestion,
+        message: `${result.message}\n\n${bundleIntro}${t(session.language, 'verified_intro')}\n\n${firstQuestion}`,
+        confidence: result.confidence
+      });
+    } else {
+      await session.addMessage('ai', result.message);
+      return {
+        intent: 'clarification_needed',
+        message: result.message,
+        confidence: result.confidence
+      };
+    }
+    
+  } else if (['COLLECTING', 'REVIEW', 'COMPLETE'].includes(session.state)) {
+    const fields = session.verifiedFormStructure.verified_fields;
+
+    // Answer to "save these answers?" after several were found in one message; anything else drops them
+    if (session.pendingExtraction) {
+      const { values } = session.pendingExtraction;
+      const reply = parseConfirmation(userMessage);
+      session.pendingExtraction = null;
+
+      if (reply === 'yes') {
+        await session.addMessage('ai', 'Thank you! Information recorded.');
+        return applyExtractedValues(session, values);
+      }
+      if (reply === 'no') {
+        if (session.state === 'REVIEW') return reviewForm(session, t(session.language, 'review_pending'));
+        return askCurrentField(session, t(session.language, 'extraction_dismissed'));
+      }
+    }
+
+    // Navigation commands ("go back", "skip", "change my email")
+    const command = parseNavigationCommand(userMessage);
+    if (command) {
+      const navigationResult = await handleNavigationCommand(command, session);
+      if (navigationResult) return navigationResult;
+    }
+
+    // Questions about the form ("which FSSAI license do I need?") are answered without moving on.
+    // While a field is pending, its answer is validated first: "May Anne Thomas" opens like a question
+    if (session.state !== 'COLLECTING' && isQuestion(userMessage) && !parseConfirmation(userMessage)) {
+      console.log('📚 Knowledge Base Question...');
+      return answerFormQuestion(userMessage, session, { knowledgeQueryChain, knowledgeAnswerChain }, runConfig);
+    }
+
+    if (session.state === 'REVIEW') {
+      // "confirm" / "yes" accepts the answers; anything else may correct one ("my email should be ...")
+      const reply = parseConfirmation(userMessage);
+      if (reply === 'yes') {
+        await session.addMessage('ai', 'Answers confirmed.');
+        return confirmForm(session);
+      }
+      if (reply === 'no') {
+        return reviewForm(session, t(session.language, 'review_correct'));
+      }
+
+      const corrections = await extractFieldValues(userMessage, session, { fieldExtractionChain, fieldValidationChain }, runConfig);
+      if (corrections) {
+        session.pendingExtraction = corrections;
+        const response = confirmExtractedValues(session, corrections);
+        await session.addMessage('ai', response.message);
+        return response;
+      }
+      return reviewForm(session, t(session.language, 'review_pending'));
+    }
+
+    if (session.state === 'COMPLETE') {
+      // Answer to "save these details to your profile?"
+      const consent = session.profileConsent === 'pending' && parseConfirmation(userMessage);
+      if (consent) {
+        const saved = await resolveProfileConsent(session, consent === 'yes');
         return {
-          intent: 'next_question',
-          question: nextField.question,
-          progress: `${session.currentField + 1}/${session.verifiedFormStructure.verified_fields.length}`,
-          message: `Great! Next question (${session.currentField + 1}/${session.verifiedFormStructure.verified_fields.length}):\n\n${nextField.question}`
+          intent: consent === 'yes' ? 'profile_saved' : 'profile_declined',
+          saved,
+          message: t(session.language, consent === 'yes' ? 'profile_saved' : 'profile_declined')
         };
       }
+
+      return withBundleSummary(session, {
+        intent: 'form_complete',
+        formData: maskFormData(session.verifiedFormStructure, session.formData),
+        formDetails: session.verifiedFormStructure,
+        assessment: assessApplication(session.verifiedFormStructure, session.formData),
+        message: t(session.language, 'already_complete')
+      });
     }
+
+    // Field Collection Phase
+    const currentField = fields[session.currentField];
     
-  } catch (error) {
-    console.error('❌ LangChain Processing Error:', error);
-    return {
-      intent: 'error',
-      message: 'I encountered an error processing your request. Please try again.'
-    };
+    // A value from the profile or an uploaded document only needs a yes/no
+    const suggestion = findSuggestion(session, currentField);
+    const confirmation = suggestion && parseConfirmation(userMessage);
+    if (confirmation === 'yes') {
+      session.formData[currentField.name] = suggestion.value;
+      await session.addMessage('ai', 'Thank you! Information recorded.');
+      return advanceToNextField(session, t(session.language, 'great'));
+    }
+    if (confirmation === 'no') {
+      session.dismissedSuggestions.push(currentField.name);
+      return askCurrentField(session, t(session.language, 'suggestion_dismissed'));
+    }
+    
+    // Questions about the form are answered even when they would pass as an answer
+    // ("which FSSAI license do I need for 15 lakh turnover" at the business name)
+    const question = await readFormQuestion(userMessage, session, knowledgeQueryChain, runConfig);
+    if (question) {
+      console.log('📚 Knowledge Base Question...');
+      return answerFormQuestion(userMessage, session, { knowledgeQueryChain, knowledgeAnswerChain }, runConfig, question.query);
+    }
+    
+    // Several answers in one message ("I'm Ravi Kumar, born 12/03/1990, mobile 9876543210") are confirmed first
+    const extraction = !endsWithQuestionMark(userMessage) &&
+      await extractFieldValues(userMessage, session, { fieldExtractionChain, fieldValidationChain }, runConfig);
+    if (extraction) {
+      session.pendingExtraction = extraction;
+      const response = confirmExtractedValues(session, extraction);
+      await session.addMessage('ai', response.message);
+      return response;
+    }
+    
+    console.log('🦜 LangChain Field Validation...');
+    
+    const validation = await validateFieldValue(currentField, userMessage, session, fieldValidationChain, runConfig);
+    
+    if (!validation.valid) {
+      return {
+        intent: 'validation_error',
+        message: validation.error,
+        retryQuestion: getFieldQuestion(currentField, session.language)
+      };
+    }
+    
+    // Store validated data
+    session.formData[currentField.name] = validation.value;
+    await session.addMessage('ai', 'Thank you! Information recorded.');
+    
+    return advanceToNextField(session, t(session.language, 'great'));
   }
 };
 
 /**
- * Field validation helper
+ * Process user message with LangChain
+ * @param {string} userMessage - Message from the user
+ * @param {LangChainSession} session - Current session
+ * @param {Object} options - { onToken } receives LLM token deltas as they stream,
+ *                           { correlationId } tags traces and spans for this request,
+ *                           { language } selects the conversation language ("hi", "Tamil", ...),
+ *                           { userId } is the signed-in user, whose profile prefills answers,
+ *                           { signal } cancels the LLM calls (the streaming client went away)
  */
-function validateFieldInput(field, userInput) {
-  if (!field.required && !userInput.trim()) return { valid: true, value: userInput };
+const processUserMessage = async (userMessage, session, { onToken, correlationId, language, userId, signal } = {}) => {
+  const selectedLanguage = resolveLanguage(language);
+  if (selectedLanguage) {
+    session.language = selectedLanguage;
+    session.languageLocked = true;
+  }
+
+  // Anonymous sessions are claimed by the signed-in user; their profile is re-read on every message
+  if (!session.userId && isValidUserId(userId)) {
+    session.userId = userId;
+  }
+  if (session.userId) {
+    await loadProfileIntoSession(session);
+  }
   
-  switch (field.type) {
-    case 'email':
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      return { 
-        valid: emailRegex.test(userInput), 
-        value: userInput,
-        error: emailRegex.test(userInput) ? null : "Please provide a valid email address (like name@example.com)"
-      };
+  const span = startSpan('chat.process_message', {
+    'session.id': session.id,
+    'correlation.id': correlationId,
+    'session.state': session.state,
+    'form.id': session.currentForm,
+    'session.language': session.language
+  });
+  // Prompts sent to Langfuse lose the parts of the message that may be sensitive and every sensitive value
+  // the session knows, read again for each event so values found while processing are covered too
+  const messageParts = sensitiveMessageParts(session, userMessage);
+  const tracing = createTracingCallbacks({
+    sessionId: session.id,
+    correlationId,
+    span,
+    redact: (data) => redactDeep(data, [...sensitiveValues(session), ...messageParts])
+  });
+  
+  // Forward streamed tokens to the caller (SSE); lc_prefer_streaming makes every provider stream
+  const callbacks = [...tracing.callbacks];
+  if (onToken) {
+    callbacks.push(BaseCallbackHandler.fromMethods({ lc_prefer_streaming: true, handleLLMNewToken: (token) => onToken(token) }));
+  }
+  const runConfig = { callbacks, signal, metadata: { sessionId: session.id, correlationId } };
+  
+  try {
+    const result = await respondToMessage(userMessage, session, runConfig);
     
-    case 'phone':
-      const phoneRegex = /^[6-9]\d{9}$/;
-      const cleanPhone = userInput.replace(/\D/g, '');
-      return { 
-        valid: phoneRegex.test(cleanPhone), 
-        value: cleanPhone,
-        error: phoneRegex.test(cleanPhone) ? null : "Please provide a valid 10-digit Indian mobile number"
-      };
+    span.setAttributes({
+      'chat.intent': result?.intent,
+      'session.state.after': session.state,
+      'form.id': session.currentForm,
+      'bundle.id': session.bundle?.definition.id
+    });
+    if (result?.intent === 'validation_error') {
+      span.addEvent('validation_failed', { 'form.field': result.field || fieldAt(session), 'error.message': result.message });
+    }
+    if (result?.intent === 'rule_violations') {
+      result.violations.forEach(violation => {
+        span.addEvent('validation_failed', { 'form.field': violation.field, 'form.rule': violation.rule, 'error.message': violation.message });
+      });
+    }
     
-    case 'choice':
-      const validChoice = field.options.some(option => 
-        userInput.toLowerCase().includes(option.toLowerCase()) ||
-        option.toLowerCase().includes(userInput.toLowerCase())
-      );
-      return { 
-        valid: validChoice, 
-        value: userInput,
-        error: validChoice ? null : `Please choose from: ${field.options.join(', ')}`
-      };
+    return result;
     
-    default:
-      return { 
-        valid: userInput.trim().length > 0, 
-        value: userInput.trim(),
-        error: userInput.trim().length > 0 ? null : "This field is required"
-      };
+  } catch (error) {
+    span.recordException(error);
+    // A cancelled run is not answered; the caller discards the half-processed session
+    if (signal?.aborted) throw error;
+    console.error(`❌ LangChain Processing Error [${correlationId}]:`, error);
+    return {
+      intent: 'error',
+      message: t(session.language, 'processing_error')
+    };
+  } finally {
+    span.end();
+    tracing.finish();
   }
-}
+};
+
+/**
+ * Re-ask the current question after something outside the chat (such as a document upload)
+ * changed what the assistant can offer
+ * @param {LangChainSession} session - Current session
+ * @param {string} prefix - Text before the question
+ * @returns {Object|null} - next_question response, or null when no field is being collected
+ */
+const askCurrentQuestion = (session, prefix) => {
+  if (session.state !== 'COLLECTING') return null;
+  return askCurrentField(session, prefix);
+};
+
+/**
+ * Show the answers again for a session waiting for confirmation
+ * @param {LangChainSession} session - Current session
+ * @param {string} prefix - Text before the summary
+ * @returns {Object|null} - review response, or null when the session is not in REVIEW
+ */
+const showReview = (session, prefix) => {
+  if (session.state !== 'REVIEW') return null;
+  return reviewForm(session, prefix);
+};
+
+/**
+ * Name of the field the session is collecting, if any
+ */
+const fieldAt = (session) => session.verifiedFormStructure?.verified_fields[session.currentField]?.name;
 
 module.exports = {
-  processUserMessage
+  processUserMessage,
+  updateFieldValue,
+  askCurrentQuestion,
+  showReview
 };
@@ -0,0 +1,126 @@
+// auth.js - User Authentication and Ownership Checks
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { parseApiKeys, getPresentedKey, findKey } = require('./adminAuth');
+
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]*$/;
+
+// Signs dev tokens when no AUTH_JWT_SECRET is set; they stop working on restart
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Resolve authentication configuration from the environment
+ * AUTH_MODE (required | optional), AUTH_JWT_SECRET (HS256) or AUTH_JWT_PUBLIC_KEY (RS256/ES256 from an
+ * external issuer), AUTH_JWT_ISSUER, AUTH_JWT_AUDIENCE, USER_API_KEYS ("userId:key,..."), AUTH_DEV_ISSUER
+ */
+function getAuthConfig() {
+  const publicKey = process.env.AUTH_JWT_PUBLIC_KEY ? process.env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+  return {
+    mode: process.env.AUTH_MODE === 'optional' ? 'optional' : 'required',
+    secret: process.env.AUTH_JWT_SECRET || null,
+    publicKey,
+    issuer: process.env.AUTH_JWT_ISSUER || 'intelliform-dev',
+    audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+    apiKeys: parseApiKeys(process.env.USER_API_KEYS, null).filter(entry => entry.name),
+    devIssuer: process.env.AUTH_DEV_ISSUER === 'true' && process.env.NODE_ENV !== 'production'
+  };
+}
+
+/**
+ * Key that verifies tokens: the external issuer's public key, the shared secret,
+ * or the per-process secret while the dev issuer is on
+ */
+const verificationKey = (config) => config.publicKey || config.secret || (config.devIssuer ? fallbackSecret : null);
+
+/**
+ * Verify a bearer JWT and return its user
+ * @returns {Object|null} - { id, method, claims } or null
+ */
+function verifyToken(token, config = getAuthConfig()) {
+  const key = verificationKey(config);
+  if (!key) return null;
+
+  try {
+    const claims = jwt.verify(token, key, {
+      algorithms: config.publicKey ? ['RS256', 'ES256'] : ['HS256'],
+      issuer: config.issuer,
+      audience: config.audience
+    });
+    return claims.sub ? { id: String(claims.sub), method: 'jwt', claims } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign a token with the local dev issuer (AUTH_DEV_ISSUER=true, never in production)
+ * @param {string} userId - Subject
+ * @param {Object} options - { expiresIn } e.g. "8h"
+ * @returns {string|null} - JWT, or null when the dev issuer is off or an external issuer is configured
+ */
+function issueDevToken(userId, { expiresIn = '8h' } = {}) {
+  const config = getAuthConfig();
+  if (!config.devIssuer || config.publicKey) return null;
+
+  const options = { algorithm: 'HS256', subject: userId, issuer: config.issuer, expiresIn };
+  if (config.audience) options.audience = config.audience;
+  return jwt.sign({}, config.secret || fallbackSecret, options);
+}
+
+/**
+ * Express middleware identifying the caller from a JWT or user API key
+ * (Authorization: Bearer <token|key>, X-API-Key or ?access_token=). Sets req.user, or null for anonymous callers.
+ * Unrecognised credentials are only rejected by requireUser, since admin keys use the same headers.
+ */
+function authenticate(req, res, next) {
+  const config = getAuthConfig();
+  // EventSource can't send headers, so SSE clients may pass ?access_token=
+  const presented = getPresentedKey(req) || req.query.access_token;
+  req.user = null;
+
+  if (presented) {
+    if (JWT_PATTERN.test(presented)) {
+      req.user = verifyToken(presented, config);
+    } else {
+      const match = findKey(config.apiKeys, presented);
+      req.user = match ? { id: match.name, method: 'api_key' } : null;
+    }
+    req.authError = req.user ? null : 'Invalid or expired credentials';
+  }
+  next();
+}
+
+/**
+ * Express middleware requiring a signed-in user (AUTH_MODE=required) or allowing
+ * anonymous callers (AUTH_MODE=optional). Presented but invalid credentials are always rejected.
+ */
+function requireUser(req, res, next) {
+  if (req.user) return next();
+  if (req.authError) {
+    return res.status(401).json({ error: req.authError });
+  }
+  if (getAuthConfig().mode === 'optional') return next();
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
+/**
+ * Whether a caller may use something owned by ownerId (a session or generated file).
+ * Unowned resources are open only when AUTH_MODE=optional.
+ * @param {string|null} ownerId - Owner's user ID
+ * @param {Object|null} user - req.user
+ * @returns {boolean}
+ */
+function canAccess(ownerId, user) {
+  if (ownerId) return !!user && user.id === ownerId;
+  return getAuthConfig().mode === 'optional';
+}
+
+module.exports = {
+  getAuthConfig,
+  verifyToken,
+  issueDevToken,
+  authenticate,
+  requireUser,
+  canAccess
+};
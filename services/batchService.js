@@ -0,0 +1,313 @@
+// batchService.js - Batch Form Filling from CSV/JSON Rows
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const { parse } = require('csv-parse/sync');
+const { v4: uuidv4 } = require('uuid');
+
+const { createSessionStore } = require('./sessionStore');
+const { validateFieldInput } = require('./validators');
+const { isFieldApplicable, isFieldRequired } = require('./fieldConditions');
+const { applyFormDefaults, checkFormRules } = require('./formRules');
+const { generateVerifiedPDF } = require('./pdfService');
+const { allocateFile, registerFile, getDownloadConfig } = require('./fileRegistry');
+const { normalizeDigits } = require('./i18n');
+
+/**
+ * Job records use the session store adapters (SESSION_STORE) under their own directory / key prefix.
+ * Rows are only held in memory while a job runs; records keep per-row results, never the values.
+ * Record: { id, userId, formId, formVersion, language, status, total, processed, succeeded, failed,
+ *           ignoredColumns, rows: [{ row, status, errors, filename }], fileId, error, worker: { host, pid },
+ *           createdAt, updatedAt, completedAt, expiresAt }
+ */
+const store = createSessionStore({
+  directory: path.join(__dirname, '..', 'downloads', '.batches'),
+  prefix: 'intelliform:batch:',
+  ttl: null
+});
+
+/**
+ * Resolve batch configuration from the environment
+ * BATCH_MAX_ROWS (rows per job), BATCH_MAX_BYTES (largest CSV/JSON upload)
+ */
+function getBatchConfig() {
+  return {
+    maxRows: Number(process.env.BATCH_MAX_ROWS || 500),
+    maxBytes: Number(process.env.BATCH_MAX_BYTES || 5 * 1024 * 1024)
+  };
+}
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Read rows from an uploaded CSV (header row of field names) or JSON (array of objects, or { rows })
+ * @param {Buffer|string} contents - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} - { rows } or { error }
+ */
+function parseRows(contents, format) {
+  try {
+    if (format === 'csv') {
+      return { rows: parse(contents, { columns: true, bom: true, skip_empty_lines: true, trim: true }) };
+    }
+    const data = JSON.parse(contents.toString('utf8'));
+    return checkRows(Array.isArray(data) ? data : data?.rows);
+  } catch (error) {
+    return { error: `Could not read ${format.toUpperCase()}: ${error.message}` };
+  }
+}
+
+/**
+ * Accept only an array of plain objects
+ */
+function checkRows(rows) {
+  if (!Array.isArray(rows)) return { error: 'Rows must be an array of objects keyed by field name' };
+  if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    return { error: 'Every row must be an object keyed by field name' };
+  }
+  return { rows };
+}
+
+/**
+ * Validate one row the way the chat flow validates answers: each applicable field in form order
+ * through validateFieldInput, then form defaults and cross-field rules
+ * @param {Object} form - Verified form definition
+ * @param {Object} row - { <field name>: value }
+ * @returns {Object} - { formData, errors: [{ field, error }] }
+ */
+function validateRow(form, row) {
+  const formData = {};
+  const errors = [];
+
+  form.verified_fields.forEach((field) => {
+    if (!isFieldApplicable(field, formData)) return;
+
+    const required = isFieldRequired(field, formData);
+    const raw = row[field.name];
+    if (isEmpty(raw)) {
+      if (required) errors.push({ field: field.name, error: 'This field is required' });
+      return;
+    }
+
+    const validation = validateFieldInput({ ...field, required }, normalizeDigits(String(raw)));
+    if (validation.valid) {
+      formData[field.name] = validation.value;
+    } else {
+      errors.push({ field: field.name, error: validation.error });
+    }
+  });
+
+  if (errors.length === 0) {
+    applyFormDefaults(form, formData);
+    checkFormRules(form, formData).forEach(violation => errors.push({ field: violation.field, error: violation.message }));
+  }
+
+  return { formData, errors };
+}
+
+const saveJob = (job) => store.set(job.id, { ...job, updatedAt: new Date().toISOString() });
+
+/**
+ * Build a job's PDFs one row at a time, zip them with a report of every row and register the ZIP
+ */
+async function runJob(job, form, rows) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'intelliform-batch-'));
+  job.status = 'running';
+  await saveJob(job);
+
+  try {
+    const pdfs = [];
+    for (const [index, row] of rows.entries()) {
+      const number = index + 1;
+      const { formData, errors } = validateRow(form, row);
+      const result = { row: number, status: errors.length ? 'invalid' : 'ok', errors };
+
+      if (!errors.length) {
+        try {
+          result.filename = `${form.id}_row_${String(number).padStart(4, '0')}.pdf`;
+          await generateVerifiedPDF(formData, form, path.join(workDir, result.filename), { language: job.language });
+          pdfs.push(result.filename);
+        } catch (error) {
+          Object.assign(result, { status: 'error', filename: undefined, errors: [{ field: null, error: `PDF generation failed: ${error.message}` }] });
+        }
+      }
+
+      job.rows.push(result);
+      job.processed = number;
+      job[result.status === 'ok' ? 'succeeded' : 'failed']++;
+      await saveJob(job);
+    }
+
+    const file = allocateFile(`${form.id}_batch_${Date.now()}.zip`, 'application/zip');
+    await writeZip(file.path, workDir, pdfs, { formId: form.id, formVersion: form.version, rows: job.rows });
+    const record = await registerFile(file, { userId: job.userId, sessionId: null, formId: form.id });
+
+    Object.assign(job, { status: 'completed', fileId: record.id, completedAt: new Date().toISOString(), expiresAt: record.expiresAt });
+    console.log(`📦 Batch ${job.id} completed: ${job.succeeded}/${job.total} ${form.id} PDFs`);
+  } catch (error) {
+    console.error(`❌ Batch ${job.id} failed:`, error);
+    Object.assign(job, { status: 'failed', error: 'Batch processing failed', completedAt: new Date().toISOString() });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  await saveJob(job);
+}
+
+/**
+ * Write the PDFs and report.json (per-row results) into a ZIP
+ */
+function writeZip(outputPath, workDir, pdfs, report) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    pdfs.forEach(filename => archive.file(path.join(workDir, filename), { name: filename }));
+    archive.append(JSON.stringify(report, null, 2), { name: 'report.json' });
+    archive.finalize();
+  });
+}
+
+/**
+ * Record a job as failed when it stopped outside runJob's own error handling
+ * (its working directory or status could not be written)
+ */
+async function failJob(job, error, reason = 'Batch processing failed') {
+  console.error(`❌ Batch ${job.id} failed:`, error);
+  Object.assign(job, { status: 'failed', error: reason, completedAt: new Date().toISOString() });
+  await saveJob(job).catch(saveError => console.error(`❌ Batch ${job.id} status could not be saved:`, saveError));
+}
+
+// Jobs run one after another so a large batch can't starve chat requests
+let queue = Promise.resolve();
+
+// The process a job is queued in; only that process can run it
+const WORKER = { host: os.hostname(), pid: process.pid };
+
+/**
+ * Queue a batch job
+ * @param {Object} form - Verified form definition (latest version)
+ * @param {Array<Object>} rows - Rows keyed by verified_fields names
+ * @param {Object} options - { userId, language }
+ * @returns {Promise<Object>} - { success, job } or { success: false, status, error }
+ */
+async function createBatchJob(form, rows, { userId = null, language = 'en' } = {}) {
+  const { maxRows } = getBatchConfig();
+  if (rows.length === 0) {
+    return { success: false, status: 400, error: 'No rows to process' };
+  }
+  if (rows.length > maxRows) {
+    return { success: false, status: 413, error: `Too many rows: ${rows.length} (at most ${maxRows})` };
+  }
+
+  const fieldNames = new Set(form.verified_fields.map(field => field.name));
+  const columns = new Set(rows.flatMap(row => Object.keys(row)));
+  const now = new Date();
+
+  const job = {
+    id: uuidv4(),
+    userId,
+    formId: form.id,
+    formVersion: form.version,
+    language,
+    status: 'queued',
+    total: rows.length,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    ignoredColumns: [...columns].filter(column => !fieldNames.has(column)),
+    rows: [],
+    fileId: null,
+    error: null,
+    worker: WORKER,
+    createdAt: now.toISOString(),
+    completedAt: null,
+    expiresAt: new Date(now.getTime() + getDownloadConfig().retention).toISOString()
+  };
+  await saveJob(job);
+
+  queue = queue.then(() => runJob(job, form, rows)).catch(error => failJob(job, error));
+  console.log(`📦 Batch ${job.id} queued: ${rows.length} ${form.id} rows`);
+  return { success: true, job };
+}
+
+/**
+ * Look up a batch job
+ * @returns {Promise<Object|null>}
+ */
+async function getBatchJob(jobId) {
+  if (typeof jobId !== 'string' || !/^[0-9a-f-]{36}$/.test(jobId)) return null;
+  return store.get(jobId);
+}
+
+/**
+ * Whether the process that queued a job may still be running it. Processes on other hosts
+ * (sharing a Redis store) are assumed to be; on this host the PID is checked.
+ */
+const isWorkerAlive = (worker) => {
+  if (!worker) return false;
+  if (worker.host !== WORKER.host) return true;
+  if (worker.pid === WORKER.pid) return true;
+  try {
+    process.kill(worker.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Startup job: fail jobs left queued or running by a process that has stopped; their rows
+ * were only held in that process's memory
+ * @returns {Promise<number>} - Jobs marked failed
+ */
+async function failInterruptedBatches() {
+  let count = 0;
+
+  for (const id of await store.list()) {
+    const job = await store.get(id);
+    if (job && ['queued', 'running'].includes(job.status) && !isWorkerAlive(job.worker)) {
+      await failJob(job, new Error('worker process stopped'), 'Interrupted by a server restart; submit the rows again');
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Delete job records past their expiry; their ZIPs are removed by the file retention job
+ * @returns {Promise<number>} - Jobs removed
+ */
+async function cleanupExpiredBatches() {
+  const now = Date.now();
+  let count = 0;
+
+  for (const id of await store.list()) {
+    const job = await store.get(id);
+    if (job && new Date(job.expiresAt).getTime() <= now) {
+      await store.delete(id);
+      count++;
+    }
+  }
+
+  if (count > 0) {
+    console.log(`🧹 Deleted ${count} expired batch jobs`);
+  }
+  return count;
+}
+
+module.exports = {
+  getBatchConfig,
+  parseRows,
+  checkRows,
+  validateRow,
+  createBatchJob,
+  getBatchJob,
+  failInterruptedBatches,
+  cleanupExpiredBatches
+};
@@ -0,0 +1,37 @@
+// canonicalFields.js - Canonical Personal Details Shared Across Forms
+
+/**
+ * Details that recur across forms under different field names. Profiles and
+ * document extraction use the canonical key; each form field maps to at most one.
+ * A field can override the mapping with `profile_key` (a canonical key, or false to opt out).
+ * `sensitive` entries are encrypted at rest and masked in API responses; `freeText` ones are masked like addresses.
+ */
+const CANONICAL_FIELDS = {
+  full_name: { label: 'name', fields: ['full_name', 'proprietor_name', 'owner_name'] },
+  father_name: { label: "father's name", fields: ['father_name', 'relative_name'] },
+  date_of_birth: { label: 'date of birth', fields: ['date_of_birth'], sensitive: true },
+  gender: { label: 'gender', fields: ['gender'] },
+  mobile_number: { label: 'mobile number', fields: ['mobile_number'] },
+  email_address: { label: 'email', fields: ['email_address'] },
+  address: { label: 'address', fields: ['address', 'current_address', 'owner_address'], sensitive: true, freeText: true },
+  pan_number: { label: 'PAN', fields: ['pan_number'], sensitive: true },
+  ifsc: { label: 'bank IFSC', fields: ['bank_ifsc'], sensitive: true }
+};
+
+/**
+ * Canonical key for a form field
+ * @param {Object} field - Field definition
+ * @returns {string|null} - Canonical key, or null when the field isn't shared
+ */
+function getCanonicalKey(field) {
+  if (!field) return null;
+  if (field.profile_key !== undefined) return field.profile_key || null;
+
+  const match = Object.entries(CANONICAL_FIELDS).find(([, entry]) => entry.fields.includes(field.name));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  getCanonicalKey
+};
@@ -0,0 +1,397 @@
+// documentService.js - Document Uploads, OCR and Autofill Suggestions
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const { validateFieldInput } = require('./validators');
+const { isFieldApplicable } = require('./fieldConditions');
+const { getCanonicalKey } = require('./canonicalFields');
+const { encryptBuffer } = require('./encryption');
+const { findSession } = require('./sessionService');
+
+const getUploadsDir = () => process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+
+/**
+ * Accepted upload types and the extension they are stored with
+ */
+const UPLOAD_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/tiff': '.tif',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * Resolve OCR configuration from the environment
+ * OCR_ENGINE (tesseract | none), OCR_LANGUAGES (e.g. eng+hin), OCR_LANG_PATH, UPLOAD_MAX_BYTES
+ */
+function getDocumentConfig() {
+  return {
+    engine: process.env.OCR_ENGINE || 'tesseract',
+    languages: process.env.OCR_LANGUAGES || 'eng',
+    langPath: process.env.OCR_LANG_PATH ||
+      path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int'),
+    maxBytes: Number(process.env.UPLOAD_MAX_BYTES || 10 * 1024 * 1024)
+  };
+}
+
+// One Tesseract worker per language set, created on first use
+const tesseractWorkers = new Map();
+
+const getTesseractWorker = (config) => {
+  if (!tesseractWorkers.has(config.languages)) {
+    const { createWorker } = require('tesseract.js');
+    tesseractWorkers.set(config.languages, createWorker(config.languages, 1, {
+      langPath: config.langPath,
+      gzip: true,
+      cacheMethod: 'none'
+    }));
+  }
+  return tesseractWorkers.get(config.languages);
+};
+
+/**
+ * OCR engines keyed by OCR_ENGINE. Each turns image contents into plain text, locally.
+ */
+const OCR_ENGINES = {
+  tesseract: async (buffer, config) => {
+    const worker = await getTesseractWorker(config);
+    const { data } = await worker.recognize(buffer);
+    return data.text;
+  },
+
+  none: async () => ''
+};
+
+/**
+ * Text layer of a PDF (digitally issued documents such as e-PAN); scanned PDFs have none
+ */
+const extractPdfText = async (buffer) => {
+  const { PDFLoader } = require('@langchain/community/document_loaders/fs/pdf');
+  const pages = await new PDFLoader(new Blob([buffer], { type: 'application/pdf' }), { splitPages: false }).load();
+  return pages.map(page => page.pageContent).join('\n');
+};
+
+/**
+ * Read the text of an uploaded document
+ * @returns {Promise<Object>} - { text, engine, error }
+ */
+async function readDocumentText(buffer, mimeType) {
+  const config = getDocumentConfig();
+
+  try {
+    if (mimeType === 'application/pdf') {
+      return { text: await extractPdfText(buffer), engine: 'pdf-text' };
+    }
+
+    const engine = OCR_ENGINES[config.engine];
+    if (!engine) throw new Error(`Unknown OCR engine: ${config.engine}`);
+    return { text: await engine(buffer, config), engine: config.engine };
+  } catch (error) {
+    console.error('❌ Document text extraction failed:', error.message);
+    return { text: '', engine: config.engine, error: error.message };
+  }
+}
+
+const DATE_PATTERN = /\b(\d{2}[/-]\d{2}[/-]\d{4})\b/;
+const PAN_PATTERN = /\b([A-Z]{5}\d{4}[A-Z])\b/;
+
+const cleanLines = text => text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+// A line that looks like a printed name: letters only, at least two words
+const isNameLine = line => /^[A-Za-z][A-Za-z .']+$/.test(line) && line.split(' ').length >= 2 && !/government|india|department|income|tax|card|number|signature/i.test(line);
+
+/**
+ * Value printed on the line after a label ("Name", "Father's Name")
+ */
+const valueAfterLabel = (lines, label) => {
+  const index = lines.findIndex(line => label.test(line));
+  if (index === -1) return undefined;
+  const sameLine = lines[index].replace(label, '').replace(/^[\s:/-]+/, '').trim();
+  return sameLine || lines[index + 1];
+};
+
+/**
+ * Supported document types: how to recognise them, which checklist items they satisfy,
+ * and the values they carry (keyed by canonical field name).
+ * Detection tries them in order, so keep the most specific first.
+ */
+const DOCUMENT_TYPES = {
+  pan_card: {
+    label: 'PAN Card',
+    detect: /income tax department|permanent account number/i,
+    checklist: /\bPAN\b/,
+    extract: (text) => {
+      const lines = cleanLines(text);
+      const labelledName = valueAfterLabel(lines, /^Name\b/i);
+      const labelledFather = valueAfterLabel(lines, /^Father'?s Name\b/i);
+      // Older cards print name, father's name and date of birth without labels
+      const unlabelled = lines.filter(isNameLine);
+      return {
+        pan_number: (text.match(PAN_PATTERN) || [])[1],
+        full_name: labelledName || unlabelled[0],
+        father_name: labelledFather || unlabelled[1],
+        date_of_birth: (text.match(DATE_PATTERN) || [])[1]
+      };
+    }
+  },
+
+  voter_id: {
+    label: 'Voter ID',
+    detect: /election commission/i,
+    checklist: /\bvoter id\b/i,
+    extract: (text) => {
+      const lines = cleanLines(text);
+      return {
+        full_name: valueAfterLabel(lines, /^(?:Elector'?s )?Name\b/i),
+        father_name: valueAfterLabel(lines, /^(?:Father|Husband)'?s Name\b/i),
+        gender: (text.match(/\b(MALE|FEMALE)\b/i) || [])[1],
+        date_of_birth: (text.match(DATE_PATTERN) || [])[1]
+      };
+    }
+  },
+
+  passport: {
+    label: 'Passport',
+    detect: /P<IND|republic of india[\s\S]*passport/i,
+    checklist: /\bpassport\b(?! size)/i,
+    extract: text => ({ date_of_birth: (text.match(DATE_PATTERN) || [])[1] })
+  },
+
+  driving_license: {
+    label: 'Driving License',
+    detect: /driving licen[cs]e/i,
+    checklist: /\bdriving licen[cs]e\b/i,
+    extract: text => ({ date_of_birth: (text.match(DATE_PATTERN) || [])[1] })
+  },
+
+  aadhaar: {
+    label: 'Aadhaar Card',
+    detect: /aadhaar|unique identification|\b\d{4} \d{4} \d{4}\b/i,
+    checklist: /\baadhaar\b/i,
+    extract: (text) => {
+      const lines = cleanLines(text);
+      const dobIndex = lines.findIndex(line => /DOB|Date of Birth|Year of Birth/i.test(line));
+      const address = text.match(/Address\s*:?\s*([\s\S]*?\b\d{6}\b)/i);
+      return {
+        aadhaar_number: (text.match(/\b(\d{4} \d{4} \d{4})\b/) || [])[1],
+        full_name: dobIndex > 0 && isNameLine(lines[dobIndex - 1]) ? lines[dobIndex - 1] : undefined,
+        date_of_birth: dobIndex !== -1 ? (lines[dobIndex].match(DATE_PATTERN) || [])[1] : undefined,
+        gender: (text.match(/\b(MALE|FEMALE|TRANSGENDER)\b/i) || [])[1],
+        address: address ? address[1].replace(/\s+/g, ' ').trim() : undefined
+      };
+    }
+  },
+
+  utility_bill: {
+    label: 'Utility Bill',
+    detect: /electricity|water bill|consumer (?:no|number)|bill date/i,
+    checklist: /utility bill|electricity bill|address proof/i,
+    extract: () => ({})
+  },
+
+  bank_statement: {
+    label: 'Bank Statement',
+    detect: /statement of account|account statement|cheque/i,
+    checklist: /bank (?:account )?statement|cancelled cheque/i,
+    extract: text => ({ ifsc: (text.match(/\b([A-Z]{4}0[A-Z0-9]{6})\b/) || [])[1] })
+  },
+
+  photo: {
+    label: 'Photograph',
+    detect: null,
+    checklist: /photograph/i,
+    extract: () => ({})
+  },
+
+  other: {
+    label: 'Document',
+    detect: null,
+    checklist: null,
+    extract: () => ({})
+  }
+};
+
+/**
+ * Recognise the document type from its text
+ */
+function detectDocumentType(text) {
+  const match = Object.entries(DOCUMENT_TYPES).find(([, type]) => type.detect && type.detect.test(text));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Checklist items of a form that a document satisfies
+ * @param {Object} form - Form definition
+ * @param {Object} document - Stored document record
+ * @returns {Array<number>} - Indexes into verified_documents
+ */
+function matchChecklistItems(form, document) {
+  if (document.checklistItems) return document.checklistItems;
+  const pattern = DOCUMENT_TYPES[document.documentType]?.checklist;
+  if (!pattern) return [];
+  return form.verified_documents
+    .map((item, index) => (pattern.test(item) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+/**
+ * Per-document checklist for the session's form
+ * @param {LangChainSession} session - Current session
+ * @returns {Array<Object>|null} - [{ document, provided, uploads }], or null before a form is chosen
+ */
+function getDocumentChecklist(session) {
+  const form = session.verifiedFormStructure;
+  if (!form) return null;
+
+  return form.verified_documents.map((item, index) => {
+    const uploads = session.documents
+      .filter(document => matchChecklistItems(form, document).includes(index))
+      .map(document => document.id);
+    return { document: item, provided: uploads.length > 0, uploads };
+  });
+}
+
+/**
+ * Resolve a client's checklist choice (index or item text) to indexes
+ */
+const resolveChecklistItems = (form, choice) => {
+  if (choice === undefined || choice === null || choice === '' || !form) return undefined;
+  const index = /^\d+$/.test(String(choice)) ? Number(choice) :
+    form.verified_documents.findIndex(item => item.toLowerCase() === String(choice).toLowerCase());
+  return index >= 0 && index < form.verified_documents.length ? [index] : undefined;
+};
+
+/**
+ * Store an uploaded document on a session, read it and extract field values
+ * @param {LangChainSession} session - Session to attach the document to
+ * @param {Object} file - { buffer, originalname, mimetype, size } (multer memory upload)
+ * @param {Object} options - { documentType, checklistItem } supplied by the client
+ * @returns {Promise<Object>} - Stored document record
+ */
+async function addDocument(session, file, { documentType, checklistItem } = {}) {
+  const id = uuidv4();
+  const dir = path.join(getUploadsDir(), session.id);
+  // ID scans are only ever written encrypted
+  const storedAs = `${id}${UPLOAD_TYPES[file.mimetype]}.enc`;
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, storedAs), encryptBuffer(file.buffer));
+
+  const { text, engine, error } = await readDocumentText(file.buffer, file.mimetype);
+  const type = DOCUMENT_TYPES[documentType] ? documentType : detectDocumentType(text);
+
+  const extracted = {};
+  Object.entries(DOCUMENT_TYPES[type].extract(text)).forEach(([key, value]) => {
+    if (value) extracted[key] = String(value).trim();
+  });
+
+  const document = {
+    id,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    storedAs,
+    documentType: type,
+    label: DOCUMENT_TYPES[type].label,
+    checklistItems: resolveChecklistItems(session.verifiedFormStructure, checklistItem),
+    extracted,
+    ocr: { engine, characters: text.length, error },
+    uploadedAt: new Date().toISOString()
+  };
+
+  session.documents.push(document);
+  console.log(`📄 Document ${document.label} uploaded to session ${session.id}: ${Object.keys(extracted).join(', ') || 'no fields'} extracted`);
+  return document;
+}
+
+/**
+ * Remove a document and its file from a session
+ * @returns {Promise<boolean>} - Whether the document existed
+ */
+async function removeDocument(session, documentId) {
+  const document = session.documents.find(candidate => candidate.id === documentId);
+  if (!document) return false;
+
+  session.documents = session.documents.filter(candidate => candidate.id !== documentId);
+  await fs.rm(path.join(getUploadsDir(), session.id, document.storedAs), { force: true });
+  return true;
+}
+
+/**
+ * Retention job: delete the upload folders of sessions that no longer exist. Folders are matched
+ * against the session store because Redis sessions expire by key TTL without a cleanup pass.
+ * @returns {Promise<number>} - Folders removed
+ */
+async function cleanupOrphanedUploads() {
+  let entries;
+  try {
+    entries = await fs.readdir(getUploadsDir(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let count = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || await findSession(entry.name)) continue;
+    await fs.rm(path.join(getUploadsDir(), entry.name), { recursive: true, force: true });
+    count++;
+  }
+
+  if (count > 0) {
+    console.log(`🧹 Deleted uploaded documents of ${count} expired sessions`);
+  }
+  return count;
+}
+
+/**
+ * Value from an uploaded document that could answer a field, for the user to confirm
+ * @param {LangChainSession} session - Current session
+ * @param {Object} field - Field definition
+ * @returns {Object|null} - { field, value, source, documentId, document } or null
+ */
+function findDocumentSuggestion(session, field) {
+  if (!field || session.formData[field.name] !== undefined) return null;
+  if (session.dismissedSuggestions.includes(field.name)) return null;
+  if (!isFieldApplicable(field, session.formData)) return null;
+
+  const key = getCanonicalKey(field);
+  if (!key) return null;
+
+  // Newest upload first
+  for (const document of [...session.documents].reverse()) {
+    if (!document.extracted[key]) continue;
+    const validation = validateFieldInput({ ...field, required: true }, document.extracted[key]);
+    if (validation.valid) {
+      return { field: field.name, value: validation.value, source: 'document', documentId: document.id, document: document.label };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fields of the session's form that uploaded documents can fill
+ * @returns {Array<Object>} - Suggestions (see findDocumentSuggestion)
+ */
+function listDocumentSuggestions(session) {
+  if (!session.verifiedFormStructure) return [];
+  return session.verifiedFormStructure.verified_fields
+    .map(field => findDocumentSuggestion(session, field))
+    .filter(Boolean);
+}
+
+module.exports = {
+  UPLOAD_TYPES,
+  DOCUMENT_TYPES,
+  OCR_ENGINES,
+  getDocumentConfig,
+  addDocument,
+  removeDocument,
+  cleanupOrphanedUploads,
+  detectDocumentType,
+  getDocumentChecklist,
+  findDocumentSuggestion,
+  listDocumentSuggestions
+};
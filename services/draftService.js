@@ -0,0 +1,127 @@
+// draftService.js - Saved Drafts and Resume Codes
+const crypto = require('crypto');
+const path = require('path');
+
+const { createSessionStore } = require('./sessionStore');
+const { findSession, saveSession, getSessionLifetimeConfig } = require('./sessionService');
+
+/**
+ * Resume codes map to sessions through their own index, kept with the session store adapters
+ * (SESSION_STORE) under a separate directory / key prefix.
+ * Record: { code, sessionId, savedAt, expiresAt }
+ */
+const store = createSessionStore({
+  directory: path.join(process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'sessions'), '.drafts'),
+  prefix: 'intelliform:draft:',
+  ttl: null
+});
+
+// No 0/O, 1/I/L: codes are read aloud and typed on phones
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Canonical form of a resume code: upper case, separators removed
+ * @param {string} code - Code as typed ("k7mq-4tx9", "K7MQ 4TX9")
+ * @returns {string|null} - "K7MQ4TX9", or null when it can't be a code
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.toUpperCase().replace(/[\s-]/g, '');
+  return normalized.length === CODE_LENGTH && [...normalized].every(char => CODE_ALPHABET.includes(char)) ? normalized : null;
+}
+
+/**
+ * Display form of a normalized code ("K7MQ-4TX9")
+ */
+const formatCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+const randomCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+/**
+ * Save a session as a draft, keeping it (and its resume code) for DRAFT_TTL_MS.
+ * Saving again keeps the same code and restarts the expiry.
+ * @param {LangChainSession} session - Session with a form in progress or complete
+ * @returns {Promise<Object>} - { success, draft } or { success: false, status, error }
+ */
+async function saveDraft(session) {
+  if (!session.currentForm) {
+    return { success: false, status: 409, error: 'Choose a form before saving a draft' };
+  }
+
+  let code = session.draft && normalizeCode(session.draft.code);
+  if (!code || !(await store.get(code))) {
+    do {
+      code = randomCode();
+    } while (await store.get(code));
+  }
+
+  const savedAt = new Date();
+  const draft = {
+    code: formatCode(code),
+    savedAt: savedAt.toISOString(),
+    expiresAt: new Date(savedAt.getTime() + getSessionLifetimeConfig().draftTtl).toISOString()
+  };
+  session.draft = draft;
+  await store.set(code, { code: draft.code, sessionId: session.id, savedAt: draft.savedAt, expiresAt: draft.expiresAt });
+  await saveSession(session);
+
+  console.log(`💾 Draft ${draft.code} saved for session ${session.id} (expires ${draft.expiresAt})`);
+  return { success: true, draft };
+}
+
+/**
+ * Find the session a resume code belongs to
+ * @param {string} code - Resume code in any case, with or without the dash
+ * @returns {Promise<LangChainSession|null>} - Session, or null for unknown, expired or replaced codes
+ */
+async function findDraftSession(code) {
+  const normalized = normalizeCode(code);
+  const record = normalized && await store.get(normalized);
+  if (!record || new Date(record.expiresAt).getTime() <= Date.now()) return null;
+
+  const session = await findSession(record.sessionId);
+  if (!session || !session.hasActiveDraft() || normalizeCode(session.draft.code) !== normalized) return null;
+  return session;
+}
+
+/**
+ * A user's saved drafts, soonest to expire first
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Array<LangChainSession>>}
+ */
+async function listDrafts(userId) {
+  const sessions = [];
+  for (const code of await store.list()) {
+    const session = await findDraftSession(code);
+    if (session && session.userId === userId) sessions.push(session);
+  }
+  return sessions.sort((a, b) => a.expiresAt() - b.expiresAt());
+}
+
+/**
+ * Remove resume codes whose draft expired or whose session is gone
+ * @returns {Promise<number>} - Codes removed
+ */
+async function cleanupExpiredDrafts() {
+  let count = 0;
+  for (const code of await store.list()) {
+    if (!(await findDraftSession(code))) {
+      await store.delete(code);
+      count++;
+    }
+  }
+
+  if (count > 0) {
+    console.log(`🧹 Removed ${count} expired draft codes`);
+  }
+  return count;
+}
+
+module.exports = {
+  normalizeCode,
+  saveDraft,
+  findDraftSession,
+  listDrafts,
+  cleanupExpiredDrafts
+};
@@ -0,0 +1,140 @@
+// encryption.js - Encryption at Rest for Sensitive Values and Files
+const crypto = require('crypto');
+
+const VALUE_PREFIX = 'enc:v1:';
+const FILE_MAGIC = Buffer.from('IFENC1');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_ID_BYTES = 8;
+
+let warnedAboutFallback = false;
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Derive a key and its short ID from a secret (any long random string)
+ */
+const deriveKey = (secret) => {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  return { key, id: crypto.createHash('sha256').update(key).digest('hex').slice(0, KEY_ID_BYTES) };
+};
+
+/**
+ * Resolve encryption keys from the environment
+ * DATA_ENCRYPTION_KEY encrypts new data; DATA_ENCRYPTION_PREVIOUS_KEYS (comma-separated) can still decrypt.
+ * Without a key, a per-process key is used and stored data can't be read after a restart.
+ * @returns {Object} - { current, keys, configured }
+ */
+function getEncryptionKeys() {
+  const configured = !!process.env.DATA_ENCRYPTION_KEY;
+  if (!configured && !warnedAboutFallback) {
+    warnedAboutFallback = true;
+    console.warn('⚠️ DATA_ENCRYPTION_KEY is not set: encrypted data will be unreadable after a restart');
+  }
+
+  const current = deriveKey(process.env.DATA_ENCRYPTION_KEY || fallbackSecret);
+  const previous = (process.env.DATA_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean)
+    .map(deriveKey);
+
+  return { current, keys: [current, ...previous], configured };
+}
+
+const findKey = (id) => getEncryptionKeys().keys.find(candidate => candidate.id === id);
+
+/**
+ * AES-256-GCM encrypt, returning iv | tag | ciphertext
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+};
+
+const open = (key, sealed) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+
+/**
+ * Encrypt a stored value as "enc:v1:<key id>:<base64url>"; the JSON type is preserved on decryption
+ * @param {*} value - Value to protect (undefined and null are left as they are)
+ * @returns {string|*}
+ */
+function encryptValue(value) {
+  if (value === undefined || value === null || isEncryptedValue(value)) return value;
+  const { current } = getEncryptionKeys();
+  return `${VALUE_PREFIX}${current.id}:${seal(current.key, Buffer.from(JSON.stringify(value))).toString('base64url')}`;
+}
+
+/**
+ * Decrypt a value from encryptValue(); plaintext values pass through
+ * @returns {*} - The original value, or undefined when no configured key can read it
+ */
+function decryptValue(value) {
+  if (!isEncryptedValue(value)) return value;
+
+  const [keyId, payload] = value.slice(VALUE_PREFIX.length).split(':');
+  const entry = findKey(keyId);
+  if (!entry) return undefined;
+
+  try {
+    return JSON.parse(open(entry.key, Buffer.from(payload, 'base64url')).toString('utf8'));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Apply encryptValue/decryptValue to selected (or all) keys of an object
+ * @param {Object} data - Plain object
+ * @param {Function} transform - encryptValue or decryptValue
+ * @param {Function} select - (key) => boolean, default all keys
+ * @returns {Object} - New object; keys that fail to decrypt are dropped
+ */
+function transformValues(data, transform, select = () => true) {
+  return Object.fromEntries(
+    Object.entries(data || {})
+      .map(([key, value]) => [key, select(key) ? transform(value) : value])
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Encrypt file contents: "IFENC1" | key id | iv | tag | ciphertext
+ * @param {Buffer} buffer - Plain contents
+ * @returns {Buffer}
+ */
+function encryptBuffer(buffer) {
+  const { current } = getEncryptionKeys();
+  return Buffer.concat([FILE_MAGIC, Buffer.from(current.id), seal(current.key, buffer)]);
+}
+
+/**
+ * Decrypt contents from encryptBuffer(); plain contents pass through
+ * @param {Buffer} buffer - Stored contents
+ * @returns {Buffer}
+ */
+function decryptBuffer(buffer) {
+  if (!buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) return buffer;
+
+  const keyId = buffer.subarray(FILE_MAGIC.length, FILE_MAGIC.length + KEY_ID_BYTES).toString();
+  const entry = findKey(keyId);
+  if (!entry) throw new Error(`No encryption key ${keyId} to read this file`);
+  return open(entry.key, buffer.subarray(FILE_MAGIC.length + KEY_ID_BYTES));
+}
+
+module.exports = {
+  getEncryptionKeys,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  transformValues,
+  encryptBuffer,
+  decryptBuffer
+};
@@ -0,0 +1,251 @@
+// exportService.js - Structured Export Formats (JSON, CSV, XML, DOCX)
+const fs = require('fs').promises;
+const path = require('path');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, Table, TableRow, TableCell, WidthType } = require('docx');
+
+const { getPrintedFields } = require('./pdfService');
+const { assessApplication } = require('./feeCalculator');
+
+/**
+ * Exporters render a filled form into one file format. Each receives the export context:
+ *   { form, formData, rows, assessment, language, confirmedAt, exportedAt, mapping }
+ * where rows are the printed fields of generateVerifiedPDF ([{ field, name, label, value, display }])
+ * and mapping is the form's mapping file for that format, if any.
+ *
+ * Mappings live in EXPORT_MAPPINGS_DIR (default ./export_mappings), one per form and format:
+ *   export_mappings/<form_id>.<format>.json
+ * XML mappings reshape the export to an e-filing utility's upload schema:
+ *   {
+ *     "root": "GSTRegistration",
+ *     "namespace": "urn:example:gst:reg01",           // optional
+ *     "fields": {
+ *       "business_name": "PartA/LegalName",             // element path under the root
+ *       "business_type": { "path": "PartA/Constitution", "values": { "Proprietorship": "PRO" } }
+ *     }
+ *   }
+ * Elements are written in mapping order; fields without a mapping are left out.
+ */
+const getMappingsDir = () => process.env.EXPORT_MAPPINGS_DIR || path.join(__dirname, '..', 'export_mappings');
+
+/**
+ * Load a form's mapping for an export format
+ * @param {string} formId - Form ID from the catalog
+ * @param {string} format - Export format
+ * @returns {Promise<Object|null>} - Mapping, or null when the form has none
+ */
+const loadExportMapping = async (formId, format) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(getMappingsDir(), `${formId}.${format}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid ${format} export mapping for ${formId}: ${error.message}`);
+  }
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Characters XML 1.0 can't carry at all, then the five that must be escaped
+const escapeXml = (value) => String(value ?? '')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[char]));
+
+const XML_NAME = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+/**
+ * Write a tree of { element: text | subtree } as indented XML
+ */
+const writeXmlTree = (tree, depth) => Object.entries(tree).map(([name, content]) => {
+  const indent = '  '.repeat(depth);
+  return typeof content === 'object' ?
+    `${indent}<${name}>\n${writeXmlTree(content, depth + 1)}\n${indent}</${name}>` :
+    `${indent}<${name}>${escapeXml(content)}</${name}>`;
+}).join('\n');
+
+/**
+ * XML shaped by a form's mapping
+ */
+const renderMappedXml = ({ form, rows }, mapping) => {
+  if (!XML_NAME.test(mapping.root || '')) {
+    throw new Error(`Invalid xml export mapping for ${form.id}: "root" must be an element name`);
+  }
+
+  const tree = {};
+  Object.entries(mapping.fields || {}).forEach(([fieldName, target]) => {
+    const row = rows.find(candidate => candidate.name === fieldName);
+    if (!row || row.value === null) return;
+
+    const { path: elementPath, values = {} } = typeof target === 'string' ? { path: target } : target;
+    const names = String(elementPath).split('/');
+    if (!names.every(name => XML_NAME.test(name))) {
+      throw new Error(`Invalid xml export mapping for ${form.id}: "${elementPath}" is not an element path`);
+    }
+
+    const parent = names.slice(0, -1).reduce((node, name) => {
+      if (typeof node[name] !== 'object') node[name] = {};
+      return node[name];
+    }, tree);
+    parent[names[names.length - 1]] = values[row.value] ?? row.value;
+  });
+
+  const namespace = mapping.namespace ? ` xmlns="${escapeXml(mapping.namespace)}"` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<${mapping.root}${namespace}>\n${writeXmlTree(tree, 1)}\n</${mapping.root}>\n`;
+};
+
+/**
+ * DOCX summary: the same header, fields, documents and fee lines as the PDF summary layout
+ */
+const renderDocx = ({ form, rows, assessment, exportedAt }) => {
+  const { fees, processingTime, eligibility } = assessment;
+  const cell = (text, bold = false) => new TableCell({
+    width: { size: 50, type: WidthType.PERCENTAGE },
+    children: [new Paragraph({ children: [new TextRun({ text, bold })] })]
+  });
+  const line = (label, text) => new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(text)] });
+
+  const document = new Document({
+    title: form.name,
+    creator: 'IntelliForm',
+    sections: [{
+      children: [
+        new Paragraph({ text: 'GOVERNMENT OF INDIA', heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER }),
+        new Paragraph({ text: form.authority.toUpperCase(), heading: HeadingLevel.HEADING_2, alignment: AlignmentType.CENTER }),
+        new Paragraph({ text: form.name.toUpperCase(), heading: HeadingLevel.HEADING_3, alignment: AlignmentType.CENTER }),
+        new Paragraph({ text: `Form No. ${form.form_number} • Verified on ${form.last_verified}`, alignment: AlignmentType.CENTER }),
+        new Paragraph(''),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: rows.map(row => new TableRow({ children: [cell(row.label, true), cell(row.display)] }))
+        }),
+        new Paragraph({ text: 'Verified Required Documents', heading: HeadingLevel.HEADING_3 }),
+        ...form.verified_documents.map((name, index) => new Paragraph(`${index + 1}. ${name}`)),
+        new Paragraph(''),
+        line('Processing Fee', fees.display),
+        ...fees.items.map(item => new Paragraph({ text: `${item.label}${item.note ? ` (${item.note})` : ''}`, bullet: { level: 0 } })),
+        line('Processing Time', processingTime),
+        ...(eligibility ? [
+          line('Eligibility', eligibility.verdict.replace('_', ' ')),
+          ...eligibility.findings.map(finding => new Paragraph({ text: finding.message, bullet: { level: 0 } }))
+        ] : []),
+        line('Official Website', form.official_website),
+        new Paragraph(''),
+        new Paragraph({ children: [new TextRun({ text: `Generated by IntelliForm on ${new Date(exportedAt).toLocaleString('en-IN')}`, size: 16, color: '666666' })] })
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(document);
+};
+
+/**
+ * Exporters keyed by format: { extension, contentType, description, render(context) → string | Buffer }
+ */
+const EXPORTERS = {
+  json: {
+    extension: 'json',
+    contentType: 'application/json',
+    description: 'Answers keyed by field name, with labels, form version and the fee assessment',
+    render: ({ form, rows, assessment, language, confirmedAt, exportedAt }) => JSON.stringify({
+      form: { id: form.id, version: form.version, name: form.name, authority: form.authority, form_number: form.form_number },
+      language,
+      confirmedAt,
+      exportedAt,
+      data: Object.fromEntries(rows.map(row => [row.name, row.value])),
+      fields: rows.map(row => ({ name: row.name, label: row.label, type: row.field.type, value: row.value })),
+      assessment
+    }, null, 2)
+  },
+
+  // Header of field names and one row of answers: the same layout batch filling reads
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    description: 'One header row of field names and one row of answers',
+    render: ({ rows }) => `${rows.map(row => csvCell(row.name)).join(',')}\r\n${rows.map(row => csvCell(row.value)).join(',')}\r\n`
+  },
+
+  xml: {
+    extension: 'xml',
+    contentType: 'application/xml',
+    description: "Shaped like the form's e-filing upload schema when a mapping exists, otherwise a generic field list",
+    render: (context) => {
+      if (context.mapping) return renderMappedXml(context, context.mapping);
+
+      const { form, rows, exportedAt } = context;
+      const fields = rows
+        .map(row => `    <field name="${row.name}" label="${escapeXml(row.label)}"${row.value === null ? ' provided="false"/>' : `>${escapeXml(row.value)}</field>`}`)
+        .join('\n');
+      return `<?xml version="1.0" encoding="UTF-8"?>\n<form id="${form.id}" version="${form.version}" exportedAt="${exportedAt}">\n` +
+        `  <name>${escapeXml(form.name)}</name>\n  <formNumber>${escapeXml(form.form_number)}</formNumber>\n  <fields>\n${fields}\n  </fields>\n</form>\n`;
+    }
+  },
+
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    description: 'Word summary laid out like the PDF',
+    render: renderDocx
+  }
+};
+
+/**
+ * Register (or replace) an export format
+ * @param {string} format - Name used in /api/export/:format
+ * @param {Object} exporter - { extension, contentType, description, render(context) }
+ */
+function registerExporter(format, exporter) {
+  EXPORTERS[format] = exporter;
+}
+
+/**
+ * Available export formats
+ * @returns {Array<Object>} - [{ format, extension, contentType, description }]
+ */
+const listExporters = () => Object.entries(EXPORTERS).map(([format, { extension, contentType, description }]) => ({
+  format, extension, contentType, description
+}));
+
+/**
+ * Look up an exporter
+ * @returns {Object|null}
+ */
+const getExporter = (format) => (Object.prototype.hasOwnProperty.call(EXPORTERS, format) ? EXPORTERS[format] : null);
+
+/**
+ * Render a filled form in an export format and write it to disk
+ * @param {string} format - Registered export format
+ * @param {Object} form - Verified form definition (the version that was filled)
+ * @param {Object} formData - Collected answers (unmasked)
+ * @param {string} outputPath - Path to save the file
+ * @param {Object} options - { language } for the field labels, { confirmedAt } when the answers were confirmed
+ * @returns {Promise<string>} - Path to the written file
+ */
+async function writeExport(format, form, formData, outputPath, { language = 'en', confirmedAt = null } = {}) {
+  const exporter = getExporter(format);
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+
+  const output = await exporter.render({
+    form,
+    formData,
+    rows: getPrintedFields(formData, form, { language }),
+    assessment: assessApplication(form, formData),
+    language,
+    confirmedAt,
+    exportedAt: new Date().toISOString(),
+    mapping: await loadExportMapping(form.id, format)
+  });
+
+  await fs.writeFile(outputPath, output);
+  return outputPath;
+}
+
+module.exports = {
+  EXPORTERS,
+  registerExporter,
+  listExporters,
+  getExporter,
+  loadExportMapping,
+  writeExport
+};
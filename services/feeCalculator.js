@@ -0,0 +1,119 @@
+// feeCalculator.js - Fee, Processing Time and Eligibility Rules
+const { evaluateCondition } = require('./fieldConditions');
+const { formatCurrency } = require('./validators');
+
+/**
+ * Form definitions may carry machine-readable rules next to the free-text verified_fees and
+ * verified_processing_time, evaluated against the collected answers (conditions use the show_if syntax):
+ *   fee_rules:             [{ label, amount, amount_max?, per_year?, note?, when? }]  matching items are added up
+ *   processing_time_rules: [{ time, when? }]                                          first match applies
+ *   eligibility_rules:     [{ level: "ineligible" | "warning" | "info", field?, when, message }]
+ * Forms without rules (or whose rules match nothing) fall back to the free text.
+ */
+
+const ELIGIBILITY_VERDICTS = {
+  ineligible: 'not_eligible',
+  warning: 'review'
+};
+
+const ELIGIBILITY_LABELS = {
+  eligible: 'Eligible',
+  review: 'Please review',
+  not_eligible: 'Not eligible'
+};
+
+/**
+ * "₹2,000 - ₹5,000 per year", "₹3,500" or "Free"
+ */
+const formatFee = (total, totalMax, perYear) => {
+  if (total === 0 && totalMax === 0) return 'Free';
+  const amount = totalMax > total ? `${formatCurrency(total)} - ${formatCurrency(totalMax)}` : formatCurrency(total);
+  return perYear ? `${amount} per year` : amount;
+};
+
+/**
+ * One fee item as a line: "Label: ₹100 - ₹500 (note)"
+ */
+const describeFeeItem = (item) => {
+  const amount = item.amountMax > item.amount ? `${formatCurrency(item.amount)} - ${formatCurrency(item.amountMax)}` : formatCurrency(item.amount);
+  return `${item.label}: ${amount}${item.note ? ` (${item.note})` : ''}`;
+};
+
+/**
+ * Fee items that apply to the answers and their total (a range when any item is)
+ * @param {Object} formStructure - Verified form definition
+ * @param {Object} formData - Collected answers
+ * @returns {Object} - { calculated, items: [{ label, amount, amountMax, perYear, note }], total, totalMax, display }
+ */
+function calculateFees(formStructure, formData) {
+  const items = (formStructure.fee_rules || [])
+    .filter(rule => evaluateCondition(rule.when, formData))
+    .map(rule => ({
+      label: rule.label,
+      amount: rule.amount,
+      amountMax: rule.amount_max ?? rule.amount,
+      perYear: !!rule.per_year,
+      note: rule.note || null
+    }));
+
+  if (items.length === 0) {
+    return { calculated: false, items, total: null, totalMax: null, display: formStructure.verified_fees };
+  }
+
+  const total = items.reduce((sum, item) => sum + item.amount, 0);
+  const totalMax = items.reduce((sum, item) => sum + item.amountMax, 0);
+  return {
+    calculated: true,
+    items,
+    total,
+    totalMax,
+    display: formatFee(total, totalMax, items.every(item => item.perYear))
+  };
+}
+
+/**
+ * Processing time for the answers: the first matching rule, else the form's free text
+ */
+function estimateProcessingTime(formStructure, formData) {
+  const match = (formStructure.processing_time_rules || []).find(rule => evaluateCondition(rule.when, formData));
+  return match ? match.time : formStructure.verified_processing_time;
+}
+
+/**
+ * Eligibility findings for the answers. Any "ineligible" finding makes the verdict not_eligible,
+ * otherwise any "warning" makes it review.
+ * @returns {Object|null} - { verdict, findings: [{ level, field, message }] }, or null when the form has no rules
+ */
+function checkEligibility(formStructure, formData) {
+  if (!formStructure.eligibility_rules) return null;
+
+  const findings = formStructure.eligibility_rules
+    .filter(rule => evaluateCondition(rule.when, formData))
+    .map(rule => ({ level: rule.level, field: rule.field || null, message: rule.message }));
+
+  const level = ['ineligible', 'warning'].find(candidate => findings.some(finding => finding.level === candidate));
+  return { verdict: ELIGIBILITY_VERDICTS[level] || 'eligible', findings };
+}
+
+/**
+ * Fee, processing time and eligibility for a filled form
+ * @param {Object} formStructure - Verified form definition (the version that was filled)
+ * @param {Object} formData - Collected answers (unmasked)
+ * @returns {Object} - { fees, processingTime, eligibility }
+ */
+function assessApplication(formStructure, formData) {
+  return {
+    fees: calculateFees(formStructure, formData),
+    processingTime: estimateProcessingTime(formStructure, formData),
+    eligibility: checkEligibility(formStructure, formData)
+  };
+}
+
+module.exports = {
+  calculateFees,
+  estimateProcessingTime,
+  checkEligibility,
+  assessApplication,
+  describeFeeItem,
+  ELIGIBILITY_LABELS
+};
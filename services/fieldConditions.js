@@ -0,0 +1,122 @@
+// fieldConditions.js - Conditional and Dependent Form Fields
+
+/**
+ * Field definitions may carry declarative conditions:
+ *   show_if:     the field is only asked (and printed) when the condition holds
+ *   required_if: the field is required only when the condition holds
+ *
+ * A condition is one of:
+ *   { field: "applicant_category", equals: "Company" }
+ *   { field: "company_type", not_equals: "One Person Company (OPC)" }
+ *   { field: "company_type", in: ["Private Limited Company", "Public Limited Company"] }
+ *   { field: "company_type", not_in: [...] }
+ *   { field: "director2_name", answered: true }
+ *   { field: "annual_turnover", at_least: 1200000 }       (also at_most, greater_than, less_than)
+ *   { all: [condition, ...] }, { any: [condition, ...] } or an array (all)
+ */
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const isAnswered = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+/**
+ * Numeric comparisons; unanswered or non-numeric values never match
+ */
+const NUMERIC_OPERATORS = {
+  at_least: (value, limit) => value >= limit,
+  at_most: (value, limit) => value <= limit,
+  greater_than: (value, limit) => value > limit,
+  less_than: (value, limit) => value < limit
+};
+
+/**
+ * Evaluate a condition against collected form data
+ * @param {Object|Array} condition - Condition definition
+ * @param {Object} formData - Collected answers
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, formData) {
+  if (!condition) return true;
+  if (Array.isArray(condition)) return condition.every(c => evaluateCondition(c, formData));
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, formData));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, formData));
+
+  const value = formData[condition.field];
+
+  if ('answered' in condition) return isAnswered(value) === condition.answered;
+  if ('equals' in condition) return normalize(value) === normalize(condition.equals);
+  if ('not_equals' in condition) return isAnswered(value) && normalize(value) !== normalize(condition.not_equals);
+  if ('in' in condition) return condition.in.some(option => normalize(option) === normalize(value));
+  if ('not_in' in condition) return isAnswered(value) && !condition.not_in.some(option => normalize(option) === normalize(value));
+
+  const operator = Object.keys(NUMERIC_OPERATORS).find(name => name in condition);
+  if (operator) {
+    const number = Number(value);
+    return isAnswered(value) && Number.isFinite(number) && NUMERIC_OPERATORS[operator](number, condition[operator]);
+  }
+
+  throw new Error(`Unsupported field condition: ${JSON.stringify(condition)}`);
+}
+
+/**
+ * Whether a field should be asked for the current answers
+ */
+function isFieldApplicable(field, formData) {
+  return evaluateCondition(field.show_if, formData);
+}
+
+/**
+ * Whether a field must be answered for the current answers
+ */
+function isFieldRequired(field, formData) {
+  if (!isFieldApplicable(field, formData)) return false;
+  if (field.required_if) return evaluateCondition(field.required_if, formData);
+  return !!field.required;
+}
+
+/**
+ * Fields that apply to the current answers, in form order
+ * @param {Object} formStructure - Verified form definition
+ * @param {Object} formData - Collected answers
+ * @returns {Array} - Applicable field definitions
+ */
+function getApplicableFields(formStructure, formData) {
+  return formStructure.verified_fields.filter(field => isFieldApplicable(field, formData));
+}
+
+/**
+ * Index of the first applicable field at or after `start` (fields.length if none)
+ */
+function nextApplicableIndex(fields, formData, start) {
+  let index = Math.max(start, 0);
+  while (index < fields.length && !isFieldApplicable(fields[index], formData)) index++;
+  return index;
+}
+
+/**
+ * Index of the last applicable field before `start` (-1 if none)
+ */
+function previousApplicableIndex(fields, formData, start) {
+  let index = start - 1;
+  while (index >= 0 && !isFieldApplicable(fields[index], formData)) index--;
+  return index;
+}
+
+/**
+ * Index of the first required, applicable field before `end` that has no answer (-1 if none)
+ */
+function findMissingField(fields, formData, end = fields.length) {
+  return fields.slice(0, end).findIndex(field =>
+    isFieldRequired(field, formData) && !isAnswered(formData[field.name])
+  );
+}
+
+module.exports = {
+  evaluateCondition,
+  isFieldApplicable,
+  isFieldRequired,
+  getApplicableFields,
+  nextApplicableIndex,
+  previousApplicableIndex,
+  findMissingField
+};
@@ -0,0 +1,225 @@
+// fileRegistry.js - Generated Files, Signed Download Links and Retention
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const { createSessionStore } = require('./sessionStore');
+const { findSession, saveSession, withSessionLock, SessionConflictError } = require('./sessionService');
+const { encryptBuffer, decryptBuffer } = require('./encryption');
+
+const DOWNLOADS_DIR = path.join(__dirname, '..', 'downloads');
+
+/**
+ * Generated files are addressed by opaque IDs and stored encrypted as downloads/<id>.<ext>.enc;
+ * the readable name is only used for Content-Disposition. Records use the session store
+ * adapters (SESSION_STORE) under their own directory / key prefix.
+ * Record: { id, storedAs, downloadName, contentType, userId, sessionId, formId, createdAt, expiresAt }
+ */
+const store = createSessionStore({
+  directory: path.join(DOWNLOADS_DIR, '.index'),
+  prefix: 'intelliform:file:',
+  ttl: null
+});
+
+const FILE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Signs links when neither DOWNLOAD_URL_SECRET nor AUTH_JWT_SECRET is set; links break on restart
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Resolve download configuration from the environment
+ * DOWNLOAD_URL_SECRET, DOWNLOAD_URL_TTL_MS (link lifetime), FILE_RETENTION_MS (how long generated files are kept)
+ */
+function getDownloadConfig() {
+  return {
+    secret: process.env.DOWNLOAD_URL_SECRET || process.env.AUTH_JWT_SECRET || fallbackSecret,
+    urlTtl: Number(process.env.DOWNLOAD_URL_TTL_MS || 15 * 60 * 1000),
+    retention: Number(process.env.FILE_RETENTION_MS || 24 * 60 * 60 * 1000)
+  };
+}
+
+const isFileId = (fileId) => typeof fileId === 'string' && FILE_ID_PATTERN.test(fileId);
+
+/**
+ * Reserve an ID and path for a new file
+ * @param {string} downloadName - Name offered to the browser
+ * @param {string} contentType - MIME type served on download (PDF unless given)
+ * @returns {Object} - { id, storedAs, downloadName, contentType, path }
+ */
+function allocateFile(downloadName, contentType = 'application/pdf') {
+  const id = uuidv4();
+  const storedAs = `${id}${path.extname(downloadName) || '.pdf'}.enc`;
+  return { id, storedAs, downloadName, contentType, path: path.join(DOWNLOADS_DIR, storedAs) };
+}
+
+/**
+ * Encrypt a generated file in place and record who it belongs to
+ * @param {Object} file - Output of allocateFile(), already written in plaintext
+ * @param {Object} owner - { userId, sessionId, formId } (sessionId is null for batch output)
+ * @returns {Promise<Object>} - The stored record
+ */
+async function registerFile(file, { userId, sessionId, formId }) {
+  const tempPath = `${file.path}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, encryptBuffer(await fs.readFile(file.path)));
+  await fs.rename(tempPath, file.path);
+
+  const createdAt = new Date();
+  const record = {
+    id: file.id,
+    storedAs: file.storedAs,
+    downloadName: file.downloadName,
+    contentType: file.contentType,
+    userId: userId || null,
+    sessionId,
+    formId,
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + getDownloadConfig().retention).toISOString()
+  };
+  await store.set(file.id, record);
+  return record;
+}
+
+/**
+ * Look up a file record by ID
+ * @returns {Promise<Object|null>} - Record, or null for unknown or malformed IDs
+ */
+async function getFileRecord(fileId) {
+  if (!isFileId(fileId)) return null;
+  return store.get(fileId);
+}
+
+/**
+ * Absolute path of a record's file, refusing anything outside the downloads directory
+ */
+function resolveFilePath(record) {
+  const filePath = path.resolve(DOWNLOADS_DIR, record.storedAs);
+  if (path.dirname(filePath) !== path.resolve(DOWNLOADS_DIR)) {
+    throw new Error(`File record ${record.id} points outside the downloads directory`);
+  }
+  return filePath;
+}
+
+const signature = (record, expires) => crypto
+  .createHmac('sha256', getDownloadConfig().secret)
+  .update(`${record.id}.${record.sessionId}.${expires}`)
+  .digest('base64url');
+
+/**
+ * Decrypted contents of a registered file
+ * @returns {Promise<Buffer>}
+ */
+async function readStoredFile(record) {
+  return decryptBuffer(await fs.readFile(resolveFilePath(record)));
+}
+
+/**
+ * Signed, expiring download URL for a file; the signature also covers the owning session
+ * @returns {Object} - { url, expiresAt }
+ */
+function createDownloadLink(record) {
+  const expires = Date.now() + getDownloadConfig().urlTtl;
+  return {
+    url: `/api/download/${record.id}?expires=${expires}&signature=${signature(record, expires)}`,
+    expiresAt: new Date(expires).toISOString()
+  };
+}
+
+/**
+ * Check a download URL's signature and expiry
+ * @returns {Object} - { valid, status, error }
+ */
+function verifyDownloadLink(record, { expires, signature: provided }) {
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt) || typeof provided !== 'string') {
+    return { valid: false, status: 403, error: 'Download link is not signed' };
+  }
+
+  const expected = Buffer.from(signature(record, expiresAt));
+  const actual = Buffer.from(provided);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, status: 403, error: 'Download link signature is invalid' };
+  }
+  if (Date.now() > expiresAt) {
+    return { valid: false, status: 410, error: 'Download link has expired' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Delete a file, its record and its session.generatedFiles entry
+ * @param {Object} record - File record
+ */
+async function removeFile(record) {
+  await fs.rm(resolveFilePath(record), { force: true });
+  await store.delete(record.id);
+
+  // When another node saved the session meanwhile the entry stays; file listings skip missing records
+  await withSessionLock(record.sessionId, async () => {
+    const session = await findSession(record.sessionId);
+    if (session && session.generatedFiles.some(file => file.fileId === record.id)) {
+      session.generatedFiles = session.generatedFiles.filter(file => file.fileId !== record.id);
+      await saveSession(session);
+    }
+  }).catch((error) => {
+    if (!(error instanceof SessionConflictError)) throw error;
+  });
+}
+
+/**
+ * Retention job: delete files past their expiry (FILE_RETENTION_MS after generation), then any file in
+ * the downloads directory without a live record that is older than the retention period (left behind
+ * when a record expired on its own, or by a crash between writing and registering a file)
+ * @returns {Promise<number>} - Files removed
+ */
+async function cleanupExpiredFiles() {
+  const now = Date.now();
+  let count = 0;
+
+  for (const id of await store.list()) {
+    const record = await store.get(id);
+    if (record && new Date(record.expiresAt).getTime() <= now) {
+      await removeFile(record);
+      count++;
+    }
+  }
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(DOWNLOADS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const cutoff = now - getDownloadConfig().retention;
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+
+    const filePath = path.join(DOWNLOADS_DIR, entry.name);
+    const id = entry.name.split('.')[0];
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || stats.mtimeMs > cutoff || (isFileId(id) && await store.get(id))) continue;
+
+    await fs.rm(filePath, { force: true });
+    count++;
+  }
+
+  if (count > 0) {
+    console.log(`🧹 Deleted ${count} expired generated files`);
+  }
+  return count;
+}
+
+module.exports = {
+  getDownloadConfig,
+  isFileId,
+  allocateFile,
+  registerFile,
+  getFileRecord,
+  resolveFilePath,
+  readStoredFile,
+  createDownloadLink,
+  verifyDownloadLink,
+  removeFile,
+  cleanupExpiredFiles
+};
@@ -0,0 +1,229 @@
+// formBundles.js - Multi-Form Workflows (Form Bundles)
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+
+const BUNDLE_SCHEMA = require('../schemas/bundle.schema.json');
+const { VERIFIED_GOVERNMENT_FORMS } = require('./formsDatabase');
+const { getCanonicalKey } = require('./canonicalFields');
+const { validateFieldInput } = require('./validators');
+const { isFieldApplicable } = require('./fieldConditions');
+const { assessApplication } = require('./feeCalculator');
+
+const validateAgainstSchema = new Ajv({ allErrors: true }).compile(BUNDLE_SCHEMA);
+
+/**
+ * Bundles live in BUNDLES_DIR (default ./bundles), one file per bundle named after its ID:
+ *   bundles/<bundle_id>.json | .yaml | .yml
+ * A bundle lists forms filled one after another for a goal such as "open a restaurant company",
+ * the forms each one depends on, and answers shared between forms under different field names.
+ */
+const getBundlesDir = () => process.env.BUNDLES_DIR || path.join(__dirname, '..', 'bundles');
+
+const BUNDLE_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+/**
+ * Every bundle in the catalog, by ID
+ */
+const VERIFIED_FORM_BUNDLES = {};
+
+/**
+ * Validate a bundle against the JSON Schema and the forms catalog
+ * @param {Object} definition - Parsed bundle definition
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateBundleDefinition(definition) {
+  if (!validateAgainstSchema(definition)) {
+    return validateAgainstSchema.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+  }
+
+  const problems = [];
+  const seen = [];
+
+  definition.forms.forEach(({ form_id: formId, depends_on: dependsOn = [] }) => {
+    if (!VERIFIED_GOVERNMENT_FORMS[formId]) problems.push(`unknown form "${formId}"`);
+    if (seen.includes(formId)) problems.push(`form "${formId}" is listed more than once`);
+    dependsOn
+      .filter(dependency => !seen.includes(dependency))
+      .forEach(dependency => problems.push(`form "${formId}" depends on "${dependency}", which must come earlier`));
+    seen.push(formId);
+  });
+
+  (definition.shared_fields || []).forEach(({ name, fields }) => {
+    Object.entries(fields).forEach(([formId, fieldName]) => {
+      if (!seen.includes(formId)) {
+        problems.push(`shared field "${name}" refers to form "${formId}", which is not in the bundle`);
+      } else if (VERIFIED_GOVERNMENT_FORMS[formId] && !VERIFIED_GOVERNMENT_FORMS[formId].verified_fields.some(field => field.name === fieldName)) {
+        problems.push(`shared field "${name}" refers to unknown field "${formId}.${fieldName}"`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * (Re)load the bundles. Nothing changes unless every file is valid.
+ * @param {Object} options - { dir } overrides BUNDLES_DIR
+ * @returns {Object} - { count }
+ */
+function loadBundlesCatalog({ dir = getBundlesDir() } = {}) {
+  const bundles = {};
+  const problems = [];
+
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => BUNDLE_FILE_PATTERN.test(file)).sort() : [];
+  files.forEach((file) => {
+    const id = file.replace(BUNDLE_FILE_PATTERN, '');
+    let definition;
+
+    try {
+      const content = fs.readFileSync(path.join(dir, file), 'utf8');
+      definition = /\.json$/i.test(file) ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+      return;
+    }
+
+    const bundleProblems = validateBundleDefinition(definition);
+    if (definition && definition.id !== id) bundleProblems.push(`id "${definition.id}" does not match the file name`);
+
+    if (bundleProblems.length > 0) {
+      problems.push(...bundleProblems.map(problem => `${file}: ${problem}`));
+    } else {
+      bundles[id] = Object.freeze(definition);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid form bundles in ${dir}:\n  ${problems.join('\n  ')}`);
+  }
+
+  Object.keys(VERIFIED_FORM_BUNDLES).forEach(id => delete VERIFIED_FORM_BUNDLES[id]);
+  Object.assign(VERIFIED_FORM_BUNDLES, bundles);
+  return { count: Object.keys(bundles).length };
+}
+
+/**
+ * Look up a bundle whose forms are all still in the catalog
+ * @param {string} bundleId - Bundle ID
+ * @returns {Object|null} - Definition, or null when unknown or a form has been removed
+ */
+function getBundle(bundleId) {
+  const bundle = VERIFIED_FORM_BUNDLES[bundleId];
+  if (!bundle || !bundle.forms.every(step => VERIFIED_GOVERNMENT_FORMS[step.form_id])) return null;
+  return bundle;
+}
+
+/**
+ * Bundles that can be offered right now
+ * @returns {Array<Object>}
+ */
+const listBundles = () => Object.keys(VERIFIED_FORM_BUNDLES).map(getBundle).filter(Boolean);
+
+const isPresent = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+/**
+ * Value of a field carried from earlier forms: the bundle's shared_fields first, then any field with
+ * the same canonical key (name, email, mobile number, ...). Later forms win over earlier ones.
+ * @param {Object} bundle - Bundle definition
+ * @param {Object} field - Field of the form being started
+ * @param {string} formId - ID of the form being started
+ * @param {Array<Object>} completed - [{ formId, form, formData }] in the order they were filled
+ */
+function findCarriedValue(bundle, field, formId, completed) {
+  const group = (bundle.shared_fields || []).find(shared => shared.fields[formId] === field.name);
+  const canonicalKey = getCanonicalKey(field);
+
+  for (const entry of [...completed].reverse()) {
+    const sharedName = group?.fields[entry.formId];
+    if (sharedName && isPresent(entry.formData[sharedName])) return entry.formData[sharedName];
+
+    const match = canonicalKey && entry.form.verified_fields.find(candidate => getCanonicalKey(candidate) === canonicalKey);
+    if (match && isPresent(entry.formData[match.name])) return entry.formData[match.name];
+  }
+  return undefined;
+}
+
+/**
+ * Answers from earlier forms in a bundle that fit the next form. Values are checked against the
+ * next form's field types and options (a company type that isn't a GST business type is dropped).
+ * @param {Object} bundle - Bundle definition
+ * @param {Object} form - Form being started
+ * @param {Array<Object>} completed - [{ formId, form, formData }] already filled
+ * @returns {Object} - { <field name>: value }
+ */
+function carryForwardValues(bundle, form, completed) {
+  const values = {};
+
+  form.verified_fields.forEach((field) => {
+    if (!isFieldApplicable(field, values)) return;
+
+    const carried = findCarriedValue(bundle, field, form.id, completed);
+    if (!isPresent(carried)) return;
+
+    // Loose option matching is for typed answers: an LLP must not be carried as a "Partnership"
+    const option = String(carried).trim().toLowerCase();
+    if (field.type === 'choice' && !field.options.some(candidate => candidate.toLowerCase() === option)) return;
+
+    const validation = validateFieldInput({ ...field, required: true }, String(carried));
+    if (validation.valid) values[field.name] = validation.value;
+  });
+
+  return values;
+}
+
+/**
+ * Combined checklist for a bundle: each form's authority, fees and dependencies, and every
+ * supporting document once with the forms that need it. Forms with answers get their computed
+ * fee, processing time and eligibility instead of the free text.
+ * @param {Object} bundle - Bundle definition
+ * @param {Array<Object>} forms - Form definitions in bundle order (the versions that were filled)
+ * @param {Object} answers - { <form ID>: formData } for the forms filled so far
+ * @returns {Object} - { bundleId, name, steps: [...], documents: [{ document, forms }] }
+ */
+function buildChecklist(bundle, forms, answers = {}) {
+  const documents = new Map();
+  forms.forEach(form => form.verified_documents.forEach((document) => {
+    if (!documents.has(document)) documents.set(document, []);
+    documents.get(document).push(form.id);
+  }));
+
+  return {
+    bundleId: bundle.id,
+    name: bundle.name,
+    steps: bundle.forms.map((step, index) => {
+      const form = forms.find(candidate => candidate.id === step.form_id);
+      const assessment = answers[step.form_id] ? assessApplication(form, answers[step.form_id]) : null;
+      return {
+        step: index + 1,
+        formId: step.form_id,
+        name: form.name,
+        authority: form.authority,
+        form_number: form.form_number,
+        dependsOn: step.depends_on || [],
+        note: step.note || null,
+        fees: assessment ? assessment.fees.display : form.verified_fees,
+        processingTime: assessment ? assessment.processingTime : form.verified_processing_time,
+        eligibility: assessment ? assessment.eligibility : null,
+        officialWebsite: form.official_website
+      };
+    }),
+    documents: [...documents.entries()].map(([document, formIds]) => ({ document, forms: formIds }))
+  };
+}
+
+// Validate and load the bundles at startup, after the forms they refer to
+loadBundlesCatalog();
+
+module.exports = {
+  VERIFIED_FORM_BUNDLES,
+  BUNDLE_SCHEMA,
+  getBundlesDir,
+  loadBundlesCatalog,
+  validateBundleDefinition,
+  getBundle,
+  listBundles,
+  carryForwardValues,
+  buildChecklist
+};
@@ -0,0 +1,104 @@
+// formRules.js - Cross-Field Validation Rules
+
+const { evaluateCondition, isFieldApplicable } = require('./fieldConditions');
+const { parseDate, ageOn, formatCurrency } = require('./validators');
+const { t } = require('./i18n');
+
+/**
+ * Form definitions may carry `validation_rules`, checked when a session is about to
+ * move to COMPLETE. Every rule names the field it points back to and may be limited
+ * with a `when` condition (same syntax as show_if):
+ *   { type: "ends_with", field, value, when?, message? }
+ *   { type: "min" | "max", field, value, when?, message? }
+ *   { type: "age_range", field, min?, max?, when?, message? }   (field holds DD/MM/YYYY)
+ *   { type: "default_from", field, source }                      (fills field from source when empty)
+ * A custom `message` can be translated with `message_i18n: { hi: "...", ta: "..." }`.
+ */
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const formatLimit = (limit, field) => (field.type === 'currency' ? formatCurrency(limit) : String(limit));
+
+/**
+ * Rule checkers return the i18n key and parameters of a default violation message, or null when the rule holds
+ */
+const RULE_CHECKS = {
+  ends_with: (rule, value) => {
+    const suffix = String(rule.value).toLowerCase();
+    return String(value).trim().toLowerCase().endsWith(suffix) ? null : { key: 'rule_ends_with', params: { value: rule.value } };
+  },
+
+  min: (rule, value, field) => (Number(value) >= rule.value ? null : { key: 'rule_min', params: { limit: formatLimit(rule.value, field) } }),
+
+  max: (rule, value, field) => (Number(value) <= rule.value ? null : { key: 'rule_max', params: { limit: formatLimit(rule.value, field) } }),
+
+  age_range: (rule, value) => {
+    const date = parseDate(value);
+    if (!date) return { key: 'rule_invalid_date', params: {} };
+
+    const age = ageOn(date);
+    if (rule.min !== undefined && age < rule.min) return { key: 'rule_age_min', params: { age, limit: rule.min } };
+    if (rule.max !== undefined && age > rule.max) return { key: 'rule_age_max', params: { age, limit: rule.max } };
+    return null;
+  }
+};
+
+/**
+ * Fill defaulted fields (default_from rules) in place
+ * @param {Object} formStructure - Verified form definition
+ * @param {Object} formData - Collected answers (mutated)
+ * @returns {Array<string>} - Names of fields that were filled
+ */
+function applyFormDefaults(formStructure, formData) {
+  const filled = [];
+
+  (formStructure.validation_rules || [])
+    .filter(rule => rule.type === 'default_from')
+    .forEach(rule => {
+      if (isEmpty(formData[rule.field]) && !isEmpty(formData[rule.source]) && evaluateCondition(rule.when, formData)) {
+        formData[rule.field] = formData[rule.source];
+        filled.push(rule.field);
+      }
+    });
+
+  return filled;
+}
+
+/**
+ * Check a form's cross-field rules against collected answers
+ * @param {Object} formStructure - Verified form definition
+ * @param {Object} formData - Collected answers
+ * @param {string} language - Language of the violation messages
+ * @returns {Array<Object>} - Violations: { field, question, rule, message }
+ */
+function checkFormRules(formStructure, formData, language = 'en') {
+  const fieldsByName = Object.fromEntries(formStructure.verified_fields.map(field => [field.name, field]));
+  const violations = [];
+
+  (formStructure.validation_rules || []).forEach(rule => {
+    const check = RULE_CHECKS[rule.type];
+    const field = fieldsByName[rule.field];
+
+    if (!check || !field) return;
+    if (!isFieldApplicable(field, formData) || isEmpty(formData[rule.field])) return;
+    if (!evaluateCondition(rule.when, formData)) return;
+
+    const problem = check(rule, formData[rule.field], field);
+    if (problem) {
+      violations.push({
+        field: rule.field,
+        question: field.question,
+        rule: rule.type,
+        message: (rule.message && (rule.message_i18n?.[language] || rule.message)) ||
+          t(language, problem.key, { field: rule.field.replace(/_/g, ' '), ...problem.params })
+      });
+    }
+  });
+
+  return violations;
+}
+
+module.exports = {
+  applyFormDefaults,
+  checkFormRules
+};
@@ -0,0 +1,214 @@
+// formsAdminService.js - Forms Catalog Administration and Audit Trail
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+const { getForm, getFormVersions, getFormsDir, loadFormsCatalog, validateFormDefinition } = require('./formsDatabase');
+
+const getAuditFile = () => process.env.FORMS_AUDIT_FILE || path.join(__dirname, '..', 'audit', 'forms.jsonl');
+
+const FORM_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const FORM_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Catalog edits run one at a time so versions can't be handed out twice
+let editQueue = Promise.resolve();
+const serialized = (task) => {
+  const run = editQueue.then(task, task);
+  editQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Path of a form's file in the forms directory, or null when it has none
+ */
+const findFormFile = async (formId) => {
+  for (const extension of FORM_FILE_EXTENSIONS) {
+    const filePath = path.join(getFormsDir(), `${formId}${extension}`);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch {
+      // try the next extension
+    }
+  }
+  return null;
+};
+
+/**
+ * Render a definition in its file's format
+ */
+const formatForm = (definition, filePath) => (
+  /\.json$/i.test(filePath) ? `${JSON.stringify(definition, null, 2)}\n` : YAML.stringify(definition)
+);
+
+/**
+ * Write (or remove) a form file and reload the catalog; the file is restored if the reload fails
+ * @param {string} filePath - Form file
+ * @param {string|null} content - New content, or null to delete the file
+ */
+const applyCatalogChange = async (filePath, content) => {
+  const previous = await fs.readFile(filePath, 'utf8').catch(() => null);
+
+  const write = async (data) => {
+    if (data === null) {
+      await fs.rm(filePath, { force: true });
+      return;
+    }
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  };
+
+  await write(content);
+  try {
+    return loadFormsCatalog();
+  } catch (error) {
+    await write(previous);
+    throw error;
+  }
+};
+
+/**
+ * Build the next version of a definition from an admin request body.
+ * The service owns `id`, `version` and `history`; `changes` and `source` describe the edit.
+ */
+const buildDefinition = (formId, body, previous) => {
+  const { id, version, history, changes, source, ...fields } = body;
+  // A re-created form continues after its deleted versions, which sessions may still pin
+  const nextVersion = Math.max(0, ...getFormVersions(formId)) + 1;
+  const entry = { version: nextVersion, last_verified: fields.last_verified };
+  if (changes) entry.changes = changes;
+  if (source) entry.source = source;
+
+  return {
+    id: formId,
+    version: nextVersion,
+    ...fields,
+    history: [...(previous ? previous.history : []), entry]
+  };
+};
+
+/**
+ * Top-level keys that differ between two versions
+ */
+const changedKeys = (before, after) => Object.keys({ ...before, ...after })
+  .filter(key => !['version', 'history'].includes(key))
+  .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]));
+
+/**
+ * Append an entry to the catalog audit trail
+ * @param {Object} entry - { actor, action, formId, fromVersion, toVersion, ... }
+ */
+const recordAudit = async (entry) => {
+  const file = getAuditFile();
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`);
+};
+
+/**
+ * Read the catalog audit trail, newest first
+ * @param {Object} options - { formId, limit }
+ * @returns {Promise<Array<Object>>} - Audit entries
+ */
+const listAuditEntries = async ({ formId, limit = 100 } = {}) => {
+  let content;
+  try {
+    content = await fs.readFile(getAuditFile(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content.split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(entry => !formId || entry.formId === formId)
+    .reverse()
+    .slice(0, limit);
+};
+
+/**
+ * Validate and save a new or changed form definition
+ * @param {string} formId - Form ID
+ * @param {Object} body - Definition fields, plus optional `version` (expected current version), `changes`, `source`
+ * @param {Object} context - { actor, correlationId, create }
+ * @returns {Promise<Object>} - { success, form } or { success: false, status, error, problems }
+ */
+const saveForm = (formId, body, { actor, correlationId, create }) => serialized(async () => {
+  if (!FORM_ID_PATTERN.test(formId || '')) {
+    return { success: false, status: 400, error: 'Form id must be lowercase letters, digits and underscores' };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { success: false, status: 400, error: 'Request body must be a form definition object' };
+  }
+
+  const previous = getForm(formId);
+  if (create && previous) {
+    return { success: false, status: 409, error: `Form already exists: ${formId}` };
+  }
+  if (!create && !previous) {
+    return { success: false, status: 404, error: `Form not found: ${formId}` };
+  }
+  // Optional optimistic locking: the client states which version it edited
+  if (previous && body.version !== undefined && body.version !== previous.version) {
+    return { success: false, status: 409, error: `Form ${formId} is at version ${previous.version}, not ${body.version}` };
+  }
+
+  const definition = buildDefinition(formId, body, previous);
+  const problems = validateFormDefinition(definition);
+  if (problems.length > 0) {
+    return { success: false, status: 400, error: 'Form definition is invalid', problems };
+  }
+
+  const filePath = (await findFormFile(formId)) || path.join(getFormsDir(), `${formId}.json`);
+  await applyCatalogChange(filePath, formatForm(definition, filePath));
+
+  await recordAudit({
+    actor,
+    action: previous ? 'update' : 'create',
+    formId,
+    fromVersion: previous ? previous.version : null,
+    toVersion: definition.version,
+    changedKeys: changedKeys(previous, definition),
+    changes: body.changes || null,
+    correlationId
+  });
+
+  console.log(`🗂️ Form ${formId} ${previous ? 'updated' : 'created'} by ${actor}: v${definition.version}`);
+  return { success: true, form: getForm(formId) };
+});
+
+/**
+ * Remove a form from the catalog. Sessions already using it keep their pinned copy.
+ * @param {string} formId - Form ID
+ * @param {Object} context - { actor, correlationId, reason }
+ * @returns {Promise<Object>} - { success, formId, version } or { success: false, status, error }
+ */
+const deleteForm = (formId, { actor, correlationId, reason }) => serialized(async () => {
+  const previous = getForm(formId);
+  const filePath = previous && await findFormFile(formId);
+  if (!filePath) {
+    return { success: false, status: 404, error: `Form not found: ${formId}` };
+  }
+
+  await applyCatalogChange(filePath, null);
+
+  await recordAudit({
+    actor,
+    action: 'delete',
+    formId,
+    fromVersion: previous.version,
+    toVersion: null,
+    changes: reason || null,
+    correlationId
+  });
+
+  console.log(`🗑️ Form ${formId} deleted by ${actor}`);
+  return { success: true, formId, version: previous.version };
+});
+
+module.exports = {
+  saveForm,
+  deleteForm,
+  listAuditEntries
+};
@@ -0,0 +1,397 @@
+// i18n.js - Languages, Localized Questions and Script Handling
+
+/**
+ * Supported conversation languages. `script` is used for detection and PDF fonts.
+ */
+const LANGUAGES = {
+  en: { name: 'English', native: 'English', script: 'Latin' },
+  hi: { name: 'Hindi', native: 'हिन्दी', script: 'Devanagari' },
+  mr: { name: 'Marathi', native: 'मराठी', script: 'Devanagari' },
+  ta: { name: 'Tamil', native: 'தமிழ்', script: 'Tamil' },
+  bn: { name: 'Bengali', native: 'বাংলা', script: 'Bengali' },
+  te: { name: 'Telugu', native: 'తెలుగు', script: 'Telugu' },
+  kn: { name: 'Kannada', native: 'ಕನ್ನಡ', script: 'Kannada' },
+  ml: { name: 'Malayalam', native: 'മലയാളം', script: 'Malayalam' },
+  gu: { name: 'Gujarati', native: 'ગુજરાતી', script: 'Gujarati' },
+  pa: { name: 'Punjabi', native: 'ਪੰਜਾਬੀ', script: 'Gurmukhi' }
+};
+
+/**
+ * Unicode blocks of Indian scripts: [start, end, script, default language, zero digit]
+ */
+const SCRIPT_RANGES = [
+  [0x0900, 0x097F, 'Devanagari', 'hi', 0x0966],
+  [0x0980, 0x09FF, 'Bengali', 'bn', 0x09E6],
+  [0x0A00, 0x0A7F, 'Gurmukhi', 'pa', 0x0A66],
+  [0x0A80, 0x0AFF, 'Gujarati', 'gu', 0x0AE6],
+  [0x0B80, 0x0BFF, 'Tamil', 'ta', 0x0BE6],
+  [0x0C00, 0x0C7F, 'Telugu', 'te', 0x0C66],
+  [0x0C80, 0x0CFF, 'Kannada', 'kn', 0x0CE6],
+  [0x0D00, 0x0D7F, 'Malayalam', 'ml', 0x0D66]
+];
+
+const scriptRangeOf = (char) => {
+  const code = char.codePointAt(0);
+  return SCRIPT_RANGES.find(([start, end]) => code >= start && code <= end);
+};
+
+/**
+ * Dominant Indian script of a text
+ * @param {string} text - Any text
+ * @returns {string|null} - Script name ('Devanagari', 'Tamil', ...) or null for Latin/other
+ */
+function detectScript(text) {
+  const counts = {};
+  for (const char of String(text || '')) {
+    const range = scriptRangeOf(char);
+    if (range) counts[range[2]] = (counts[range[2]] || 0) + 1;
+  }
+  const [script] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  return script || null;
+}
+
+/**
+ * Split text into runs of one script, so mixed text can switch fonts mid-line
+ * @param {string} text - Any text
+ * @returns {Array<Object>} - [{ script, text }] where script is null for Latin/other
+ */
+function splitScriptRuns(text) {
+  const runs = [];
+  for (const char of String(text ?? '')) {
+    const range = scriptRangeOf(char);
+    const last = runs[runs.length - 1];
+    // Spaces and combining marks stay with the run they follow
+    const script = range ? range[2] : (/[\s\p{M}]/u.test(char) && last ? last.script : null);
+    if (last && last.script === script) {
+      last.text += char;
+    } else {
+      runs.push({ script, text: char });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Guess the language of a message from its script
+ * @param {string} text - User message
+ * @returns {string|null} - Language code, or null when the text is Latin script
+ */
+function detectLanguage(text) {
+  const script = detectScript(text);
+  if (!script) return null;
+  return SCRIPT_RANGES.find(range => range[2] === script)[3];
+}
+
+/**
+ * Whether text contains letters outside the Latin script
+ */
+function hasNonLatinLetters(text) {
+  return detectScript(text) !== null;
+}
+
+/**
+ * Convert Indian-script digits (०१२, ௧௨௩ ...) to ASCII digits
+ */
+function normalizeDigits(text) {
+  return String(text ?? '').replace(/\p{Nd}/gu, (char) => {
+    const range = scriptRangeOf(char);
+    return range ? String(char.codePointAt(0) - range[4]) : char;
+  });
+}
+
+/**
+ * Resolve a language code or name ("hi", "Hindi", "हिन्दी")
+ * @returns {string|null} - Supported language code or null
+ */
+function resolveLanguage(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  if (LANGUAGES[wanted]) return wanted;
+
+  const match = Object.entries(LANGUAGES).find(([, language]) =>
+    language.name.toLowerCase() === wanted || language.native === String(value).trim()
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Parse "language hindi" / "switch to tamil" / "हिन्दी" commands
+ * @returns {string|null} - Language code
+ */
+function parseLanguageCommand(message) {
+  const text = String(message || '').trim().replace(/[.!?।]+$/, '');
+  const command = text.match(/^(?:language|lang|switch\s+to|speak|use)\s+(.+)$/i);
+  if (command) return resolveLanguage(command[1]);
+
+  // A bare language name in its own script ("தமிழ்") also selects it
+  const native = Object.entries(LANGUAGES).find(([, language]) => language.native === text);
+  return native ? native[0] : null;
+}
+
+/**
+ * Localized questions by field name, shared across forms.
+ * A field's own `question_i18n` takes precedence; English is the fallback.
+ */
+const FIELD_QUESTIONS = {
+  hi: {
+    applicant_category: 'आप किस श्रेणी के आवेदक हैं?',
+    full_name: 'आपका पूरा नाम क्या है? (आधार/पहचान प्रमाण के अनुसार)',
+    father_name: 'आपके पिता का पूरा नाम क्या है?',
+    relative_name: 'आपके पिता/माता/पति का नाम क्या है?',
+    date_of_birth: 'आपकी जन्म तिथि क्या है? (DD/MM/YYYY प्रारूप में)',
+    place_of_birth: 'आपका जन्म स्थान क्या है? (शहर और राज्य/देश)',
+    gender: 'आपका लिंग क्या है?',
+    marital_status: 'आपकी वैवाहिक स्थिति क्या है?',
+    mobile_number: 'आपका मोबाइल नंबर क्या है?',
+    email_address: 'आपका ईमेल पता क्या है?',
+    address: 'आपका पूरा आवासीय पता क्या है?',
+    current_address: 'आपका वर्तमान आवासीय पता क्या है?',
+    permanent_address: 'आपका स्थायी पता क्या है? (यदि वर्तमान पते से अलग हो)',
+    blood_group: 'आपका रक्त समूह क्या है?',
+    emergency_contact: 'आपातकालीन संपर्क व्यक्ति का नाम और नंबर क्या है?',
+    id_proof: 'आप कौन सा पहचान प्रमाण जमा कर रहे हैं?',
+    address_proof: 'आप कौन सा पता प्रमाण जमा कर रहे हैं?',
+    pan_card_delivery: 'आपका PAN कार्ड कैसे भेजा जाए?',
+    pan_number: 'आपका PAN नंबर क्या है? (प्रारूप: AAAAA9999A)',
+    business_name: 'आपके व्यवसाय का नाम क्या है?',
+    business_address: 'आपके व्यवसाय का पूरा पता क्या है?',
+    owner_name: 'व्यवसाय के मालिक का पूरा नाम क्या है?',
+    annual_turnover: 'आपका अनुमानित वार्षिक कारोबार कितना है?'
+  },
+  ta: {
+    applicant_category: 'நீங்கள் எந்த வகை விண்ணப்பதாரர்?',
+    full_name: 'உங்கள் முழு பெயர் என்ன? (ஆதார்/அடையாள ஆவணத்தின்படி)',
+    father_name: 'உங்கள் தந்தையின் முழு பெயர் என்ன?',
+    relative_name: 'உங்கள் தந்தை/தாய்/கணவரின் பெயர் என்ன?',
+    date_of_birth: 'உங்கள் பிறந்த தேதி என்ன? (DD/MM/YYYY வடிவில்)',
+    place_of_birth: 'நீங்கள் பிறந்த இடம் எது? (நகரம் மற்றும் மாநிலம்/நாடு)',
+    gender: 'உங்கள் பாலினம் என்ன?',
+    marital_status: 'உங்கள் திருமண நிலை என்ன?',
+    mobile_number: 'உங்கள் கைபேசி எண் என்ன?',
+    email_address: 'உங்கள் மின்னஞ்சல் முகவரி என்ன?',
+    address: 'உங்கள் முழு குடியிருப்பு முகவரி என்ன?',
+    current_address: 'உங்கள் தற்போதைய குடியிருப்பு முகவரி என்ன?',
+    permanent_address: 'உங்கள் நிரந்தர முகவரி என்ன? (தற்போதைய முகவரியிலிருந்து வேறுபட்டால்)',
+    blood_group: 'உங்கள் இரத்த வகை என்ன?',
+    emergency_contact: 'அவசர தொடர்பு நபரின் பெயர் மற்றும் எண் என்ன?',
+    id_proof: 'எந்த அடையாளச் சான்றை சமர்ப்பிக்கிறீர்கள்?',
+    address_proof: 'எந்த முகவரிச் சான்றை சமர்ப்பிக்கிறீர்கள்?',
+    pan_card_delivery: 'உங்கள் PAN அட்டை எப்படி அனுப்பப்பட வேண்டும்?',
+    pan_number: 'உங்கள் PAN எண் என்ன? (வடிவம்: AAAAA9999A)',
+    business_name: 'உங்கள் வணிகத்தின் பெயர் என்ன?',
+    business_address: 'உங்கள் வணிகத்தின் முழு முகவரி என்ன?',
+    owner_name: 'வணிக உரிமையாளரின் முழு பெயர் என்ன?',
+    annual_turnover: 'உங்கள் எதிர்பார்க்கப்படும் ஆண்டு விற்றுமுதல் எவ்வளவு?'
+  }
+};
+
+/**
+ * Question text for a field in a language
+ */
+function getFieldQuestion(field, language = 'en') {
+  if (language === 'en') return field.question;
+  return field.question_i18n?.[language] || FIELD_QUESTIONS[language]?.[field.name] || field.question;
+}
+
+/**
+ * Conversation messages. English is the fallback for missing keys/languages.
+ */
+const MESSAGES = {
+  en: {
+    great: 'Great!',
+    skipped: 'Skipped.',
+    question: 'Question',
+    next_question: 'Next question',
+    go_back: "Sure, let's go back.",
+    first_question: "You're already at the first question.",
+    update_field: "Sure, let's update your {field}.",
+    updated_field: '✅ Updated your {field}.',
+    also_needed: 'Based on your answers we also need this.',
+    current_answer: 'Current answer',
+    verified_intro: "✅ This form uses VERIFIED government requirements with LangChain validation.\n\nLet's start with the first question:",
+    form_complete: '🎉 Form completed with LangChain validation! All required information has been collected. You can now generate the PDF.',
+    already_complete: '✅ Your form is already complete. Say "change <field>" to edit an answer, or generate the PDF.',
+    language_set: "Okay, we'll continue in {language}.",
+    document_suggestion: '📄 Your {document} shows: {value}\nReply "yes" to use it, or type the correct answer.',
+    suggestion_dismissed: 'No problem, please type it in.',
+    document_read: '📄 I read your {document}.',
+    profile_suggestion: '👤 Your saved profile has: {value}\nReply "yes" to use it, or type the correct answer.',
+    profile_offer: '💾 Save your {fields} to your profile so the next form can be prefilled? Reply "yes" or "no".',
+    profile_saved: '💾 Saved to your profile.',
+    profile_declined: 'OK, your profile was not changed.',
+    draft_saved: '💾 Draft saved. Use code {code} to continue until {date}.',
+    draft_resumed: "👋 Welcome back! Let's continue where you left off.",
+    draft_expiring: '⏳ Your draft {code} will be deleted on {date}. Save it again to keep it longer.',
+    unsaved_session: '⏳ Unsaved answers are deleted after {hours} hours without activity. Save a draft to keep them.',
+    extraction_found: '📝 I found these answers in your message:',
+    extraction_invalid: "⚠️ These couldn't be used:",
+    extraction_confirm: 'Reply "yes" to save them, or "no" to answer one question at a time.',
+    extraction_saved: '✅ Saved your {fields}.',
+    extraction_dismissed: "No problem, let's go one question at a time.",
+    bundle_intro: 'This needs {count} forms, filled one after another:\n{forms}',
+    bundle_next_form: '✅ {completed} is done. Next, form {step} of {total}: {form}.',
+    bundle_carried: 'I carried over your {fields} from the earlier forms. Say "change <field>" to edit them.',
+    bundle_complete: '📦 That was the last form for "{bundle}". Generate the PDFs to get all {count} forms and a combined document checklist.',
+    knowledge_unknown: "I don't have verified guidance on that. Please check the official website: {website}",
+    back_to_form: 'Now, back to the form.',
+    fee_estimate: '💰 Fee: {fee} • Processing time: {time}',
+    eligibility_not_eligible: '⛔ Eligibility problem:\n{findings}',
+    eligibility_review: '⚠️ Please check your eligibility:\n{findings}',
+    review_ready: '✅ That was the last question.',
+    review_intro: '📋 Please check your answers for {form}:',
+    review_not_provided: 'Not provided',
+    review_confirm: 'Reply "confirm" if everything is correct, or "change <field>" to correct an answer (for example "change email to name@example.com").',
+    review_correct: 'Which answer should I change? Say "change <field>" or "change <field> to <new value>".',
+    review_pending: 'Your answers are waiting for your confirmation.',
+    correction_confirm: 'Reply "yes" to save the change, or "no" to keep your answers.',
+    skip_required: "This question is required and can't be skipped.",
+    field_not_needed: "Your {field} isn't needed for this application based on your other answers.",
+    rule_violations: "⚠️ Some answers don't fit together:\n{violations}\n\nLet's fix them one at a time.",
+    rule_ends_with: '{field} must end with "{value}"',
+    rule_min: '{field} must be at least {limit}',
+    rule_max: '{field} must not exceed {limit}',
+    rule_invalid_date: '{field} is not a valid date',
+    rule_age_min: '{field} gives an age of {age}; at least {limit} is required',
+    rule_age_max: '{field} gives an age of {age}; at most {limit} is allowed',
+    processing_error: 'I encountered an error processing your request. Please try again.'
+  },
+  hi: {
+    great: 'बहुत बढ़िया!',
+    skipped: 'छोड़ दिया गया।',
+    question: 'प्रश्न',
+    next_question: 'अगला प्रश्न',
+    go_back: 'ठीक है, पिछले प्रश्न पर चलते हैं।',
+    first_question: 'आप पहले प्रश्न पर ही हैं।',
+    update_field: 'ठीक है, आपका {field} अपडेट करते हैं।',
+    updated_field: '✅ आपका {field} अपडेट कर दिया गया।',
+    also_needed: 'आपके उत्तरों के आधार पर यह जानकारी भी चाहिए।',
+    current_answer: 'वर्तमान उत्तर',
+    verified_intro: '✅ यह फॉर्म सत्यापित सरकारी आवश्यकताओं का उपयोग करता है।\n\nआइए पहले प्रश्न से शुरू करें:',
+    form_complete: '🎉 फॉर्म पूरा हो गया! सभी आवश्यक जानकारी एकत्र कर ली गई है। अब आप PDF बना सकते हैं।',
+    already_complete: '✅ आपका फॉर्म पहले ही पूरा हो चुका है। किसी उत्तर को बदलने के लिए "change <field>" लिखें, या PDF बनाएं।',
+    language_set: 'ठीक है, अब हम हिन्दी में बात करेंगे।',
+    document_suggestion: '📄 आपके {document} में लिखा है: {value}\nइसे उपयोग करने के लिए "हाँ" लिखें, या सही उत्तर लिखें।',
+    suggestion_dismissed: 'कोई बात नहीं, कृपया इसे लिखें।',
+    document_read: '📄 मैंने आपका {document} पढ़ लिया है।',
+    profile_suggestion: '👤 आपकी सहेजी गई प्रोफ़ाइल में है: {value}\nइसे उपयोग करने के लिए "हाँ" लिखें, या सही उत्तर लिखें।',
+    profile_offer: '💾 क्या आपकी जानकारी ({fields}) प्रोफ़ाइल में सहेज लें, ताकि अगला फॉर्म पहले से भरा रहे? "हाँ" या "नहीं" लिखें।',
+    profile_saved: '💾 आपकी प्रोफ़ाइल में सहेज लिया गया।',
+    profile_declined: 'ठीक है, आपकी प्रोफ़ाइल नहीं बदली गई।',
+    draft_saved: '💾 ड्राफ़्ट सहेज लिया गया। {date} तक जारी रखने के लिए कोड {code} का उपयोग करें।',
+    draft_resumed: '👋 वापसी पर स्वागत है! जहाँ आपने छोड़ा था, वहीं से आगे बढ़ते हैं।',
+    draft_expiring: '⏳ आपका ड्राफ़्ट {code} {date} को हटा दिया जाएगा। इसे और समय तक रखने के लिए फिर से सहेजें।',
+    unsaved_session: '⏳ बिना सहेजे उत्तर {hours} घंटे तक कोई गतिविधि न होने पर हटा दिए जाते हैं। उन्हें रखने के लिए ड्राफ़्ट सहेजें।',
+    extraction_found: '📝 आपके संदेश में ये उत्तर मिले:',
+    extraction_invalid: '⚠️ इनका उपयोग नहीं हो सका:',
+    extraction_confirm: 'इन्हें सहेजने के लिए "हाँ" लिखें, या एक-एक प्रश्न का उत्तर देने के लिए "नहीं" लिखें।',
+    extraction_saved: '✅ आपका {fields} सहेज लिया गया।',
+    extraction_dismissed: 'कोई बात नहीं, एक-एक प्रश्न करके चलते हैं।',
+    bundle_intro: 'इसके लिए {count} फॉर्म एक के बाद एक भरने होंगे:\n{forms}',
+    bundle_next_form: '✅ {completed} पूरा हुआ। अब फॉर्म {step}/{total}: {form}।',
+    bundle_carried: 'पिछले फॉर्म से आपका {fields} ले लिया गया है। बदलने के लिए "change <field>" लिखें।',
+    bundle_complete: '📦 "{bundle}" का यह अंतिम फॉर्म था। सभी {count} फॉर्म और दस्तावेज़ों की संयुक्त सूची के लिए PDF बनाएं।',
+    knowledge_unknown: 'इस बारे में मेरे पास सत्यापित जानकारी नहीं है। कृपया आधिकारिक वेबसाइट देखें: {website}',
+    back_to_form: 'अब फॉर्म पर वापस चलते हैं।',
+    fee_estimate: '💰 शुल्क: {fee} • प्रोसेसिंग समय: {time}',
+    eligibility_not_eligible: '⛔ पात्रता में समस्या:\n{findings}',
+    eligibility_review: '⚠️ कृपया अपनी पात्रता जांचें:\n{findings}',
+    review_ready: '✅ यह अंतिम प्रश्न था।',
+    review_intro: '📋 कृपया {form} के लिए अपने उत्तर जांचें:',
+    review_not_provided: 'नहीं दिया गया',
+    review_confirm: 'सब कुछ सही है तो "confirm" लिखें, या किसी उत्तर को सुधारने के लिए "change <field>" लिखें (जैसे "change email to name@example.com")।',
+    review_correct: 'कौन सा उत्तर बदलना है? "change <field>" या "change <field> to <नया मान>" लिखें।',
+    review_pending: 'आपके उत्तर पुष्टि की प्रतीक्षा में हैं।',
+    correction_confirm: 'बदलाव सहेजने के लिए "हाँ" लिखें, या अपने उत्तर रखने के लिए "नहीं"।',
+    skip_required: 'यह प्रश्न आवश्यक है, इसे छोड़ा नहीं जा सकता।',
+    field_not_needed: 'आपके अन्य उत्तरों के आधार पर इस आवेदन के लिए आपका {field} आवश्यक नहीं है।',
+    rule_violations: '⚠️ कुछ उत्तर आपस में मेल नहीं खाते:\n{violations}\n\nइन्हें एक-एक करके ठीक करते हैं।',
+    rule_ends_with: '{field} के अंत में "{value}" होना चाहिए',
+    rule_min: '{field} कम से कम {limit} होना चाहिए',
+    rule_max: '{field} {limit} से अधिक नहीं होना चाहिए',
+    rule_invalid_date: '{field} मान्य तिथि नहीं है',
+    rule_age_min: '{field} के अनुसार आयु {age} है; कम से कम {limit} होनी चाहिए',
+    rule_age_max: '{field} के अनुसार आयु {age} है; अधिकतम {limit} हो सकती है',
+    processing_error: 'आपके अनुरोध को संसाधित करने में त्रुटि हुई। कृपया फिर से प्रयास करें।'
+  },
+  ta: {
+    great: 'அருமை!',
+    skipped: 'தவிர்க்கப்பட்டது.',
+    question: 'கேள்வி',
+    next_question: 'அடுத்த கேள்வி',
+    go_back: 'சரி, முந்தைய கேள்விக்குச் செல்வோம்.',
+    first_question: 'நீங்கள் ஏற்கனவே முதல் கேள்வியில் உள்ளீர்கள்.',
+    update_field: 'சரி, உங்கள் {field} ஐப் புதுப்பிப்போம்.',
+    updated_field: '✅ உங்கள் {field} புதுப்பிக்கப்பட்டது.',
+    also_needed: 'உங்கள் பதில்களின் அடிப்படையில் இதுவும் தேவை.',
+    current_answer: 'தற்போதைய பதில்',
+    verified_intro: '✅ இந்தப் படிவம் சரிபார்க்கப்பட்ட அரசு தேவைகளைப் பயன்படுத்துகிறது.\n\nமுதல் கேள்வியுடன் தொடங்குவோம்:',
+    form_complete: '🎉 படிவம் நிறைவடைந்தது! தேவையான அனைத்து தகவல்களும் சேகரிக்கப்பட்டன. இப்போது PDF உருவாக்கலாம்.',
+    already_complete: '✅ உங்கள் படிவம் ஏற்கனவே நிறைவடைந்துள்ளது. பதிலை மாற்ற "change <field>" என்று எழுதுங்கள், அல்லது PDF உருவாக்குங்கள்.',
+    language_set: 'சரி, இனி தமிழில் தொடர்வோம்.',
+    document_suggestion: '📄 உங்கள் {document} இல் உள்ளது: {value}\nஇதைப் பயன்படுத்த "ஆம்" என்று பதிலளிக்கவும், அல்லது சரியான பதிலை எழுதவும்.',
+    suggestion_dismissed: 'பரவாயில்லை, தயவுசெய்து அதை எழுதுங்கள்.',
+    document_read: '📄 உங்கள் {document} ஐப் படித்தேன்.',
+    profile_suggestion: '👤 உங்கள் சேமித்த சுயவிவரத்தில் உள்ளது: {value}\nஇதைப் பயன்படுத்த "ஆம்" என்று பதிலளிக்கவும், அல்லது சரியான பதிலை எழுதவும்.',
+    profile_offer: '💾 அடுத்த படிவம் முன்பே நிரப்பப்பட உங்கள் விவரங்களை ({fields}) சுயவிவரத்தில் சேமிக்கலாமா? "ஆம்" அல்லது "இல்லை" என்று பதிலளிக்கவும்.',
+    profile_saved: '💾 உங்கள் சுயவிவரத்தில் சேமிக்கப்பட்டது.',
+    profile_declined: 'சரி, உங்கள் சுயவிவரம் மாற்றப்படவில்லை.',
+    draft_saved: '💾 வரைவு சேமிக்கப்பட்டது. {date} வரை தொடர {code} என்ற குறியீட்டைப் பயன்படுத்துங்கள்.',
+    draft_resumed: '👋 மீண்டும் வருக! நீங்கள் நிறுத்திய இடத்திலிருந்து தொடர்வோம்.',
+    draft_expiring: '⏳ உங்கள் வரைவு {code} {date} அன்று நீக்கப்படும். நீண்ட காலம் வைத்திருக்க மீண்டும் சேமிக்கவும்.',
+    unsaved_session: '⏳ சேமிக்கப்படாத பதில்கள் {hours} மணி நேரம் செயல்பாடு இல்லையென்றால் நீக்கப்படும். அவற்றை வைத்திருக்க வரைவாகச் சேமிக்கவும்.',
+    extraction_found: '📝 உங்கள் செய்தியில் இந்தப் பதில்களைக் கண்டேன்:',
+    extraction_invalid: '⚠️ இவற்றைப் பயன்படுத்த முடியவில்லை:',
+    extraction_confirm: 'இவற்றைச் சேமிக்க "ஆம்" என்றும், ஒவ்வொரு கேள்விக்கும் தனியாகப் பதிலளிக்க "இல்லை" என்றும் பதிலளிக்கவும்.',
+    extraction_saved: '✅ உங்கள் {fields} சேமிக்கப்பட்டது.',
+    extraction_dismissed: 'பரவாயில்லை, ஒவ்வொரு கேள்வியாகச் செல்வோம்.',
+    bundle_intro: 'இதற்கு {count} படிவங்களை ஒன்றன்பின் ஒன்றாக நிரப்ப வேண்டும்:\n{forms}',
+    bundle_next_form: '✅ {completed} முடிந்தது. அடுத்து, படிவம் {step}/{total}: {form}.',
+    bundle_carried: 'முந்தைய படிவங்களிலிருந்து உங்கள் {fields} எடுத்துக்கொள்ளப்பட்டது. மாற்ற "change <field>" என்று எழுதுங்கள்.',
+    bundle_complete: '📦 "{bundle}" க்கான கடைசி படிவம் இது. அனைத்து {count} படிவங்களையும் ஒருங்கிணைந்த ஆவணப் பட்டியலையும் பெற PDF உருவாக்குங்கள்.',
+    knowledge_unknown: 'இதைப் பற்றி சரிபார்க்கப்பட்ட தகவல் என்னிடம் இல்லை. அதிகாரப்பூர்வ இணையதளத்தைப் பாருங்கள்: {website}',
+    back_to_form: 'இப்போது படிவத்திற்குத் திரும்புவோம்.',
+    fee_estimate: '💰 கட்டணம்: {fee} • செயலாக்க நேரம்: {time}',
+    eligibility_not_eligible: '⛔ தகுதியில் சிக்கல்:\n{findings}',
+    eligibility_review: '⚠️ உங்கள் தகுதியைச் சரிபாருங்கள்:\n{findings}',
+    review_ready: '✅ இதுவே கடைசி கேள்வி.',
+    review_intro: '📋 {form} க்கான உங்கள் பதில்களைச் சரிபாருங்கள்:',
+    review_not_provided: 'வழங்கப்படவில்லை',
+    review_confirm: 'எல்லாம் சரியாக இருந்தால் "confirm" என்று எழுதுங்கள், அல்லது பதிலைத் திருத்த "change <field>" என்று எழுதுங்கள் (உதாரணம்: "change email to name@example.com").',
+    review_correct: 'எந்த பதிலை மாற்ற வேண்டும்? "change <field>" அல்லது "change <field> to <புதிய மதிப்பு>" என்று எழுதுங்கள்.',
+    review_pending: 'உங்கள் பதில்கள் உறுதிப்படுத்தலுக்காகக் காத்திருக்கின்றன.',
+    correction_confirm: 'மாற்றத்தைச் சேமிக்க "ஆம்" என்றும், உங்கள் பதில்களை அப்படியே வைக்க "இல்லை" என்றும் எழுதுங்கள்.',
+    skip_required: 'இந்தக் கேள்வி கட்டாயமானது, இதைத் தவிர்க்க முடியாது.',
+    field_not_needed: 'உங்கள் மற்ற பதில்களின்படி இந்த விண்ணப்பத்திற்கு உங்கள் {field} தேவையில்லை.',
+    rule_violations: '⚠️ சில பதில்கள் ஒன்றோடொன்று பொருந்தவில்லை:\n{violations}\n\nஅவற்றை ஒவ்வொன்றாகச் சரிசெய்வோம்.',
+    rule_ends_with: '{field} "{value}" என்று முடிய வேண்டும்',
+    rule_min: '{field} குறைந்தது {limit} ஆக இருக்க வேண்டும்',
+    rule_max: '{field} {limit} ஐ மீறக்கூடாது',
+    rule_invalid_date: '{field} சரியான தேதி அல்ல',
+    rule_age_min: '{field} படி வயது {age}; குறைந்தது {limit} தேவை',
+    rule_age_max: '{field} படி வயது {age}; அதிகபட்சம் {limit} அனுமதிக்கப்படும்',
+    processing_error: 'உங்கள் கோரிக்கையைச் செயலாக்குவதில் பிழை ஏற்பட்டது. மீண்டும் முயற்சிக்கவும்.'
+  }
+};
+
+/**
+ * Localized conversation message with {placeholder} substitution
+ * @param {string} language - Language code
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ */
+function t(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+module.exports = {
+  LANGUAGES,
+  detectScript,
+  splitScriptRuns,
+  detectLanguage,
+  hasNonLatinLetters,
+  normalizeDigits,
+  resolveLanguage,
+  parseLanguageCommand,
+  getFieldQuestion,
+  t
+};
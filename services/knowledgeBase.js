@@ -0,0 +1,207 @@
+// knowledgeBase.js - Form Guidance Knowledge Base (Retrieval)
+const fs = require('fs').promises;
+const path = require('path');
+const { Embeddings } = require('@langchain/core/embeddings');
+const { Document } = require('@langchain/core/documents');
+const { MemoryVectorStore } = require('langchain/vectorstores/memory');
+const { BedrockEmbeddings } = require('@langchain/aws');
+const { OpenAIEmbeddings } = require('@langchain/openai');
+
+/**
+ * Guidance documents live in KNOWLEDGE_DIR (default ./knowledge) as Markdown, one file per form
+ * named after its ID (knowledge/fssai_food_license.md) plus general.md for every form.
+ * Each "## " section is one passage; its heading should read like the question it answers.
+ */
+const getKnowledgeConfig = () => ({
+  dir: process.env.KNOWLEDGE_DIR || path.join(__dirname, '..', 'knowledge'),
+  embeddings: process.env.KNOWLEDGE_EMBEDDINGS || 'local',
+  model: process.env.KNOWLEDGE_EMBEDDINGS_MODEL,
+  topK: Number(process.env.KNOWLEDGE_TOP_K || 3),
+  minScore: Number(process.env.KNOWLEDGE_MIN_SCORE || 0.15)
+});
+
+const GENERAL_FILE = 'general';
+
+const STOP_WORDS = new Set(('a an and are as at be by can do does for from how i if in is it me my of on or ' +
+  'should that the this to what when where which who why will with you your').split(' '));
+
+/**
+ * Offline embeddings: hashed word and word-pair counts (the "hashing trick"), L2-normalised.
+ * Good enough to match questions to passages that share their wording, with no model or network.
+ */
+class HashingEmbeddings extends Embeddings {
+  constructor({ dimensions = 1024, ...fields } = {}) {
+    super(fields);
+    this.dimensions = dimensions;
+  }
+
+  static tokenize(text) {
+    return (text.toLowerCase().normalize('NFKC').match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+      .filter(token => !STOP_WORDS.has(token))
+      .map(token => (/^[a-z]{4,}s$/.test(token) ? token.slice(0, -1) : token));
+  }
+
+  // FNV-1a: cheap and stable across runs
+  static hash(feature) {
+    let hash = 0x811c9dc5;
+    for (const char of feature) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = HashingEmbeddings.tokenize(text);
+    const features = [...tokens.map(token => [token, 1]), ...tokens.slice(1).map((token, index) => [`${tokens[index]} ${token}`, 0.5])];
+
+    features.forEach(([feature, weight]) => {
+      const hash = HashingEmbeddings.hash(feature);
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -weight : weight;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+/**
+ * Embedding factories keyed by KNOWLEDGE_EMBEDDINGS. Each receives the resolved config.
+ */
+const EMBEDDING_PROVIDERS = {
+  local: () => new HashingEmbeddings(),
+
+  bedrock: (config) => new BedrockEmbeddings({
+    model: config.model || 'amazon.titan-embed-text-v2:0',
+    region: process.env.AWS_REGION || 'us-east-2'
+  }),
+
+  openai: (config) => new OpenAIEmbeddings({
+    model: config.model || 'text-embedding-3-small',
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY
+  }),
+
+  // Any OpenAI-compatible server (Ollama, vLLM, LM Studio)
+  'openai-compatible': (config) => new OpenAIEmbeddings({
+    model: config.model || 'nomic-embed-text',
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    configuration: { baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1' }
+  })
+};
+
+/**
+ * Split a guidance file into one passage per "## " section
+ * @param {string} markdown - File contents
+ * @param {Object} metadata - { formId, source } added to every passage
+ * @returns {Array<Document>}
+ */
+function splitSections(markdown, metadata) {
+  return markdown.split(/^## /m).slice(1).map((section) => {
+    const [heading, ...body] = section.split('\n');
+    const text = body.join('\n').trim();
+    return new Document({
+      pageContent: `${heading.trim()}\n${text}`,
+      metadata: { ...metadata, section: heading.trim() }
+    });
+  }).filter(document => document.pageContent.includes('\n'));
+}
+
+// Built on first use (or by loadKnowledgeBase); a failed build is retried on the next question
+let vectorStorePromise = null;
+
+/**
+ * (Re)build the vector index from KNOWLEDGE_DIR
+ * @returns {Promise<Object>} - { passages, files }
+ */
+async function loadKnowledgeBase() {
+  const config = getKnowledgeConfig();
+  const factory = EMBEDDING_PROVIDERS[config.embeddings];
+  if (!factory) {
+    throw new Error(`Unknown knowledge embeddings: ${config.embeddings} (available: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+  }
+
+  const files = (await fs.readdir(config.dir).catch(() => [])).filter(file => /\.md$/i.test(file)).sort();
+  const documents = [];
+  for (const file of files) {
+    const id = file.replace(/\.md$/i, '');
+    const markdown = await fs.readFile(path.join(config.dir, file), 'utf8');
+    documents.push(...splitSections(markdown, { formId: id === GENERAL_FILE ? null : id, source: file }));
+  }
+
+  const build = MemoryVectorStore.fromDocuments(documents, factory(config));
+  vectorStorePromise = build;
+  build.catch(() => {
+    if (vectorStorePromise === build) vectorStorePromise = null;
+  });
+
+  await build;
+  return { passages: documents.length, files: files.length };
+}
+
+/**
+ * Passages relevant to a question, from general guidance and the given forms' guidance
+ * @param {string} question - User's question
+ * @param {Array<string>} formIds - Forms the user is working on
+ * @returns {Promise<Array<Object>>} - [{ text, formId, section, source, score }], best first
+ */
+async function searchKnowledge(question, formIds = []) {
+  if (!vectorStorePromise) await loadKnowledgeBase();
+  const vectorStore = await vectorStorePromise;
+  const { topK, minScore } = getKnowledgeConfig();
+
+  const filter = (document) => document.metadata.formId === null || formIds.includes(document.metadata.formId);
+  const results = await vectorStore.similaritySearchWithScore(question, topK, filter);
+
+  return results
+    .filter(([, score]) => score >= minScore)
+    .map(([document, score]) => ({
+      text: document.pageContent,
+      formId: document.metadata.formId,
+      section: document.metadata.section,
+      source: document.metadata.source,
+      score: Math.round(score * 1000) / 1000
+    }));
+}
+
+const QUESTION_START = /^(?:what|which|how|why|when|where|who|whose|can|could|should|shall|do|does|did|is|are|am|will|would|may|must|need|क्या|कौन|कौनसा|कैसे|कब|कहाँ|क्यों|என்ன|எந்த|எப்படி|எப்போது|எங்கே|ஏன்)(?=\s|$)/iu;
+
+/**
+ * Whether a message ends with a question mark
+ * @param {string} message - Message from the user
+ * @returns {boolean}
+ */
+function endsWithQuestionMark(message) {
+  return /[?？]$/.test(String(message || '').trim());
+}
+
+/**
+ * Whether a message looks like a question about the form rather than an answer:
+ * it ends with "?" or opens with a question word and runs to a few words.
+ * Answers can open with a question word too ("May Anne Thomas"), so this is only a first guess.
+ * @param {string} message - Message from the user
+ * @returns {boolean}
+ */
+function isQuestion(message) {
+  const text = String(message || '').trim();
+  if (endsWithQuestionMark(text)) return true;
+  return text.split(/\s+/).length >= 3 && QUESTION_START.test(text);
+}
+
+module.exports = {
+  getKnowledgeConfig,
+  HashingEmbeddings,
+  EMBEDDING_PROVIDERS,
+  loadKnowledgeBase,
+  searchKnowledge,
+  endsWithQuestionMark,
+  isQuestion
+};
@@ -0,0 +1,112 @@
+// llmProviders.js - Pluggable LLM Provider Registry
+const { BedrockChat } = require('@langchain/community/chat_models/bedrock');
+const { ChatAnthropic } = require('@langchain/anthropic');
+const { ChatOpenAI } = require('@langchain/openai');
+
+const { ScriptedChatModel } = require('./scriptedChatModel');
+
+// Scripted models by script, reused across requests
+const scriptedModels = new Map();
+
+/**
+ * Provider factories keyed by name. Each receives the resolved config:
+ * { model, temperature, maxTokens, streaming, baseUrl, apiKey, region, script }
+ */
+const LLM_PROVIDERS = {
+  bedrock: (config) => new BedrockChat({
+    model: config.model || 'us.anthropic.claude-3-7-sonnet-20250219-v1:0',
+    region: config.region,
+    maxTokens: config.maxTokens,
+    temperature: config.temperature,
+    streaming: config.streaming
+  }),
+
+  anthropic: (config) => new ChatAnthropic({
+    model: config.model || 'claude-3-7-sonnet-20250219',
+    apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
+    maxTokens: config.maxTokens,
+    temperature: config.temperature,
+    streaming: config.streaming
+  }),
+
+  openai: (config) => new ChatOpenAI({
+    model: config.model || 'gpt-4o-mini',
+    apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+    maxTokens: config.maxTokens,
+    temperature: config.temperature,
+    streaming: config.streaming
+  }),
+
+  // Any OpenAI-compatible server (Ollama, vLLM, LM Studio, llama.cpp)
+  'openai-compatible': (config) => new ChatOpenAI({
+    model: config.model || 'llama3.1',
+    apiKey: config.apiKey || 'not-needed',
+    maxTokens: config.maxTokens,
+    temperature: config.temperature,
+    streaming: config.streaming,
+    configuration: { baseURL: config.baseUrl || 'http://localhost:11434/v1' }
+  }),
+
+  // Shared per script so queued responses replay across requests
+  fake: (config) => {
+    const key = typeof config.script === 'string' ? config.script : JSON.stringify(config.script || {});
+    if (!scriptedModels.has(key)) {
+      scriptedModels.set(key, new ScriptedChatModel({ script: config.script || {} }));
+    }
+    return scriptedModels.get(key);
+  }
+};
+
+/**
+ * Register (or replace) a provider factory
+ * @param {string} name - Provider name used in LLM_PROVIDER
+ * @param {Function} factory - (config) => chat model
+ */
+function registerLLMProvider(name, factory) {
+  LLM_PROVIDERS[name] = factory;
+}
+
+/**
+ * Resolve LLM configuration from the environment
+ * LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY, LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_FAKE_SCRIPT
+ * @param {Object} overrides - Values taking precedence over the environment
+ * @returns {Object} - Resolved config
+ */
+function getLLMConfig(overrides = {}) {
+  return {
+    provider: process.env.LLM_PROVIDER || 'bedrock',
+    model: process.env.LLM_MODEL,
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    region: process.env.AWS_REGION || 'us-east-2',
+    temperature: Number(process.env.LLM_TEMPERATURE || 0.1),
+    maxTokens: Number(process.env.LLM_MAX_TOKENS || 2000),
+    streaming: true,
+    script: process.env.LLM_FAKE_SCRIPT,
+    ...overrides
+  };
+}
+
+/**
+ * Create the configured chat model
+ * @param {Object} overrides - Config overrides (see getLLMConfig), plus optional callbacks
+ * @returns {BaseChatModel|Runnable} - Chat model
+ */
+function createLLM({ callbacks, ...overrides } = {}) {
+  const config = getLLMConfig(overrides);
+  const factory = LLM_PROVIDERS[config.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${config.provider} (available: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+
+  const llm = factory(config);
+  return callbacks && callbacks.length > 0 ? llm.withConfig({ callbacks }) : llm;
+}
+
+module.exports = {
+  createLLM,
+  getLLMConfig,
+  registerLLMProvider,
+  LLM_PROVIDERS
+};
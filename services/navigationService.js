@@ -0,0 +1,175 @@
+// navigationService.js - Conversational Field Navigation
+const { findMissingField } = require('./fieldConditions');
+const { LANGUAGES, getFieldQuestion } = require('./i18n');
+
+/**
+ * Command patterns recognised while collecting form fields (English, Hindi and Tamil)
+ */
+const BACK_PATTERN = /^(?:go\s+back|back|previous(?:\s+question)?|undo|पीछे(?:\s+(?:जाओ|जाएं|जाइए|चलो))?|वापस(?:\s+(?:जाओ|जाएं|जाइए|चलो))?|पिछला\s+(?:प्रश्न|सवाल)|பின்னால்(?:\s+செல்)?|பின்செல்|முந்தைய\s+கேள்வி)$/i;
+const SKIP_PATTERN = /^(?:skip(?:\s+(?:this|it|this\s+question))?|pass|छोड़ो|छोड़ें|छोड़\s+दो|छोड़\s+दें|(?:यह\s+)?प्रश्न\s+छोड़ें|தவிர்|தவிர்க்கவும்|இதைத்\s+தவிர்)$/i;
+const EDIT_PATTERN = /^(?:change|edit|update|correct|fix)\s+(?:my\s+|the\s+)?(.+?)(?:\s+to\s+(.+))?$/i;
+// "मेरा ईमेल बदलें", "ईमेल को a@b.com में बदलें"
+const EDIT_PATTERN_HI = /^(?:मेरा\s+|मेरी\s+|मेरे\s+)?(.+?)(?:\s+को\s+(.+?)\s+में)?\s+(?:बदलें|बदलो|बदल\s+दो|बदल\s+दें|बदलना\s+है|सुधारें|सुधारो)$/;
+// "என் மின்னஞ்சலை மாற்று", "மின்னஞ்சலை a@b.com என்று மாற்று"
+const EDIT_PATTERN_TA = /^(?:என்\s+|எனது\s+)?(.+?)(?:\s+(.+?)\s+(?:என்று|என))?\s+(?:மாற்று|மாற்றவும்|மாற்றுங்கள்|திருத்து|திருத்தவும்)$/;
+const YES_PATTERN = /^(?:yes|y|yeah|yep|correct|confirm(?:ed)?|ok(?:ay)?|right|sure|that'?s (?:right|correct)|हाँ|हां|जी हाँ|सही|ஆம்|சரி)$/i;
+const NO_PATTERN = /^(?:no|n|nope|wrong|incorrect|नहीं|गलत|இல்லை|தவறு)$/i;
+
+/**
+ * Parse a navigation command from a user message
+ * @param {string} message - Raw user message
+ * @returns {Object|null} - { type: 'back'|'skip'|'edit', fieldReference?, value? } or null
+ */
+function parseNavigationCommand(message) {
+  const text = String(message || '').trim().replace(/[.!?।]+$/, '');
+
+  if (BACK_PATTERN.test(text)) return { type: 'back' };
+  if (SKIP_PATTERN.test(text)) return { type: 'skip' };
+
+  const edit = text.match(EDIT_PATTERN) || text.match(EDIT_PATTERN_HI) || text.match(EDIT_PATTERN_TA);
+  if (edit) {
+    return { type: 'edit', fieldReference: edit[1], value: edit[2] ? edit[2].trim() : null };
+  }
+
+  return null;
+}
+
+// Separators suggesting one message answers several questions ("Ravi Kumar, born 12/03/1990 and ...")
+const MULTI_ANSWER_PATTERN = /[,;\n]|\s(?:and|&)\s/i;
+
+/**
+ * Whether a message looks like it answers several questions at once
+ * @param {string} message - Raw user message
+ * @returns {boolean}
+ */
+function looksLikeSeveralAnswers(message) {
+  const text = String(message || '').trim();
+  return text.split(/\s+/).length >= 4 && MULTI_ANSWER_PATTERN.test(text);
+}
+
+/**
+ * Parse a yes/no reply to a confirmation prompt
+ * @param {string} message - Raw user message
+ * @returns {string|null} - 'yes', 'no', or null when the message is something else
+ */
+function parseConfirmation(message) {
+  const text = String(message || '').trim().replace(/[.!?।]+$/, '');
+
+  if (YES_PATTERN.test(text)) return 'yes';
+  if (NO_PATTERN.test(text)) return 'no';
+  return null;
+}
+
+// Words of a field reference in any script; Latin is lowercased
+const referenceWords = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+
+/**
+ * Words of a field's localized questions, so "ईमेल" or "முகவரி" can name a field
+ */
+const localizedFieldWords = (field) => Object.keys(LANGUAGES)
+  .filter(language => language !== 'en')
+  .flatMap(language => referenceWords(getFieldQuestion(field, language)));
+
+// A word also matches with a case suffix attached ("முகவரியை" is "முகவரி", "மின்னஞ்சலை" is "மின்னஞ்சல்")
+const matchesWord = (word, questionWord) => {
+  const stem = questionWord.replace(/\u0BCD$/, '');
+  return word === questionWord || (stem.length >= 3 && word.startsWith(stem));
+};
+
+/**
+ * Find the field a user is referring to ("email", "date of birth", "address", "ईमेल", "முகவரி")
+ * @param {Array} fields - verified_fields of the current form
+ * @param {string} reference - Free-text field reference
+ * @returns {number} - Index of the best matching field, or -1
+ */
+function findFieldByReference(fields, reference) {
+  const words = referenceWords(reference);
+  if (words.length === 0) return -1;
+
+  const phrase = words.join(' ');
+  const latinWords = words.filter(word => /^[a-z0-9]+$/.test(word));
+  const nativeWords = words.filter(word => !latinWords.includes(word));
+  let bestIndex = -1;
+  let bestScore = 0;
+
+  fields.forEach((field, index) => {
+    const fieldWords = field.name.split('_');
+    let score;
+
+    if (phrase === fieldWords.join(' ') || phrase === field.name) {
+      score = 100;
+    } else {
+      score = latinWords.filter(word => fieldWords.includes(word) || word === field.type).length;
+      if (nativeWords.length > 0) {
+        const questionWords = localizedFieldWords(field);
+        score += nativeWords.filter(word => questionWords.some(questionWord => matchesWord(word, questionWord))).length;
+      }
+    }
+
+    // On a tie the more general field wins ("முகவரி" is the address, not the email address)
+    const tie = score > 0 && score === bestScore && fieldWords.length < fields[bestIndex].name.split('_').length;
+    if (score > bestScore || tie) {
+      bestIndex = index;
+      bestScore = score;
+    }
+  });
+
+  return bestIndex;
+}
+
+/**
+ * Human readable label for a field name
+ * @param {Object} field - Field definition
+ * @returns {string} - e.g. "email address"
+ */
+function fieldLabel(field) {
+  return field.name.replace(/_/g, ' ');
+}
+
+/**
+ * Point the session at a field so the next answer fills it,
+ * remembering where collection should resume afterwards
+ * @param {LangChainSession} session - Session to reopen
+ * @param {number} index - Field index to revisit
+ */
+function reopenField(session, index) {
+  const fields = session.verifiedFormStructure.verified_fields;
+
+  if (session.state === 'COLLECTING' && session.currentField === index) return;
+
+  if (session.resumeField === null) {
+    session.resumeField = session.state === 'COMPLETE' ? fields.length : session.currentField;
+  }
+
+  // A reopened form is reviewed and confirmed again
+  session.state = 'COLLECTING';
+  session.currentField = index;
+  session.confirmedAt = null;
+}
+
+/**
+ * Reopen collection at the first required field left unanswered by an edit
+ * (a cleared answer, or a field made applicable/required by a changed answer)
+ * @param {LangChainSession} session - Session that was edited
+ * @returns {boolean} - Whether the session was reopened
+ */
+function reopenMissingField(session) {
+  const fields = session.verifiedFormStructure.verified_fields;
+  const end = session.state === 'COMPLETE' ? fields.length : session.currentField;
+  const missing = findMissingField(fields, session.formData, end);
+
+  if (missing === -1) return false;
+
+  reopenField(session, missing);
+  return true;
+}
+
+module.exports = {
+  parseNavigationCommand,
+  parseConfirmation,
+  looksLikeSeveralAnswers,
+  findFieldByReference,
+  fieldLabel,
+  reopenField,
+  reopenMissingField
+};
@@ -2,6 +2,68 @@
 const fs = require('fs').promises;
 const path = require('path');
 const PDFDocument = require('pdfkit');
+const { formatCurrency } = require('./validators');
+const { getApplicableFields } = require('./fieldConditions');
+const { assessApplication, describeFeeItem, ELIGIBILITY_LABELS } = require('./feeCalculator');
+const { loadTemplate, fillTemplatePDF } = require('./pdfTemplateService');
+const { getFieldQuestion, splitScriptRuns } = require('./i18n');
+
+/**
+ * Unicode fonts for Indian scripts; pdfkit's built-in fonts only cover Latin.
+ * Override or add scripts with PDF_FONT_<SCRIPT>, e.g. PDF_FONT_BENGALI=/fonts/NotoSansBengali-Regular.ttf
+ */
+const SCRIPT_FONTS = {
+  Devanagari: '@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-400-normal.woff',
+  Tamil: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-400-normal.woff'
+};
+
+/**
+ * Font file for a script, or null when none is available
+ */
+const resolveScriptFont = (script) => {
+  const override = process.env[`PDF_FONT_${script.toUpperCase()}`];
+  if (override) return override;
+  if (!SCRIPT_FONTS[script]) return null;
+  try {
+    return require.resolve(SCRIPT_FONTS[script]);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether every script in the text has a font
+ */
+const canRender = (text) => splitScriptRuns(text).every(run => !run.script || resolveScriptFont(run.script));
+
+/**
+ * Write text at a position, switching fonts between Latin and Indian-script runs
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {string} text - Text to write
+ * @param {number} x - Left position
+ * @param {number} y - Top position
+ * @param {Object} options - { width, bold }
+ */
+const writeText = (doc, text, x, y, { width, bold }) => {
+  const runs = splitScriptRuns(text);
+
+  runs.forEach((run, index) => {
+    const fontPath = run.script && resolveScriptFont(run.script);
+    if (fontPath) {
+      doc.registerFont(run.script, fontPath);
+      doc.font(run.script);
+    } else {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    }
+
+    const continued = index < runs.length - 1;
+    if (index === 0) {
+      doc.text(run.text, x, y, { width, continued });
+    } else {
+      doc.text(run.text, { continued });
+    }
+  });
+};
 
 /**
  * Ensure the downloads directory exists
@@ -17,14 +79,38 @@ const ensureDownloadsDir = async () => {
   return downloadsDir;
 };
 
+/**
+ * Fields printed for an applicant, in form order: only those whose show_if condition holds,
+ * labelled with the localized question. Exporters use the same rows.
+ * @param {Object} formData - The collected form data
+ * @param {Object} verifiedFormStructure - The form structure from the database
+ * @param {Object} options - { language }
+ * @returns {Array<Object>} - [{ field, name, label, value, display }]; value is null when not provided
+ */
+const getPrintedFields = (formData, verifiedFormStructure, { language = 'en' } = {}) => {
+  return getApplicableFields(verifiedFormStructure, formData).map((field) => {
+    const rawValue = formData[field.name];
+    const provided = rawValue !== undefined && rawValue !== null && rawValue !== '';
+    return {
+      field,
+      name: field.name,
+      label: getFieldQuestion(field, language),
+      value: provided ? rawValue : null,
+      display: !provided ? 'Not Provided' : field.type === 'currency' ? formatCurrency(rawValue) : String(rawValue)
+    };
+  });
+};
+
 /**
  * Generate a verified PDF from form data
  * @param {Object} formData - The collected form data
  * @param {Object} verifiedFormStructure - The form structure from the database
  * @param {string} outputPath - Path to save the PDF
+ * @param {Object} options - { language } labels fields with the localized questions,
+ *                           { confirmedAt } is when the applicant confirmed the answers
  * @returns {Promise<string>} - Path to the generated PDF
  */
-const generateVerifiedPDF = (formData, verifiedFormStructure, outputPath) => {
+const generateVerifiedPDF = (formData, verifiedFormStructure, outputPath, { language = 'en', confirmedAt = null } = {}) => {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ margin: 50, size: 'A4' });
@@ -52,19 +138,15 @@ const generateVerifiedPDF = (formData, verifiedFormStructure, outputPath) => {
       const leftMargin = 70;
       const rightMargin = 300;
       
-      verifiedFormStructure.verified_fields.forEach((field) => {
+      getPrintedFields(formData, verifiedFormStructure, { language }).forEach(({ field, label, display }) => {
         if (yPosition > 650) {
           doc.addPage();
           yPosition = 80;
         }
 
-        const value = formData[field.name] || 'Not Provided';
-        
-        doc.fontSize(11).font('Helvetica-Bold')
-           .text(`${field.question}`, leftMargin, yPosition, { width: 200 });
-        
-        doc.fontSize(11).font('Helvetica')
-           .text(String(value), rightMargin, yPosition, { width: 250 });
+        doc.fontSize(11);
+        writeText(doc, canRender(label) ? label : field.question, leftMargin, yPosition, { width: 200, bold: true });
+        writeText(doc, display, rightMargin, yPosition, { width: 250 });
            
         yPosition += 30;
       });
@@ -81,19 +163,44 @@ const generateVerifiedPDF = (formData, verifiedFormStructure, outputPath) => {
         yPosition += 18;
       });
 
+      // Fee, processing time and eligibility computed from this applicant's answers
+      const { fees, processingTime, eligibility } = assessApplication(verifiedFormStructure, formData);
       yPosition += 30;
+      if (yPosition > 650) {
+        doc.addPage();
+        yPosition = 80;
+      }
       doc.fontSize(10).font('Helvetica-Bold')
-         .text(`Processing Fee: ${verifiedFormStructure.verified_fees}`, leftMargin, yPosition);
+         .text(`Processing Fee: ${fees.display}`, leftMargin, yPosition);
       yPosition += 15;
-      doc.text(`Processing Time: ${verifiedFormStructure.verified_processing_time}`, leftMargin, yPosition);
+      doc.font('Helvetica');
+      fees.items.forEach((item) => {
+        doc.text(`- ${describeFeeItem(item)}`, leftMargin + 15, yPosition, { width: 440 });
+        yPosition = doc.y + 3;
+      });
+      doc.font('Helvetica-Bold')
+         .text(`Processing Time: ${processingTime}`, leftMargin, yPosition);
       yPosition += 15;
+      if (eligibility) {
+        doc.text(`Eligibility: ${ELIGIBILITY_LABELS[eligibility.verdict]}`, leftMargin, yPosition);
+        yPosition += 15;
+        doc.font('Helvetica');
+        eligibility.findings.forEach((finding) => {
+          doc.text(`- ${finding.message}`, leftMargin + 15, yPosition, { width: 440 });
+          yPosition = doc.y + 3;
+        });
+        doc.font('Helvetica-Bold');
+      }
       doc.text(`Official Website: ${verifiedFormStructure.official_website}`, leftMargin, yPosition);
 
       // Footer
       yPosition += 40;
       doc.fontSize(8).font('Helvetica')
-         .fillColor('#666666')
-         .text(`Generated by IntelliForm AI LangChain V4.0 on ${new Date().toLocaleString('en-IN')}`, { align: 'center' })
+         .fillColor('#666666');
+      if (confirmedAt) {
+        doc.text(`Answers reviewed and confirmed by the applicant on ${new Date(confirmedAt).toLocaleString('en-IN')}`, { align: 'center' });
+      }
+      doc.text(`Generated by IntelliForm AI LangChain V4.0 on ${new Date().toLocaleString('en-IN')}`, { align: 'center' })
          .text('🦜 Powered by LangChain • ✅ Verified Government Data', { align: 'center' });
 
       doc.end();
@@ -106,7 +213,98 @@ const generateVerifiedPDF = (formData, verifiedFormStructure, outputPath) => {
   });
 };
 
+/**
+ * Generate the PDF for a form: the official template when one is configured and has a place for every answer,
+ * otherwise the generic verified summary layout
+ * @param {string} formId - Form ID from the catalog
+ * @param {Object} formData - The collected form data
+ * @param {Object} verifiedFormStructure - The form structure from the database
+ * @param {string} outputPath - Path to save the PDF
+ * @param {Object} options - { language, confirmedAt }; templates only use confirmedAt
+ * @returns {Promise<Object>} - { path, layout: 'acroform' | 'overlay' | 'summary' }
+ */
+const generateFormPDF = async (formId, formData, verifiedFormStructure, outputPath, options = {}) => {
+  const template = await loadTemplate(formId);
+  
+  // A template that can't hold every answer (an option the PDF doesn't offer) falls back too
+  if (template && await fillTemplatePDF(formData, verifiedFormStructure, template, outputPath, options)) {
+    return { path: outputPath, layout: template.mode };
+  }
+  
+  await generateVerifiedPDF(formData, verifiedFormStructure, outputPath, options);
+  return { path: outputPath, layout: 'summary' };
+};
+
+/**
+ * Generate the combined checklist for a form bundle: the forms in order with their dependencies,
+ * fees and processing times, then every supporting document once
+ * @param {Object} checklist - Output of buildChecklist()
+ * @param {string} outputPath - Path to save the PDF
+ * @returns {Promise<string>} - Path to the generated PDF
+ */
+const generateChecklistPDF = (checklist, outputPath) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50, size: 'A4' });
+      const stream = require('fs').createWriteStream(outputPath);
+      doc.pipe(stream);
+
+      const formName = (formId) => checklist.steps.find(step => step.formId === formId)?.name || formId;
+
+      doc.fontSize(18).font('Helvetica-Bold')
+         .text('APPLICATION CHECKLIST', { align: 'center' });
+      doc.fontSize(12).font('Helvetica-Bold')
+         .text(checklist.name.toUpperCase(), { align: 'center' });
+      doc.moveDown(2);
+
+      doc.fontSize(12).font('Helvetica-Bold').text('FORMS, IN ORDER:');
+      doc.moveDown(0.5);
+      checklist.steps.forEach((step) => {
+        doc.fontSize(11).font('Helvetica-Bold')
+           .text(`${step.step}. ${step.name} (${step.authority}, Form No. ${step.form_number})`);
+        doc.fontSize(10).font('Helvetica');
+        if (step.dependsOn.length) doc.text(`After: ${step.dependsOn.map(formName).join(', ')}`, { indent: 15 });
+        if (step.note) doc.text(step.note, { indent: 15 });
+        doc.text(`Fee: ${step.fees}`, { indent: 15 })
+           .text(`Processing Time: ${step.processingTime}`, { indent: 15 });
+        if (step.eligibility) {
+          doc.text(`Eligibility: ${ELIGIBILITY_LABELS[step.eligibility.verdict]}`, { indent: 15 });
+          step.eligibility.findings.forEach(finding => doc.text(`- ${finding.message}`, { indent: 30 }));
+        }
+        doc.text(`Official Website: ${step.officialWebsite}`, { indent: 15 });
+        doc.moveDown(0.5);
+      });
+
+      doc.moveDown();
+      doc.fontSize(12).font('Helvetica-Bold').text('✅ VERIFIED REQUIRED DOCUMENTS:');
+      doc.moveDown(0.5);
+      checklist.documents.forEach((item, index) => {
+        doc.fontSize(10).font('Helvetica')
+           .text(`[ ] ${index + 1}. ${item.document}`)
+           .fillColor('#666666')
+           .text(`For: ${item.forms.map(formName).join(', ')}`, { indent: 15 })
+           .fillColor('#000000');
+      });
+
+      doc.moveDown(2);
+      doc.fontSize(8).font('Helvetica')
+         .fillColor('#666666')
+         .text(`Generated by IntelliForm AI LangChain V4.0 on ${new Date().toLocaleString('en-IN')}`, { align: 'center' });
+
+      doc.end();
+      stream.on('finish', () => resolve(outputPath));
+      stream.on('error', reject);
+
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
 module.exports = {
   ensureDownloadsDir,
-  generateVerifiedPDF
+  getPrintedFields,
+  generateVerifiedPDF,
+  generateFormPDF,
+  generateChecklistPDF
 };
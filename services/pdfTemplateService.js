@@ -0,0 +1,207 @@
+// pdfTemplateService.js - Official PDF Template Filling
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument, PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, StandardFonts, PageSizes, rgb } = require('pdf-lib');
+
+const { getApplicableFields } = require('./fieldConditions');
+const { assessApplication, describeFeeItem, ELIGIBILITY_LABELS } = require('./feeCalculator');
+
+/**
+ * Templates live in PDF_TEMPLATES_DIR (default ./templates), one mapping per form:
+ *   templates/<form_id>.json
+ *   {
+ *     "file": "form_49a.pdf",            // official PDF, relative to the templates directory
+ *     "mode": "acroform",                // or "overlay" for flat PDFs
+ *     "fields": {
+ *       "full_name": "ApplicantFullName",
+ *       "gender": { "name": "Gender", "values": { "Male": "M", "Female": "F" } },
+ *       "consent": { "name": "Declaration", "checked_when": "Yes" }
+ *     }
+ *   }
+ * AcroForm mappings name the PDF field (or an object for checkbox/radio/dropdown widgets).
+ * Overlay mappings give a position instead, in points from the bottom-left corner:
+ *   "full_name": { "page": 0, "x": 120, "y": 640, "size": 10, "maxWidth": 300 }
+ */
+const getTemplatesDir = () => process.env.PDF_TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+
+/**
+ * Load the template mapping for a form
+ * @param {string} formId - Form ID from the catalog
+ * @returns {Promise<Object|null>} - Mapping with resolved `pdfPath`, or null when the form has no usable template
+ */
+const loadTemplate = async (formId) => {
+  const dir = getTemplatesDir();
+
+  let mapping;
+  try {
+    mapping = JSON.parse(await fs.readFile(path.join(dir, `${formId}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid PDF template mapping for ${formId}: ${error.message}`);
+  }
+
+  const pdfPath = path.join(dir, mapping.file);
+  try {
+    await fs.access(pdfPath);
+  } catch {
+    console.warn(`⚠️ PDF template file missing for ${formId}: ${mapping.file}`);
+    return null;
+  }
+
+  return { mode: 'acroform', ...mapping, pdfPath };
+};
+
+/**
+ * Render a stored value as text for an official form
+ */
+const toTemplateText = (field, value) => {
+  if (field.type === 'currency') return Number(value).toLocaleString('en-IN');
+  return String(value);
+};
+
+// Standard PDF fonts only cover WinAnsi; replace anything else rather than failing the fill
+const toWinAnsi = (text) => text.replace(/₹/g, 'Rs. ').replace(/[^\x20-\x7E\xA0-\xFF\n]/g, '?');
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Break text into lines no wider than `width` points
+ */
+const wrapText = (text, font, size, width) => {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  return [...lines, line];
+};
+
+/**
+ * Official forms have no room for what IntelliForm computed from the answers, so the fee,
+ * processing time and eligibility (and the applicant's confirmation) go on a page after the form
+ */
+const appendAssessmentPage = (pdfDoc, fonts, verifiedFormStructure, formData, confirmedAt) => {
+  const { fees, processingTime, eligibility } = assessApplication(verifiedFormStructure, formData);
+  let page = pdfDoc.addPage(PageSizes.A4);
+  let y = page.getHeight() - PAGE_MARGIN;
+
+  const write = (text, { font = fonts.regular, size = 10, indent = 0, gap = 0, color = rgb(0, 0, 0) } = {}) => {
+    y -= gap;
+    wrapText(toWinAnsi(text), font, size, page.getWidth() - 2 * PAGE_MARGIN - indent).forEach((line) => {
+      if (y - size * 1.4 < PAGE_MARGIN) {
+        page = pdfDoc.addPage(PageSizes.A4);
+        y = page.getHeight() - PAGE_MARGIN;
+      }
+      y -= size * 1.4;
+      page.drawText(line, { x: PAGE_MARGIN + indent, y, size, font, color });
+    });
+  };
+
+  write(verifiedFormStructure.name.toUpperCase(), { font: fonts.bold, size: 14 });
+  write(`Form No: ${verifiedFormStructure.form_number} - fee and eligibility for these answers`, { size: 9 });
+
+  write(`Processing Fee: ${fees.display}`, { font: fonts.bold, gap: 15 });
+  fees.items.forEach(item => write(`- ${describeFeeItem(item)}`, { indent: 15 }));
+  write(`Processing Time: ${processingTime}`, { font: fonts.bold, gap: 5 });
+  if (eligibility) {
+    write(`Eligibility: ${ELIGIBILITY_LABELS[eligibility.verdict]}`, { font: fonts.bold, gap: 5 });
+    eligibility.findings.forEach(finding => write(`- ${finding.message}`, { indent: 15 }));
+  }
+  write(`Official Website: ${verifiedFormStructure.official_website}`, { font: fonts.bold, gap: 5 });
+
+  const grey = rgb(0.4, 0.4, 0.4);
+  if (confirmedAt) {
+    write(`Answers reviewed and confirmed by the applicant on ${new Date(confirmedAt).toLocaleString('en-IN')}`, { size: 8, gap: 30, color: grey });
+  }
+  write(`Generated by IntelliForm AI LangChain V4.0 on ${new Date().toLocaleString('en-IN')}`, { size: 8, gap: confirmedAt ? 0 : 30, color: grey });
+};
+
+/**
+ * Fill an AcroForm field by mapping entry
+ * @returns {boolean} - False when the PDF has no such field or no option for the value
+ */
+const fillAcroField = (form, mapping, text) => {
+  const spec = typeof mapping === 'string' ? { name: mapping } : mapping;
+  const pdfField = form.getFieldMaybe(spec.name);
+  const mapped = spec.values?.[text] ?? text;
+
+  if (pdfField instanceof PDFTextField) {
+    pdfField.setText(toWinAnsi(mapped));
+  } else if (pdfField instanceof PDFCheckBox) {
+    const checked = spec.checked_when === undefined ? !!text : String(text).toLowerCase() === String(spec.checked_when).toLowerCase();
+    if (checked) pdfField.check(); else pdfField.uncheck();
+  } else if (pdfField instanceof PDFRadioGroup || pdfField instanceof PDFDropdown) {
+    if (!pdfField.getOptions().includes(mapped)) return false;
+    pdfField.select(mapped);
+  } else {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Fill an official PDF template with collected form data and flatten it, followed by the
+ * fee and eligibility page
+ * @param {Object} formData - The collected form data
+ * @param {Object} verifiedFormStructure - The form structure from the database
+ * @param {Object} template - Result of loadTemplate()
+ * @param {string} outputPath - Path to save the PDF
+ * @param {Object} options - { confirmedAt } when the applicant confirmed the answers
+ * @returns {Promise<string|null>} - Path to the generated PDF, or null when an answer has no place in the template
+ */
+const fillTemplatePDF = async (formData, verifiedFormStructure, template, outputPath, { confirmedAt } = {}) => {
+  const pdfDoc = await PDFDocument.load(await fs.readFile(template.pdfPath));
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const pages = pdfDoc.getPages();
+  const form = template.mode === 'acroform' ? pdfDoc.getForm() : null;
+
+  const unplaced = [];
+  getApplicableFields(verifiedFormStructure, formData).forEach((field) => {
+    const mapping = template.fields[field.name];
+    const value = formData[field.name];
+    if (!mapping || value === undefined || value === null || value === '') return;
+
+    const text = toTemplateText(field, value);
+
+    if (form) {
+      if (!fillAcroField(form, mapping, text)) unplaced.push(field.name);
+    } else {
+      const page = pages[mapping.page || 0];
+      page.drawText(toWinAnsi(text), {
+        x: mapping.x,
+        y: mapping.y,
+        size: mapping.size || 10,
+        maxWidth: mapping.maxWidth,
+        lineHeight: (mapping.size || 10) * 1.2,
+        font
+      });
+    }
+  });
+
+  if (unplaced.length > 0) {
+    console.warn(`⚠️ PDF template for ${verifiedFormStructure.id} has no place for: ${unplaced.join(', ')}`);
+    return null;
+  }
+
+  if (form) {
+    form.updateFieldAppearances(font);
+    form.flatten();
+  }
+
+  appendAssessmentPage(pdfDoc, { regular: font, bold }, verifiedFormStructure, formData, confirmedAt);
+
+  await fs.writeFile(outputPath, await pdfDoc.save());
+  return outputPath;
+};
+
+module.exports = {
+  loadTemplate,
+  fillTemplatePDF
+};
@@ -0,0 +1,231 @@
+// privacy.js - Sensitive Field Detection, Masking and Redaction
+const { CANONICAL_FIELDS } = require('./canonicalFields');
+const { parseNavigationCommand, parseConfirmation, looksLikeSeveralAnswers, findFieldByReference } = require('./navigationService');
+const { parseLanguageCommand } = require('./i18n');
+
+/**
+ * Field types that are always sensitive; any field can also set `sensitive: true`
+ * (or `sensitive: false` to opt out) in its form definition
+ */
+const SENSITIVE_TYPES = new Set(['pan', 'aadhaar', 'bank_account']);
+
+const FREE_TEXT_TYPES = new Set(['text', 'textarea']);
+
+/**
+ * Identifiers recognised in free text (logs, traces, chat history) even when no field is known
+ */
+const SENSITIVE_PATTERNS = [
+  /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/gi, // PAN
+  /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g, // Aadhaar
+  /\b\d{9,18}\b/g, // bank account and phone numbers
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g // dates such as a date of birth
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Whether a form field holds sensitive data
+ * @param {Object} field - Field definition
+ * @returns {boolean}
+ */
+function isSensitiveField(field) {
+  if (!field) return false;
+  return field.sensitive ?? SENSITIVE_TYPES.has(field.type);
+}
+
+/**
+ * Whether a canonical value (document extraction, profiles) is sensitive; unknown keys such as
+ * `aadhaar_number` are
+ */
+const isSensitiveKey = (key) => CANONICAL_FIELDS[key]?.sensitive ?? !CANONICAL_FIELDS[key];
+
+/**
+ * Mask a value for display: free text keeps its words but hides all digits except the last two,
+ * identifiers keep only their last four letters or digits
+ * @param {*} value - Value to mask
+ * @param {Object} options - { freeText }
+ * @returns {*} - Masked string (empty values are returned unchanged)
+ */
+function maskValue(value, { freeText = false } = {}) {
+  if (value === undefined || value === null || value === '') return value;
+  const text = String(value);
+  const pattern = freeText ? /\d/g : /[\p{L}\p{N}]/gu;
+  const total = (text.match(pattern) || []).length;
+  const visible = freeText ? 2 : 4;
+
+  let seen = 0;
+  return text.replace(pattern, character => (++seen > total - visible ? character : '•'));
+}
+
+/**
+ * Mask a field's value if the field is sensitive
+ */
+const maskFieldValue = (field, value) => (
+  isSensitiveField(field) ? maskValue(value, { freeText: FREE_TEXT_TYPES.has(field.type) }) : value
+);
+
+/**
+ * Copy of form data with sensitive fields masked, for API responses
+ * @param {Object} structure - Form definition
+ * @param {Object} formData - Collected answers
+ * @returns {Object}
+ */
+function maskFormData(structure, formData) {
+  const fields = new Map((structure?.verified_fields || []).map(field => [field.name, field]));
+  return Object.fromEntries(
+    Object.entries(formData || {}).map(([name, value]) => [name, maskFieldValue(fields.get(name), value)])
+  );
+}
+
+/**
+ * Mask a canonical value (document extraction, profiles) if its key is sensitive
+ */
+const maskCanonicalValue = (key, value) => (
+  isSensitiveKey(key) ? maskValue(value, { freeText: !!CANONICAL_FIELDS[key]?.freeText }) : value
+);
+
+/**
+ * Copy of canonical values with sensitive ones masked
+ * @param {Object} values - { <canonical key>: value }
+ * @returns {Object}
+ */
+function maskCanonicalValues(values) {
+  return Object.fromEntries(Object.entries(values || {}).map(([key, value]) => [key, maskCanonicalValue(key, value)]));
+}
+
+/**
+ * Copy of an autofill suggestion with its value masked when the target field is sensitive
+ * @param {Object} structure - Form definition
+ * @param {Object} suggestion - { field, value, source, ... }
+ * @returns {Object}
+ */
+function maskSuggestion(structure, suggestion) {
+  const field = (structure?.verified_fields || []).find(candidate => candidate.name === suggestion.field);
+  return { ...suggestion, value: maskFieldValue(field, suggestion.value) };
+}
+
+/**
+ * Copy of an uploaded document with sensitive extracted values masked
+ */
+const maskDocument = (document) => ({ ...document, extracted: maskCanonicalValues(document.extracted) });
+
+/**
+ * Replace known sensitive values and recognisable identifiers in text
+ * @param {string} text - Text to clean
+ * @param {Array<string>} values - Known sensitive values (e.g. from sensitiveValues())
+ * @returns {string}
+ */
+function redactText(text, values = []) {
+  if (typeof text !== 'string' || !text) return text;
+
+  let result = text;
+  values
+    .filter(value => typeof value === 'string' && value.length >= 4)
+    .sort((a, b) => b.length - a.length)
+    .forEach((value) => {
+      result = result.split(value).join(REDACTED);
+    });
+  SENSITIVE_PATTERNS.forEach((pattern) => {
+    result = result.replace(pattern, REDACTED);
+  });
+  return result;
+}
+
+/**
+ * redactText() applied to every string in a JSON-like structure (prompts, LLM messages)
+ */
+function redactDeep(data, values = []) {
+  if (typeof data === 'string') return redactText(data, values);
+  if (Array.isArray(data)) return data.map(item => redactDeep(item, values));
+  if (data && typeof data === 'object') {
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, redactDeep(value, values)]));
+  }
+  return data;
+}
+
+/**
+ * Sensitive values a session knows: answers (including forms already filled in a bundle),
+ * answers found in a message and awaiting confirmation, document extraction and profile values
+ * @param {LangChainSession} session - Current session
+ * @returns {Array<string>}
+ */
+function sensitiveValues(session) {
+  const values = [];
+  const filled = [{ form: session.verifiedFormStructure, formData: session.formData }, ...(session.bundle?.completed || [])];
+  filled.forEach(({ form, formData }) => {
+    (form?.verified_fields || []).filter(isSensitiveField).forEach(field => values.push(formData[field.name]));
+  });
+  (session.verifiedFormStructure?.verified_fields || []).filter(isSensitiveField).forEach((field) => {
+    values.push(session.pendingExtraction?.values?.[field.name]);
+  });
+
+  (session.documents || []).forEach((document) => {
+    Object.entries(document.extracted || {}).filter(([key]) => isSensitiveKey(key)).forEach(([, value]) => values.push(value));
+  });
+  Object.entries(session.profileValues || {}).filter(([key]) => isSensitiveKey(key)).forEach(([, value]) => values.push(value));
+
+  return values.filter(value => value !== undefined && value !== null).map(String);
+}
+
+/**
+ * Parts of a user message that may hold a value for a sensitive field. A value can arrive as the answer
+ * to a sensitive question, in an edit command ("change my date of birth to 12/03/1990"), among several
+ * answers in one message, or as a correction typed while reviewing; unless the message is known to be
+ * safe (a command, a confirmation or a single answer to a question that isn't sensitive) all of it is.
+ * @param {LangChainSession} session - Session the message belongs to (before it is processed)
+ * @param {string} message - Raw message
+ * @returns {Array<string>} - The whole message, an edit command's value, or nothing
+ */
+function sensitiveMessageParts(session, message) {
+  const form = session.verifiedFormStructure;
+  const fields = form?.verified_fields || [];
+  const text = String(message ?? '');
+  if (!['COLLECTING', 'REVIEW', 'COMPLETE'].includes(session.state) || !fields.some(isSensitiveField)) return [];
+  if (parseConfirmation(text) || parseLanguageCommand(text)) return [];
+
+  const command = parseNavigationCommand(text);
+  if (command) {
+    if (command.type !== 'edit' || !command.value) return [];
+    const target = fields[findFieldByReference(fields, command.fieldReference)];
+    return target && !isSensitiveField(target) ? [] : [command.value];
+  }
+
+  if (session.state !== 'COLLECTING' || isSensitiveField(fields[session.currentField])) return [text];
+
+  const unanswered = fields.some(field => isSensitiveField(field) && [undefined, null, ''].includes(session.formData[field.name]));
+  return unanswered && looksLikeSeveralAnswers(text) ? [text] : [];
+}
+
+/**
+ * A user message as it may be logged, traced or kept in chat history:
+ * anything that may be sensitive is dropped, the rest is scrubbed
+ * @param {LangChainSession} session - Session the message belongs to (before it is processed)
+ * @param {string} message - Raw message
+ * @returns {string}
+ */
+function redactMessage(session, message) {
+  const parts = sensitiveMessageParts(session, message);
+  if (parts.includes(String(message ?? ''))) return REDACTED;
+
+  // Edit command values are replaced whatever their length ("change blood group to O+")
+  const scrubbed = parts.reduce((result, part) => result.split(part).join(REDACTED), String(message ?? ''));
+  return redactText(scrubbed, sensitiveValues(session));
+}
+
+module.exports = {
+  REDACTED,
+  isSensitiveField,
+  isSensitiveKey,
+  maskValue,
+  maskFieldValue,
+  maskFormData,
+  maskCanonicalValue,
+  maskCanonicalValues,
+  maskSuggestion,
+  maskDocument,
+  redactText,
+  redactDeep,
+  sensitiveValues,
+  sensitiveMessageParts,
+  redactMessage
+};
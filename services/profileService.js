@@ -0,0 +1,161 @@
+// profileService.js - Reusable User Profiles for Prefilling Forms
+const crypto = require('crypto');
+const path = require('path');
+
+const { createSessionStore } = require('./sessionStore');
+const { CANONICAL_FIELDS, getCanonicalKey } = require('./canonicalFields');
+const { validateFieldInput } = require('./validators');
+const { isFieldApplicable } = require('./fieldConditions');
+const { encryptValue, decryptValue } = require('./encryption');
+
+/**
+ * Profiles are stored with the session store adapters (PROFILE_STORE, default SESSION_STORE)
+ * under their own directory / key prefix, and never expire. Values are encrypted at rest.
+ * Record: { id, values: { <canonical key>: { value, formId, updatedAt } }, createdAt, updatedAt }
+ */
+const store = createSessionStore({
+  type: process.env.PROFILE_STORE || process.env.SESSION_STORE || 'memory',
+  directory: process.env.PROFILE_STORE_DIR || path.join(__dirname, '..', 'profiles'),
+  prefix: 'intelliform:profile:',
+  ttl: null
+});
+
+// User IDs become storage keys; IDs from external issuers (e.g. "auth0|123") are hashed
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const isValidUserId = (userId) => typeof userId === 'string' && userId.length > 0 && userId.length <= 256;
+
+const storageKey = (userId) => (
+  USER_ID_PATTERN.test(userId) ? userId : crypto.createHash('sha256').update(userId).digest('hex')
+);
+
+/**
+ * Load a user's profile
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Profile record or null
+ */
+async function getProfile(userId) {
+  if (!isValidUserId(userId)) return null;
+
+  const profile = await store.get(storageKey(userId));
+  if (!profile) return null;
+
+  // Values that no configured key can decrypt are dropped
+  const values = Object.entries(profile.values)
+    .map(([key, entry]) => [key, { ...entry, value: decryptValue(entry.value) }])
+    .filter(([, entry]) => entry.value !== undefined);
+  return { ...profile, values: Object.fromEntries(values) };
+}
+
+/**
+ * Delete a user's profile
+ * @returns {Promise<boolean>} - Whether a profile existed
+ */
+async function deleteProfile(userId) {
+  if (!(await getProfile(userId))) return false;
+  await store.delete(storageKey(userId));
+  console.log(`🗑️ Profile deleted: ${userId}`);
+  return true;
+}
+
+/**
+ * Copy the session owner's profile values onto the session, so questions can offer them
+ * @param {LangChainSession} session - Session with a userId
+ */
+async function loadProfileIntoSession(session) {
+  const profile = session.userId ? await getProfile(session.userId) : null;
+  session.profileValues = Object.fromEntries(
+    Object.entries(profile?.values || {}).map(([key, entry]) => [key, entry.value])
+  );
+}
+
+/**
+ * Profile value that could answer a field, for the user to confirm
+ * @param {LangChainSession} session - Current session
+ * @param {Object} field - Field definition
+ * @returns {Object|null} - { field, value, source } or null
+ */
+function findProfileSuggestion(session, field) {
+  if (!field || session.formData[field.name] !== undefined) return null;
+  if (session.dismissedSuggestions.includes(field.name)) return null;
+  if (!isFieldApplicable(field, session.formData)) return null;
+
+  const key = getCanonicalKey(field);
+  const stored = key && session.profileValues[key];
+  if (!stored) return null;
+
+  const validation = validateFieldInput({ ...field, required: true }, stored);
+  return validation.valid ? { field: field.name, value: validation.value, source: 'profile' } : null;
+}
+
+/**
+ * Answers in the session that are new or different from the profile
+ * @returns {Array<Object>} - [{ key, label, field, value }], one per canonical key
+ */
+function listProfileChanges(session) {
+  if (!session.verifiedFormStructure) return [];
+  const changes = new Map();
+
+  session.verifiedFormStructure.verified_fields.forEach((field) => {
+    const key = getCanonicalKey(field);
+    const value = session.formData[field.name];
+    if (!key || changes.has(key) || value === undefined || value === '') return;
+    if (!isFieldApplicable(field, session.formData) || session.profileValues[key] === value) return;
+
+    changes.set(key, { key, label: CANONICAL_FIELDS[key].label, field: field.name, value });
+  });
+
+  return [...changes.values()];
+}
+
+/**
+ * Ask to save new answers when a form completes, unless the user already declined in this session
+ * @returns {Object|null} - { fields } to confirm, or null when there is nothing to ask
+ */
+function offerProfileUpdate(session) {
+  if (!session.userId || session.profileConsent === 'declined') return null;
+
+  const changes = listProfileChanges(session);
+  if (changes.length === 0) return null;
+
+  session.profileConsent = 'pending';
+  return { fields: changes.map(change => change.key), labels: changes.map(change => change.label) };
+}
+
+/**
+ * Record the user's answer to the save-to-profile question
+ * @param {LangChainSession} session - Session with a userId
+ * @param {boolean} granted - Whether the user agreed
+ * @returns {Promise<Array<string>>} - Canonical keys written to the profile
+ */
+async function resolveProfileConsent(session, granted) {
+  session.profileConsent = granted ? 'granted' : 'declined';
+  if (!granted || !session.userId) return [];
+
+  const changes = listProfileChanges(session);
+  if (changes.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const profile = (await getProfile(session.userId)) || { id: session.userId, values: {}, createdAt: now };
+  changes.forEach((change) => {
+    profile.values[change.key] = { value: change.value, formId: session.currentForm, updatedAt: now };
+    session.profileValues[change.key] = change.value;
+  });
+  profile.updatedAt = now;
+
+  const values = Object.entries(profile.values).map(([key, entry]) => [key, { ...entry, value: encryptValue(entry.value) }]);
+  await store.set(storageKey(session.userId), { ...profile, values: Object.fromEntries(values) });
+  console.log(`👤 Profile ${session.userId} updated from ${session.currentForm}: ${changes.map(change => change.key).join(', ')}`);
+  return changes.map(change => change.key);
+}
+
+module.exports = {
+  isValidUserId,
+  getProfile,
+  deleteProfile,
+  loadProfileIntoSession,
+  findProfileSuggestion,
+  listProfileChanges,
+  offerProfileUpdate,
+  resolveProfileConsent
+};
@@ -0,0 +1,166 @@
+// scriptedChatModel.js - Deterministic Offline Chat Model
+const fs = require('fs');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('./formsDatabase');
+const { listBundles } = require('./formBundles');
+
+/**
+ * Chat model that replays scripted responses instead of calling a provider.
+ * Used for CI and offline development of the discovery and validation chains.
+ *
+ * Script (object or path to a JSON file):
+ *   { "rules": [{ "match": "regex tested against the prompt", "response": "..." }],
+ *     "responses": ["replayed in order once no rule matches", ...] }
+ * When neither applies, a built-in responder answers the discovery (forms and bundles), validation, extraction
+ * and knowledge base prompts.
+ */
+class ScriptedChatModel extends SimpleChatModel {
+  constructor({ script = {}, ...fields } = {}) {
+    super(fields);
+    const loaded = typeof script === 'string' ? JSON.parse(fs.readFileSync(script, 'utf8')) : script;
+    this.rules = (loaded.rules || []).map(rule => ({ pattern: new RegExp(rule.match, 'i'), response: rule.response }));
+    this.responses = [...(loaded.responses || [])];
+    this.calls = [];
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  /**
+   * Pick the response for a prompt: matching rule, next queued response, then built-in
+   */
+  respond(messages) {
+    const prompt = messages.map(message => message.content).join('\n');
+    this.calls = [...this.calls.slice(-49), prompt];
+
+    const rule = this.rules.find(candidate => candidate.pattern.test(prompt));
+    if (rule) return rule.response;
+    if (this.responses.length > 0) return this.responses.shift();
+    return defaultResponse(prompt);
+  }
+
+  async _call(messages) {
+    return this.respond(messages);
+  }
+
+  // Stream word by word so token callbacks (SSE) behave like a real provider
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = this.respond(messages);
+
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk({ content: token }) });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
+
+/**
+ * Built-in answers for the IntelliForm prompts
+ */
+function defaultResponse(prompt) {
+  if (prompt.includes('"matched_form_id"')) {
+    const request = (prompt.match(/USER REQUEST: "([\s\S]*?)"\n/) || [])[1] || '';
+    const words = request.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+
+    let best = null;
+    let bestScore = 0;
+    Object.entries(VERIFIED_GOVERNMENT_FORMS).forEach(([id, form]) => {
+      const formWords = `${id} ${form.name}`.toLowerCase().split(/[^a-z0-9]+/);
+      const score = words.filter(word => formWords.includes(word)).length;
+      if (score > bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    });
+
+    // A bundle wins when its goals match more of the request than any single form
+    const bundle = listBundles()
+      .map(candidate => ({ candidate, words: `${candidate.name} ${candidate.goals.join(' ')}`.toLowerCase().split(/[^a-z0-9]+/) }))
+      .map(({ candidate, words: bundleWords }) => ({ candidate, score: words.filter(word => bundleWords.includes(word)).length }))
+      .filter(({ score }) => score > bestScore && score >= 2)
+      .sort((a, b) => b.score - a.score)[0]?.candidate;
+
+    if (bundle) {
+      return JSON.stringify({
+        intent: 'form_discovery',
+        matched_form_id: bundle.forms[0].form_id,
+        matched_bundle_id: bundle.id,
+        confidence: 0.85,
+        message: `"${bundle.name}" needs several forms. I'll take you through them one at a time.`,
+        form_name: VERIFIED_GOVERNMENT_FORMS[bundle.forms[0].form_id].name
+      });
+    }
+
+    return JSON.stringify(best ? {
+      intent: 'form_discovery',
+      matched_form_id: best,
+      confidence: 0.9,
+      message: `I can help you with the ${VERIFIED_GOVERNMENT_FORMS[best].name}.`,
+      form_name: VERIFIED_GOVERNMENT_FORMS[best].name
+    } : {
+      intent: 'clarification_needed',
+      matched_form_id: null,
+      confidence: 0.2,
+      message: 'Which government form would you like help with?',
+      form_name: null
+    });
+  }
+
+  if (prompt.includes('"cleaned_value"')) {
+    const input = (prompt.match(/USER INPUT: "([\s\S]*?)"\n/) || [])[1] || '';
+    return JSON.stringify(input.trim()
+      ? { valid: true, cleaned_value: input.trim(), error_message: null }
+      : { valid: false, cleaned_value: input, error_message: 'This field is required' });
+  }
+
+  if (prompt.includes('"values"')) {
+    return JSON.stringify({ values: extractValues(prompt) });
+  }
+
+  // Messages opening with an interrogative are questions; "Do ..." and "May ..." read as answers
+  if (prompt.includes('"query"')) {
+    const input = (prompt.match(/USER QUESTION: "([\s\S]*?)"\n/) || [])[1] || '';
+    const question = /[?？]\s*$|^\s*(?:what|which|how|why|when|where|who|क्या|कैसे|என்ன|எப்படி)(?=\s|$)/iu.test(input);
+    return JSON.stringify({ is_question: question, query: question ? input : null });
+  }
+
+  // Knowledge answers repeat the first two sentences of the best guidance passage
+  if (prompt.includes('"grounded"')) {
+    const passage = (prompt.match(/^\[1\] .*\n([\s\S]*?)(?:\n\n\[2\]|\n\nINSTRUCTIONS:)/m) || [])[1];
+    const answer = passage && (passage.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]+/g) || [passage]).slice(0, 2).join('').trim();
+    return JSON.stringify(answer ? { grounded: true, answer } : { grounded: false, answer: null });
+  }
+
+  return JSON.stringify({ intent: 'clarification_needed', message: 'Could you tell me more?', confidence: 0.1 });
+}
+
+/**
+ * Pattern-based answers for the field extraction prompt: names introduced with "I'm" / "my name is",
+ * and emails, mobile numbers, dates and PANs matched to the first unanswered field of that type
+ */
+function extractValues(prompt) {
+  const message = (prompt.match(/USER MESSAGE: "([\s\S]*?)"\n/) || [])[1] || '';
+  const fields = [...prompt.matchAll(/^- (\w+) \((\w+)\):/gm)].map(([, name, type]) => ({ name, type }));
+  const values = {};
+
+  const assign = (predicate, value) => {
+    const field = value && fields.find(candidate => predicate(candidate) && !values[candidate.name]);
+    if (field) values[field.name] = value;
+  };
+
+  assign(field => field.type === 'text' && /name/.test(field.name),
+    (message.match(/(?:i'?m|i am|my name is)\s+([A-Z][a-z]+(?: [A-Z][a-z]+)*)/i) || [])[1]);
+  assign(field => field.type === 'email', (message.match(/[\w.+-]+@[\w-]+\.[\w.]+/) || [])[0]);
+  assign(field => field.type === 'phone', (message.match(/\b[6-9]\d{9}\b/) || [])[0]);
+  assign(field => field.type === 'date', (message.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/) || [])[0]);
+  assign(field => field.type === 'pan', (message.match(/\b[A-Z]{5}\d{4}[A-Z]\b/i) || [])[0]);
+  return values;
+}
+
+module.exports = {
+  ScriptedChatModel
+};
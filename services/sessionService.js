@@ -2,27 +2,59 @@
 const { v4: uuidv4 } = require('uuid');
 const { BufferMemory } = require('langchain/memory');
 const { ChatMessageHistory } = require('langchain/stores/message/in_memory');
-const { HumanMessage, AIMessage } = require('@langchain/core/messages');
+const { HumanMessage, AIMessage, mapChatMessagesToStoredMessages, mapStoredMessagesToChatMessages } = require('@langchain/core/messages');
+const { createSessionStore } = require('./sessionStore');
+const { getForm } = require('./formsDatabase');
+const { encryptValue, decryptValue, transformValues } = require('./encryption');
+const { isSensitiveField } = require('./privacy');
+const { t } = require('./i18n');
+
+/**
+ * Resolve session lifetime configuration from the environment
+ * SESSION_TTL_MS (unsaved sessions are deleted after this much inactivity), DRAFT_TTL_MS (how long a saved
+ * draft is kept), SESSION_EXPIRY_WARNING_MS (sessionState warns once less time than this is left)
+ */
+function getSessionLifetimeConfig() {
+  return {
+    ttl: Number(process.env.SESSION_TTL_MS || 6 * 60 * 60 * 1000),
+    draftTtl: Number(process.env.DRAFT_TTL_MS || 30 * 24 * 60 * 60 * 1000),
+    warning: Number(process.env.SESSION_EXPIRY_WARNING_MS || 24 * 60 * 60 * 1000)
+  };
+}
 
 /**
  * LangChain Session Class
  * Manages user sessions with conversation memory
  */
 class LangChainSession {
-  constructor(sessionId) {
+  constructor(sessionId, messages = []) {
     this.id = sessionId || uuidv4();
+    this.userId = null;
     this.createdAt = new Date();
     this.lastActivity = new Date();
-    this.state = 'INIT';
+    this.state = 'INIT'; // INIT → FORM_DISCOVERY → COLLECTING → REVIEW → COMPLETE
     this.currentForm = null;
+    this.formVersion = null;
     this.currentField = 0;
+    this.resumeField = null;
+    this.language = 'en';
+    this.languageLocked = false;
     this.formData = {};
+    this.confirmedAt = null; // when the user confirmed the reviewed answers
     this.verifiedFormStructure = null;
     this.generatedFiles = [];
+    this.documents = [];
+    this.dismissedSuggestions = [];
+    this.pendingExtraction = null; // { values, errors } found in one message, awaiting confirmation
+    this.profileValues = {};
+    this.profileConsent = null;
+    this.draft = null; // { code, savedAt, expiresAt } once saved as a draft
+    this.bundle = null; // { definition, step, completed: [{ formId, formVersion, form, formData, confirmedAt }], carried: [field names] } for multi-form goals
+    this.revision = 0; // revision of the stored snapshot this copy was loaded from (0 until first saved)
     
     // LangChain Memory
     this.memory = new BufferMemory({
-      chatHistory: new ChatMessageHistory(),
+      chatHistory: new ChatMessageHistory(messages),
       returnMessages: true,
       memoryKey: "conversation_history"
     });
@@ -50,45 +82,311 @@ class LangChainSession {
     const messages = await this.memory.chatHistory.getMessages();
     return messages.slice(-6).map(msg => `${msg._getType()}: ${msg.content}`).join('\n');
   }
+
+  /**
+   * Recent messages for clients restoring a conversation
+   * @param {number} limit - Most recent messages to return
+   * @returns {Promise<Array<Object>>} - [{ role: 'user' | 'ai', content }]
+   */
+  async getTranscript(limit = 20) {
+    const messages = await this.memory.chatHistory.getMessages();
+    return messages.slice(-limit).map(message => ({
+      role: message._getType() === 'human' ? 'user' : 'ai',
+      content: message.content
+    }));
+  }
+
+  /**
+   * Whether a saved draft is keeping the session (and its resume code) alive
+   */
+  hasActiveDraft(now = Date.now()) {
+    return !!this.draft && new Date(this.draft.expiresAt).getTime() > now;
+  }
+
+  /**
+   * When the session will be deleted: SESSION_TTL_MS after the last activity, or later while a draft is saved
+   * @returns {Date}
+   */
+  expiresAt() {
+    const idleExpiry = this.lastActivity.getTime() + getSessionLifetimeConfig().ttl;
+    return new Date(this.hasActiveDraft() ? Math.max(idleExpiry, new Date(this.draft.expiresAt).getTime()) : idleExpiry);
+  }
+
+  /**
+   * Warning for sessions that will soon be deleted: unsaved forms in progress, and drafts near their expiry
+   * @returns {Object|null} - { type: 'unsaved' | 'draft_expiring', expiresAt, message }
+   */
+  getExpiryWarning() {
+    const expiresAt = this.expiresAt();
+    if (this.hasActiveDraft()) {
+      if (expiresAt.getTime() - Date.now() > getSessionLifetimeConfig().warning) return null;
+      return {
+        type: 'draft_expiring',
+        expiresAt: expiresAt.toISOString(),
+        message: t(this.language, 'draft_expiring', { code: this.draft.code, date: expiresAt.toISOString().slice(0, 10) })
+      };
+    }
+
+    if (this.state !== 'COLLECTING' && this.state !== 'REVIEW') return null;
+    return {
+      type: 'unsaved',
+      expiresAt: expiresAt.toISOString(),
+      message: t(this.language, 'unsaved_session', { hours: Math.round(getSessionLifetimeConfig().ttl / (60 * 60 * 1000)) })
+    };
+  }
+
+  /**
+   * Where the session is in a multi-form bundle
+   * @returns {Object|null} - { id, name, step, total, forms: [{ formId, name, status }] }
+   */
+  getBundleProgress() {
+    if (!this.bundle) return null;
+    const { definition, step } = this.bundle;
+    return {
+      id: definition.id,
+      name: definition.name,
+      step: step + 1,
+      total: definition.forms.length,
+      forms: definition.forms.map((entry, index) => {
+        const form = index < step ? this.bundle.completed[index].form : index === step ? this.verifiedFormStructure : getForm(entry.form_id);
+        const status = index < step || (index === step && this.state === 'COMPLETE') ? 'complete' : index === step ? 'in_progress' : 'pending';
+        return { formId: entry.form_id, name: form?.name || null, dependsOn: entry.depends_on || [], status };
+      })
+    };
+  }
+
+  /**
+   * Summary of the session's progress for API responses
+   * @returns {Object} - sessionState payload
+   */
+  getSessionState() {
+    return {
+      state: this.state,
+      currentForm: this.currentForm,
+      formVersion: this.formVersion,
+      progress: this.verifiedFormStructure ? 
+        `${this.currentField}/${this.verifiedFormStructure.verified_fields.length}` : null,
+      formName: this.verifiedFormStructure?.name,
+      verified: !!this.verifiedFormStructure,
+      confirmedAt: this.confirmedAt,
+      documents: this.documents.length,
+      userId: this.userId,
+      profileConsent: this.profileConsent,
+      language: this.language,
+      draft: this.hasActiveDraft() ? this.draft : null,
+      bundle: this.getBundleProgress(),
+      expiresAt: this.expiresAt().toISOString(),
+      expiryWarning: this.getExpiryWarning(),
+      langchain: true
+    };
+  }
+
+  /**
+   * Serialize the session, including chat history, for a session store
+   * @returns {Promise<Object>} - Plain JSON snapshot
+   */
+  async serialize() {
+    const messages = await this.memory.chatHistory.getMessages();
+    // Sensitive answers, document extraction and profile values are encrypted at rest
+    const sensitive = new Set((this.verifiedFormStructure?.verified_fields || []).filter(isSensitiveField).map(field => field.name));
+    return {
+      id: this.id,
+      userId: this.userId,
+      createdAt: this.createdAt.toISOString(),
+      lastActivity: this.lastActivity.toISOString(),
+      state: this.state,
+      currentForm: this.currentForm,
+      formVersion: this.formVersion,
+      // The pinned definition travels with the session, so it survives catalog edits and restarts
+      formSnapshot: this.verifiedFormStructure,
+      currentField: this.currentField,
+      resumeField: this.resumeField,
+      language: this.language,
+      languageLocked: this.languageLocked,
+      formData: transformValues(this.formData, encryptValue, name => sensitive.has(name)),
+      confirmedAt: this.confirmedAt,
+      generatedFiles: this.generatedFiles,
+      documents: this.documents.map(document => ({ ...document, extracted: transformValues(document.extracted, encryptValue) })),
+      dismissedSuggestions: this.dismissedSuggestions,
+      pendingExtraction: this.pendingExtraction && {
+        ...this.pendingExtraction,
+        values: transformValues(this.pendingExtraction.values, encryptValue, name => sensitive.has(name))
+      },
+      profileValues: transformValues(this.profileValues, encryptValue),
+      profileConsent: this.profileConsent,
+      draft: this.draft,
+      bundle: this.bundle && {
+        ...this.bundle,
+        completed: this.bundle.completed.map(entry => ({
+          ...entry,
+          formData: transformValues(entry.formData, encryptValue, name => entry.form.verified_fields.some(field => field.name === name && isSensitiveField(field)))
+        }))
+      },
+      // Lets the store keep a saved draft past the usual inactivity expiry
+      keepUntil: this.hasActiveDraft() ? this.expiresAt().toISOString() : undefined,
+      messages: mapChatMessagesToStoredMessages(messages)
+    };
+  }
+
+  /**
+   * Rebuild a session from a stored snapshot
+   * @param {Object} data - Output of serialize()
+   * @returns {LangChainSession} - Rehydrated session
+   */
+  static deserialize(data) {
+    const session = new LangChainSession(data.id, mapStoredMessagesToChatMessages(data.messages || []));
+    session.createdAt = new Date(data.createdAt);
+    session.lastActivity = new Date(data.lastActivity);
+    session.state = data.state;
+    session.currentForm = data.currentForm;
+    session.currentField = data.currentField;
+    session.resumeField = data.resumeField ?? null;
+    session.language = data.language || 'en';
+    session.languageLocked = !!data.languageLocked;
+    session.formData = transformValues(data.formData, decryptValue);
+    session.confirmedAt = data.confirmedAt ?? null;
+    session.generatedFiles = data.generatedFiles || [];
+    session.documents = (data.documents || []).map(document => ({ ...document, extracted: transformValues(document.extracted, decryptValue) }));
+    session.dismissedSuggestions = data.dismissedSuggestions || [];
+    session.pendingExtraction = data.pendingExtraction ?
+      { ...data.pendingExtraction, values: transformValues(data.pendingExtraction.values, decryptValue) } : null;
+    session.userId = data.userId ?? null;
+    session.profileValues = transformValues(data.profileValues, decryptValue);
+    session.profileConsent = data.profileConsent ?? null;
+    session.draft = data.draft ?? null;
+    session.bundle = data.bundle ? {
+      ...data.bundle,
+      completed: data.bundle.completed.map(entry => ({ ...entry, formData: transformValues(entry.formData, decryptValue) }))
+    } : null;
+    session.formVersion = data.formVersion ?? null;
+    session.revision = data.revision || 0;
+    session.verifiedFormStructure = data.currentForm ?
+      getForm(data.currentForm, data.formVersion) || data.formSnapshot || getForm(data.currentForm) : null;
+    // Forms completed before the review step was added are confirmed before their PDF is generated
+    if (session.state === 'COMPLETE' && !session.confirmedAt) session.state = 'REVIEW';
+    return session;
+  }
+}
+
+// Session store (configured via SESSION_STORE)
+const store = createSessionStore();
+
+// Client-supplied IDs become storage keys, so keep them filename/key safe
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Tail of each session's queue of updates: session ID -> Promise
+const sessionLocks = new Map();
+
+/**
+ * Thrown by saveSession when the stored snapshot changed after the session was loaded
+ * (another node saved it); the caller's changes are not written
+ */
+class SessionConflictError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} was changed by another request, please retry`);
+    this.name = 'SessionConflictError';
+    this.status = 409;
+  }
+}
+
+/**
+ * Run a load → modify → save of one session after every earlier one in this process has finished,
+ * so concurrent requests (chat, uploads, field edits, a second tab) don't overwrite each other.
+ * Requests without a session ID (new sessions) run straight away.
+ * @param {string} sessionId - Session ID
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} - The task's result
+ */
+async function withSessionLock(sessionId, task) {
+  if (!sessionId) return task();
+
+  const previous = sessionLocks.get(sessionId) || Promise.resolve();
+  let release;
+  const tail = previous.then(() => new Promise(resolve => { release = resolve; }));
+  sessionLocks.set(sessionId, tail);
+
+  await previous;
+  try {
+    return await task();
+  } finally {
+    release();
+    if (sessionLocks.get(sessionId) === tail) sessionLocks.delete(sessionId);
+  }
+}
+
+/**
+ * Load a session from the store
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<LangChainSession|null>} - Rehydrated session or null
+ */
+async function loadSession(sessionId) {
+  if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) return null;
+  
+  const data = await store.get(sessionId);
+  return data ? LangChainSession.deserialize(data) : null;
 }
 
-// Session store
-const sessions = new Map();
+/**
+ * Persist a session to the store, unless it was saved elsewhere since this copy was loaded
+ * @param {LangChainSession} session - Session to save
+ * @throws {SessionConflictError} - When the stored snapshot is newer than the loaded one
+ */
+async function saveSession(session) {
+  const data = { ...(await session.serialize()), revision: session.revision + 1 };
+  if (!(await store.replace(session.id, data, session.revision))) {
+    throw new SessionConflictError(session.id);
+  }
+  session.revision = data.revision;
+}
 
 /**
  * Get or create a session
  * @param {string} sessionId - Optional session ID
- * @returns {LangChainSession} - Session object
+ * @param {string} userId - Owner of a newly created session (the signed-in user)
+ * @returns {Promise<LangChainSession>} - Session object
  */
-function getSession(sessionId) {
-  if (!sessionId || !sessions.has(sessionId)) {
-    const session = new LangChainSession(sessionId);
-    sessions.set(session.id, session);
-    console.log(`📝 Created LangChain session: ${session.id}`);
-    return session;
+async function getSession(sessionId, userId = null) {
+  const existing = await loadSession(sessionId);
+  if (existing) {
+    existing.lastActivity = new Date();
+    return existing;
   }
   
-  const session = sessions.get(sessionId);
+  const session = new LangChainSession(SESSION_ID_PATTERN.test(sessionId || '') ? sessionId : undefined);
+  session.userId = userId;
+  await saveSession(session);
+  console.log(`📝 Created LangChain session: ${session.id}`);
+  return session;
+}
+
+/**
+ * Look up an existing session without creating one
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<LangChainSession|null>} - Session object or null
+ */
+async function findSession(sessionId) {
+  const session = await loadSession(sessionId);
+  if (!session) return null;
+  
   session.lastActivity = new Date();
   return session;
 }
 
+/**
+ * Count stored sessions
+ * @returns {Promise<number>}
+ */
+async function countSessions() {
+  return store.count();
+}
+
 /**
  * Clean up expired sessions
- * Sessions older than maxAge will be removed
+ * Sessions inactive for longer than maxAge will be removed, unless a saved draft keeps them
  * @param {number} maxAge - Maximum age in milliseconds
  */
-function cleanupSessions(maxAge = 24 * 60 * 60 * 1000) {
-  const now = new Date();
-  let count = 0;
-  
-  for (const [id, session] of sessions.entries()) {
-    const age = now - session.lastActivity;
-    if (age > maxAge) {
-      sessions.delete(id);
-      count++;
-    }
-  }
+async function cleanupSessions(maxAge = getSessionLifetimeConfig().ttl) {
+  const count = await store.cleanup(maxAge);
   
   if (count > 0) {
     console.log(`🧹 Cleaned up ${count} expired sessions`);
@@ -97,7 +395,13 @@ function cleanupSessions(maxAge = 24 * 60 * 60 * 1000) {
 
 // Export session management functions
 module.exports = {
+  getSessionLifetimeConfig,
   getSession,
+  findSession,
+  saveSession,
+  withSessionLock,
+  countSessions,
   cleanupSessions,
-  LangChainSession
+  LangChainSession,
+  SessionConflictError
 };
@@ -0,0 +1,254 @@
+// sessionStore.js - Pluggable Session Storage Backends
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Session stores persist serialized LangChainSession snapshots (plain JSON objects).
+ * Every adapter implements the same async interface:
+ *   get(id) -> data|null, set(id, data), delete(id), list() -> ids, count(), cleanup(maxAge) -> removed
+ *   replace(id, data, revision) -> written: set() only while the stored snapshot is still at `revision`
+ *   (0 when there is none), so an update made elsewhere since it was read is never overwritten
+ * A snapshot with `keepUntil` (ISO time, e.g. a saved draft) is kept until then instead of expiring after maxAge.
+ */
+
+const storedRevision = (data) => (data && data.revision) || 0;
+
+/**
+ * Whether a snapshot has outlived maxAge of inactivity (or its keepUntil time)
+ */
+const isExpired = (data, maxAge, now = Date.now()) => (
+  data.keepUntil ? now > new Date(data.keepUntil).getTime() : now - new Date(data.lastActivity).getTime() > maxAge
+);
+
+/**
+ * In-process store (default). Snapshots are kept as JSON strings so behaviour
+ * matches the shared backends: nothing survives unless it is saved.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const raw = this.sessions.get(id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(id, data) {
+    this.sessions.set(id, JSON.stringify(data));
+  }
+
+  async replace(id, data, revision) {
+    const raw = this.sessions.get(id);
+    if (storedRevision(raw && JSON.parse(raw)) !== revision) return false;
+    this.sessions.set(id, JSON.stringify(data));
+    return true;
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  async list() {
+    return [...this.sessions.keys()];
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+
+  async cleanup(maxAge) {
+    const now = Date.now();
+    let count = 0;
+
+    for (const [id, raw] of this.sessions.entries()) {
+      if (isExpired(JSON.parse(raw), maxAge, now)) {
+        this.sessions.delete(id);
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+/**
+ * One JSON file per session in a directory, written atomically.
+ * Suitable for single-node deployments that must survive restarts
+ * (replace() checks and writes in two steps, so it only guards against other requests in this process).
+ */
+class FileSessionStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async ensureDir() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(id, data) {
+    await this.ensureDir();
+    const target = this.filePath(id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data));
+    await fs.rename(temp, target);
+  }
+
+  async replace(id, data, revision) {
+    if (storedRevision(await this.get(id)) !== revision) return false;
+    await this.set(id, data);
+    return true;
+  }
+
+  async delete(id) {
+    await fs.rm(this.filePath(id), { force: true });
+  }
+
+  async list() {
+    await this.ensureDir();
+    const files = await fs.readdir(this.directory);
+    return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  async cleanup(maxAge) {
+    const now = Date.now();
+    let count = 0;
+
+    for (const id of await this.list()) {
+      const data = await this.get(id);
+      if (data && isExpired(data, maxAge, now)) {
+        await this.delete(id);
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+// Compare-and-set for replace(): KEYS[1] snapshot key; ARGV: data, expected revision, TTL in ms (0 for none)
+const REPLACE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local revision = 0
+if current then revision = cjson.decode(current).revision or 0 end
+if revision ~= tonumber(ARGV[2]) then return 0 end
+if tonumber(ARGV[3]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Redis (or any Redis-protocol server such as Valkey/KeyDB) store.
+ * Expiry is delegated to Redis key TTLs, so cleanup() is a no-op.
+ */
+class RedisSessionStore {
+  constructor({ url, prefix = 'intelliform:session:', ttl, client }) {
+    this.prefix = prefix;
+    this.ttl = ttl;
+    this.client = client || require('redis').createClient({ url });
+    this.connecting = null;
+  }
+
+  async connection() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect();
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  async get(id) {
+    const raw = await (await this.connection()).get(this.prefix + id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  keyTtl(data) {
+    return data.keepUntil ? Math.max(new Date(data.keepUntil).getTime() - Date.now(), 1) : this.ttl;
+  }
+
+  async set(id, data) {
+    const ttl = this.keyTtl(data);
+    const options = ttl ? { PX: ttl } : undefined;
+    await (await this.connection()).set(this.prefix + id, JSON.stringify(data), options);
+  }
+
+  async replace(id, data, revision) {
+    const written = await (await this.connection()).eval(REPLACE_SCRIPT, {
+      keys: [this.prefix + id],
+      arguments: [JSON.stringify(data), String(revision), String(this.keyTtl(data) || 0)]
+    });
+    return written === 1;
+  }
+
+  async delete(id) {
+    await (await this.connection()).del(this.prefix + id);
+  }
+
+  async list() {
+    const keys = await (await this.connection()).keys(`${this.prefix}*`);
+    return keys.map(key => key.slice(this.prefix.length));
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  async cleanup() {
+    return 0;
+  }
+}
+
+/**
+ * Create the configured session store
+ * SESSION_STORE=memory|file|redis, SESSION_STORE_DIR, REDIS_URL, SESSION_TTL_MS
+ * @param {Object} config - Overrides for the environment configuration
+ * @returns {MemorySessionStore|FileSessionStore|RedisSessionStore}
+ */
+function createSessionStore(config = {}) {
+  const type = config.type || process.env.SESSION_STORE || 'memory';
+  // ttl: null turns expiry off (profiles)
+  const ttl = config.ttl !== undefined ? config.ttl : Number(process.env.SESSION_TTL_MS || 6 * 60 * 60 * 1000);
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore({
+        directory: config.directory || process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'sessions')
+      });
+    case 'redis':
+      return new RedisSessionStore({
+        url: config.url || process.env.REDIS_URL || 'redis://localhost:6379',
+        prefix: config.prefix,
+        client: config.client,
+        ttl
+      });
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
+
+module.exports = {
+  createSessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore
+};
@@ -0,0 +1,246 @@
+// telemetry.js - Tracing, Spans and Correlation IDs
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { CallbackHandler } = require('langfuse-langchain');
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+
+/**
+ * Resolve tracing configuration from the environment
+ * LANGFUSE_ENABLED, LANGFUSE_PUBLIC_KEY, LANGFUSE_SECRET_KEY, LANGFUSE_BASE_URL,
+ * TRACE_EXPORTER (none | console | file), TRACE_FILE, SERVICE_NAME
+ */
+function getTelemetryConfig() {
+  const hasLangfuseKeys = !!(process.env.LANGFUSE_PUBLIC_KEY && process.env.LANGFUSE_SECRET_KEY);
+  return {
+    langfuse: {
+      enabled: hasLangfuseKeys && process.env.LANGFUSE_ENABLED !== 'false',
+      publicKey: process.env.LANGFUSE_PUBLIC_KEY,
+      secretKey: process.env.LANGFUSE_SECRET_KEY,
+      baseUrl: process.env.LANGFUSE_BASE_URL || 'https://cloud.langfuse.com'
+    },
+    exporter: process.env.TRACE_EXPORTER || 'none',
+    traceFile: process.env.TRACE_FILE || path.join(__dirname, '..', 'traces', 'spans.jsonl'),
+    serviceName: process.env.SERVICE_NAME || 'intelliform-backend'
+  };
+}
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const nowNanos = () => (BigInt(Date.now()) * 1000000n).toString();
+
+/**
+ * Minimal OpenTelemetry-style span
+ */
+class Span {
+  constructor(name, attributes = {}, parent = null) {
+    this.name = name;
+    this.traceId = parent ? parent.traceId : randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent ? parent.spanId : undefined;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'UNSET' };
+    this.startTime = Date.now();
+    this.startTimeUnixNano = nowNanos();
+    this.ended = false;
+    this.setAttributes(attributes);
+  }
+
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) this.attributes[key] = value;
+    });
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, timeUnixNano: nowNanos(), attributes });
+    return this;
+  }
+
+  recordException(error) {
+    this.status = { code: 'ERROR', message: error.message };
+    return this.addEvent('exception', { 'exception.type': error.name, 'exception.message': error.message });
+  }
+
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    this.endTimeUnixNano = nowNanos();
+    this.attributes['duration_ms'] = Date.now() - this.startTime;
+    exportSpan(this);
+  }
+}
+
+/**
+ * Convert attributes to OTLP/JSON key-value form
+ */
+const toOtlpAttributes = (attributes) => Object.entries(attributes).map(([key, value]) => ({
+  key,
+  value: typeof value === 'number'
+    ? (Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value })
+    : typeof value === 'boolean' ? { boolValue: value } : { stringValue: String(value) }
+}));
+
+/**
+ * Convert a span to an OTLP/JSON resourceSpans record (one per line, like the collector file exporter)
+ */
+function toOtlp(span, serviceName) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{
+        scope: { name: 'intelliform' },
+        spans: [{
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId,
+          name: span.name,
+          kind: span.parentSpanId ? 1 : 2,
+          startTimeUnixNano: span.startTimeUnixNano,
+          endTimeUnixNano: span.endTimeUnixNano,
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({ ...event, attributes: toOtlpAttributes(event.attributes) })),
+          status: { code: span.status.code === 'ERROR' ? 2 : 0, message: span.status.message }
+        }]
+      }]
+    }]
+  };
+}
+
+/**
+ * Span exporters keyed by TRACE_EXPORTER
+ */
+const SPAN_EXPORTERS = {
+  none: () => {},
+
+  console: (span) => {
+    console.log(`🔭 ${span.name} ${span.attributes.duration_ms}ms`, JSON.stringify(span.attributes));
+  },
+
+  file: (span, config) => {
+    const line = JSON.stringify(toOtlp(span, config.serviceName)) + '\n';
+    fs.mkdir(path.dirname(config.traceFile), { recursive: true })
+      .then(() => fs.appendFile(config.traceFile, line))
+      .catch(error => console.error('❌ Span export failed:', error.message));
+  }
+};
+
+function exportSpan(span) {
+  const config = getTelemetryConfig();
+  const exporter = SPAN_EXPORTERS[config.exporter] || SPAN_EXPORTERS.none;
+  exporter(span, config);
+}
+
+/**
+ * Start a span
+ * @param {string} name - Span name
+ * @param {Object} attributes - Initial attributes
+ * @param {Span} parent - Optional parent span
+ * @returns {Span}
+ */
+function startSpan(name, attributes = {}, parent = null) {
+  return new Span(name, attributes, parent);
+}
+
+/**
+ * LangChain callback handler that records chain latency and LLM token usage as child spans
+ * @param {Span} parentSpan - Request span
+ */
+function createSpanCallbackHandler(parentSpan) {
+  const spans = new Map();
+
+  const finish = (runId, error) => {
+    const span = spans.get(runId);
+    if (!span) return;
+    if (error) span.recordException(error);
+    span.end();
+    spans.delete(runId);
+  };
+
+  const startLLM = (llm, runId, name) => {
+    spans.set(runId, startSpan('llm.generate', { 'llm.name': name || llm?.id?.[llm.id.length - 1] }, parentSpan));
+  };
+
+  return BaseCallbackHandler.fromMethods({
+    handleChainStart: (chain, inputs, runId, parentRunId, tags, metadata, runType, name) => {
+      // Top-level chains only; their steps are covered by the chain span
+      if (parentRunId) return;
+      spans.set(runId, startSpan(`chain.${name || chain?.id?.[chain.id.length - 1] || 'run'}`, {}, parentSpan));
+    },
+    handleChainEnd: (outputs, runId) => finish(runId),
+    handleChainError: (error, runId) => finish(runId, error),
+
+    handleLLMStart: (llm, prompts, runId, parentRunId, extraParams, tags, metadata, name) => startLLM(llm, runId, name),
+    handleChatModelStart: (llm, messages, runId, parentRunId, extraParams, tags, metadata, name) => startLLM(llm, runId, name),
+    handleLLMEnd: (output, runId) => {
+      const span = spans.get(runId);
+      if (span) {
+        const usage = output?.llmOutput?.tokenUsage || output?.llmOutput?.usage ||
+          output?.generations?.[0]?.[0]?.message?.usage_metadata || {};
+        span.setAttributes({
+          'gen_ai.usage.input_tokens': usage.promptTokens ?? usage.input_tokens,
+          'gen_ai.usage.output_tokens': usage.completionTokens ?? usage.output_tokens
+        });
+      }
+      finish(runId);
+    },
+    handleLLMError: (error, runId) => finish(runId, error)
+  });
+}
+
+/**
+ * Build the LangChain callbacks for one request: Langfuse (when configured) and span recording
+ * @param {Object} context - { sessionId, correlationId, span, redact } where redact(data) scrubs
+ *                           sensitive values from everything sent to Langfuse
+ * @returns {Object} - { callbacks, finish } where finish() flushes per-request handlers
+ */
+function createTracingCallbacks({ sessionId, correlationId, span, redact }) {
+  const config = getTelemetryConfig();
+  const callbacks = [];
+  let langfuseHandler = null;
+
+  if (config.langfuse.enabled) {
+    langfuseHandler = new CallbackHandler({
+      publicKey: config.langfuse.publicKey,
+      secretKey: config.langfuse.secretKey,
+      baseUrl: config.langfuse.baseUrl,
+      sessionId,
+      metadata: { correlationId },
+      mask: redact ? ({ data }) => redact(data) : undefined
+    });
+    callbacks.push(langfuseHandler);
+  }
+
+  if (span && config.exporter !== 'none') {
+    callbacks.push(createSpanCallbackHandler(span));
+  }
+
+  return {
+    callbacks,
+    finish: () => {
+      if (langfuseHandler) {
+        langfuseHandler.shutdownAsync().catch(error => console.error('❌ Langfuse flush failed:', error.message));
+      }
+    }
+  };
+}
+
+/**
+ * Express middleware assigning a correlation ID to every request (X-Correlation-ID)
+ */
+function correlationMiddleware(req, res, next) {
+  const incoming = req.get('X-Correlation-ID');
+  req.correlationId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : uuidv4();
+  res.setHeader('X-Correlation-ID', req.correlationId);
+  next();
+}
+
+module.exports = {
+  getTelemetryConfig,
+  startSpan,
+  createTracingCallbacks,
+  correlationMiddleware,
+  SPAN_EXPORTERS
+};
@@ -0,0 +1,272 @@
+// validators.js - Field Type Validators for Indian Government Forms
+
+/**
+ * Every validator receives (field, userInput) and returns
+ * { valid: boolean, value: normalized value, error: string|null }
+ */
+const ok = (value) => ({ valid: true, value, error: null });
+const fail = (value, error) => ({ valid: false, value, error });
+
+/**
+ * Verhoeff checksum tables (used by Aadhaar)
+ */
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Check a digit string against its trailing Verhoeff check digit
+ * @param {string} digits - Number including check digit
+ * @returns {boolean}
+ */
+function verhoeffCheck(digits) {
+  let c = 0;
+  digits.split('').reverse().forEach((digit, i) => {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return c === 0;
+}
+
+/**
+ * Compute the GSTIN check character for the first 14 characters
+ * @param {string} base - First 14 characters of a GSTIN
+ * @returns {string} - Expected 15th character
+ */
+function gstinCheckChar(base) {
+  const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  let sum = 0;
+
+  base.split('').forEach((char, i) => {
+    const product = charset.indexOf(char) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  });
+
+  return charset[(36 - (sum % 36)) % 36];
+}
+
+// 4th character of a PAN identifies the holder type
+const PAN_HOLDER_TYPES = {
+  P: 'Individual', C: 'Company', H: 'HUF', F: 'Firm', A: 'Association of Persons',
+  T: 'Trust', B: 'Body of Individuals', L: 'Local Authority', J: 'Artificial Juridical Person', G: 'Government'
+};
+
+const PAN_PATTERN = /^[A-Z]{3}[PCHFATBLJG][A-Z][0-9]{4}[A-Z]$/;
+
+/**
+ * Parse DD/MM/YYYY (also DD-MM-YYYY and DD.MM.YYYY) into a real calendar date
+ * @param {string} input - Date text
+ * @returns {Date|null} - UTC date or null when invalid
+ */
+function parseDate(input) {
+  const match = String(input).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (!match) return null;
+
+  const [day, month, year] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Format a Date as DD/MM/YYYY
+ */
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Whole years between a date and today
+ * @param {Date} date - Date of birth
+ * @param {Date} today - Reference date
+ * @returns {number} - Age in completed years
+ */
+function ageOn(date, today = new Date()) {
+  let age = today.getUTCFullYear() - date.getUTCFullYear();
+  const beforeBirthday = today.getUTCMonth() < date.getUTCMonth() ||
+    (today.getUTCMonth() === date.getUTCMonth() && today.getUTCDate() < date.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+/**
+ * Parse Indian currency text ("₹1,00,000", "15 lakh", "2.5 crore", "50k") into rupees
+ * @param {string} input - Amount text
+ * @returns {number|null} - Amount in rupees or null
+ */
+function parseCurrency(input) {
+  const text = String(input).toLowerCase().replace(/₹|rs\.?|inr|rupees?|\/-/g, '').replace(/,/g, '').trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(crores?|cr|lakhs?|lacs?|l|thousand|k)?$/);
+  if (!match) return null;
+
+  const multipliers = { crore: 1e7, crores: 1e7, cr: 1e7, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, l: 1e5, thousand: 1e3, k: 1e3 };
+  return Math.round(Number(match[1]) * (multipliers[match[2]] || 1));
+}
+
+/**
+ * Format rupees with Indian digit grouping (₹12,34,567)
+ */
+function formatCurrency(amount) {
+  return `₹${Number(amount).toLocaleString('en-IN')}`;
+}
+
+/**
+ * Validators by field type
+ */
+const FIELD_VALIDATORS = {
+  email: (field, userInput) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const value = userInput.trim();
+    return emailRegex.test(value) ? ok(value) : fail(value, "Please provide a valid email address (like name@example.com)");
+  },
+
+  phone: (field, userInput) => {
+    const phoneRegex = /^[6-9]\d{9}$/;
+    const cleanPhone = userInput.replace(/\D/g, '').replace(/^(?:91|0)(?=\d{10}$)/, '');
+    return phoneRegex.test(cleanPhone) ? ok(cleanPhone) : fail(cleanPhone, "Please provide a valid 10-digit Indian mobile number");
+  },
+
+  choice: (field, userInput) => {
+    const input = userInput.trim().toLowerCase();
+    // Store the canonical option so show_if/required_if conditions can match it
+    const matched = field.options.find(option => option.toLowerCase() === input) ||
+      field.options.find(option =>
+        input.includes(option.toLowerCase()) ||
+        option.toLowerCase().includes(input)
+      );
+    return matched ? ok(matched) : fail(userInput, `Please choose from: ${field.options.join(', ')}`);
+  },
+
+  pan: (field, userInput) => {
+    const value = userInput.replace(/\s/g, '').toUpperCase();
+    if (!PAN_PATTERN.test(value)) {
+      return fail(value, "Please provide a valid 10-character PAN (format: AAAAA9999A)");
+    }
+    if (field.pan_holder_types && !field.pan_holder_types.includes(value[3])) {
+      const expected = field.pan_holder_types.map(type => PAN_HOLDER_TYPES[type]).join(' or ');
+      return fail(value, `This is a ${PAN_HOLDER_TYPES[value[3]]} PAN; please provide the ${expected} PAN instead`);
+    }
+    return ok(value);
+  },
+
+  aadhaar: (field, userInput) => {
+    const value = userInput.replace(/[\s-]/g, '');
+    if (!/^[2-9]\d{11}$/.test(value) || !verhoeffCheck(value)) {
+      return fail(value, "Please provide a valid 12-digit Aadhaar number");
+    }
+    return ok(value);
+  },
+
+  gstin: (field, userInput) => {
+    const value = userInput.replace(/\s/g, '').toUpperCase();
+    const stateCode = Number(value.slice(0, 2));
+    const valid = /^\d{2}[A-Z0-9]{10}[1-9A-Z]Z[0-9A-Z]$/.test(value) &&
+      PAN_PATTERN.test(value.slice(2, 12)) &&
+      ((stateCode >= 1 && stateCode <= 38) || stateCode === 97 || stateCode === 99) &&
+      gstinCheckChar(value.slice(0, 14)) === value[14];
+    return valid ? ok(value) : fail(value, "Please provide a valid 15-character GSTIN (e.g. 27AAPFU0939F1ZV)");
+  },
+
+  pincode: (field, userInput) => {
+    const value = userInput.replace(/\s/g, '');
+    return /^[1-9]\d{5}$/.test(value) ? ok(value) : fail(value, "Please provide a valid 6-digit PIN code");
+  },
+
+  ifsc: (field, userInput) => {
+    const value = userInput.replace(/\s/g, '').toUpperCase();
+    return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(value) ? ok(value) : fail(value, "Please provide a valid 11-character IFSC code (e.g. SBIN0001234)");
+  },
+
+  bank_account: (field, userInput) => {
+    const value = userInput.trim();
+    const hasAccountNumber = /(?:^|\D)\d{9,18}(?:\D|$)/.test(value.replace(/(\d)[\s-]+(?=\d)/g, '$1'));
+    return hasAccountNumber ? ok(value) : fail(value, "Please include the bank name and a 9 to 18 digit account number");
+  },
+
+  date: (field, userInput) => {
+    const date = parseDate(userInput);
+    if (!date) {
+      return fail(userInput.trim(), "Please provide a real date in DD/MM/YYYY format");
+    }
+
+    const value = formatDate(date);
+    if (field.min_age !== undefined || field.max_age !== undefined) {
+      if (date > new Date()) {
+        return fail(value, "The date cannot be in the future");
+      }
+      const age = ageOn(date);
+      if (field.min_age !== undefined && age < field.min_age) {
+        return fail(value, `You must be at least ${field.min_age} years old for this form`);
+      }
+      if (field.max_age !== undefined && age > field.max_age) {
+        return fail(value, `Please check the year — the age works out to ${age} years`);
+      }
+    }
+    return ok(value);
+  },
+
+  currency: (field, userInput) => {
+    const amount = parseCurrency(userInput);
+    if (amount === null) {
+      return fail(userInput.trim(), "Please provide an amount in rupees (e.g. 1500000, ₹15,00,000 or 15 lakh)");
+    }
+    if (field.min !== undefined && amount < field.min) {
+      return fail(amount, `The amount must be at least ${formatCurrency(field.min)}`);
+    }
+    if (field.max !== undefined && amount > field.max) {
+      return fail(amount, `The amount must not exceed ${formatCurrency(field.max)}`);
+    }
+    return ok(amount);
+  }
+};
+
+/**
+ * Field validation helper
+ * @param {Object} field - Field definition from verified_fields
+ * @param {string} userInput - Raw user input
+ * @returns {Object} - { valid, value, error }
+ */
+function validateFieldInput(field, userInput) {
+  const input = String(userInput ?? '');
+  if (!field.required && !input.trim()) return { valid: true, value: input };
+
+  const validator = FIELD_VALIDATORS[field.type];
+  if (validator) {
+    return validator(field, input);
+  }
+
+  return input.trim().length > 0 ? ok(input.trim()) : fail(input.trim(), "This field is required");
+}
+
+module.exports = {
+  validateFieldInput,
+  FIELD_VALIDATORS,
+  verhoeffCheck,
+  gstinCheckChar,
+  parseDate,
+  formatDate,
+  ageOn,
+  parseCurrency,
+  formatCurrency
+};
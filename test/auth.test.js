@@ -0,0 +1,165 @@
+// auth.test.js - JWT and API key sign-in, AUTH_MODE and per-user access
+const fs = require('fs');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.AUTH_MODE = 'required';
+process.env.AUTH_JWT_SECRET = 'test-jwt-secret';
+process.env.USER_API_KEYS = 'alice:key-alice-123,bob:key-bob-456';
+delete process.env.AUTH_JWT_PUBLIC_KEY;
+delete process.env.AUTH_JWT_AUDIENCE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const { verifyToken, canAccess } = require('../services/auth');
+const { allocateFile, registerFile, createDownloadLink, removeFile } = require('../services/fileRegistry');
+const { startTestServer } = require('./testServer');
+
+const ALICE = 'key-alice-123';
+const BOB = 'key-bob-456';
+
+const sign = (subject, options = {}, secret = 'test-jwt-secret') => jwt.sign({}, secret, {
+  algorithm: 'HS256', subject, issuer: 'intelliform-dev', expiresIn: '1h', ...options
+});
+
+let api;
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(() => api.close());
+
+/**
+ * Run a test with AUTH_MODE switched, restoring it afterwards
+ */
+const withAuthMode = async (mode, run) => {
+  process.env.AUTH_MODE = mode;
+  try {
+    await run();
+  } finally {
+    process.env.AUTH_MODE = 'required';
+  }
+};
+
+test('accepts a token signed with the configured secret and issuer', () => {
+  const user = verifyToken(sign('alice'));
+
+  assert.equal(user.id, 'alice');
+  assert.equal(user.method, 'jwt');
+});
+
+test('rejects tokens with a bad signature, expiry, algorithm, issuer or subject', () => {
+  const rejected = {
+    'bad signature': sign('alice', {}, 'another-secret'),
+    expired: sign('alice', { expiresIn: -10 }),
+    'wrong algorithm': sign('alice', { algorithm: 'HS512' }),
+    unsigned: jwt.sign({ sub: 'alice', iss: 'intelliform-dev' }, null, { algorithm: 'none' }),
+    'wrong issuer': sign('alice', { issuer: 'someone-else' }),
+    'no subject': jwt.sign({}, 'test-jwt-secret', { issuer: 'intelliform-dev' })
+  };
+
+  for (const [reason, token] of Object.entries(rejected)) {
+    assert.equal(verifyToken(token), null, reason);
+  }
+});
+
+test('identifies callers by bearer token, API key header or access_token', async () => {
+  const cases = [
+    [{ token: sign('alice') }, 'alice', 'jwt'],
+    [{ token: BOB }, 'bob', 'api_key'],
+    [{ key: ALICE }, 'alice', 'api_key']
+  ];
+
+  for (const [credentials, id, method] of cases) {
+    const { status, body } = await api.request('GET', '/auth/me', credentials);
+    assert.equal(status, 200);
+    assert.deepEqual(body.user, { id, method });
+  }
+  assert.equal((await api.request('GET', `/auth/me?access_token=${sign('bob')}`)).body.user.id, 'bob');
+});
+
+test('rejects invalid credentials in every mode', async () => {
+  for (const mode of ['required', 'optional']) {
+    await withAuthMode(mode, async () => {
+      const expired = await api.request('GET', '/auth/me', { token: sign('alice', { expiresIn: -10 }) });
+      const unknownKey = await api.request('GET', '/auth/me', { key: 'key-mallory-000' });
+
+      assert.equal(expired.status, 401);
+      assert.equal(unknownKey.status, 401);
+      assert.equal(unknownKey.body.error, 'Invalid or expired credentials');
+    });
+  }
+});
+
+test('AUTH_MODE=required rejects anonymous callers; optional lets them in', async () => {
+  const anonymous = await api.request('POST', '/chat', { body: { message: 'I need a PAN card' } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error, 'Authentication required');
+
+  await withAuthMode('optional', async () => {
+    const { status, body } = await api.request('POST', '/chat', { body: { message: 'I need a PAN card' } });
+    assert.equal(status, 200);
+    assert.equal((await api.request('GET', '/auth/me')).body.user, null);
+
+    // Anonymous sessions close again once sign-in is required
+    await withAuthMode('required', async () => {
+      const files = await api.request('GET', `/session/${body.sessionId}/files`, { key: ALICE });
+      assert.equal(files.status, 403);
+    });
+  });
+});
+
+test('canAccess needs the owner, and only opens unowned resources in optional mode', async () => {
+  assert.equal(canAccess('alice', { id: 'alice' }), true);
+  assert.equal(canAccess('alice', { id: 'bob' }), false);
+  assert.equal(canAccess('alice', null), false);
+  assert.equal(canAccess(null, { id: 'bob' }), false);
+
+  await withAuthMode('optional', async () => {
+    assert.equal(canAccess(null, null), true);
+    assert.equal(canAccess('alice', null), false);
+  });
+});
+
+test("another user's session and draft are refused", async () => {
+  const { body } = await api.request('POST', '/chat', { key: ALICE, body: { message: 'I need a PAN card' } });
+  const sessionId = body.sessionId;
+
+  const refused = [
+    await api.request('POST', '/chat', { key: BOB, body: { message: 'Individual', sessionId } }),
+    await api.request('GET', `/session/${sessionId}/files`, { key: BOB }),
+    await api.request('PATCH', `/session/${sessionId}/fields/full_name`, { key: BOB, body: { value: 'Bob' } }),
+    await api.request('POST', `/session/${sessionId}/draft`, { key: BOB })
+  ];
+  refused.forEach(({ status, body: error }) => {
+    assert.equal(status, 403);
+    assert.equal(error.error, 'This session belongs to another user');
+  });
+
+  const draft = await api.request('POST', `/session/${sessionId}/draft`, { token: sign('alice') });
+  assert.equal(draft.status, 201);
+  const resumed = await api.request('POST', `/drafts/${draft.body.resumeCode}/resume`, { key: BOB });
+  assert.equal(resumed.status, 403);
+  assert.equal(resumed.body.error, 'This draft belongs to another user');
+});
+
+test("another user's file is refused even with a valid link", async (t) => {
+  const file = allocateFile('auth-test.pdf');
+  fs.mkdirSync(path.dirname(file.path), { recursive: true });
+  fs.writeFileSync(file.path, '%PDF-1.4 test');
+  const record = await registerFile(file, { userId: 'alice', sessionId: 'auth-test', formId: 'voter_id' });
+  t.after(() => removeFile(record));
+  const { url } = createDownloadLink(record);
+  const route = url.replace(/^\/api/, '');
+
+  const bob = await api.request('GET', route, { key: BOB });
+  const alice = await api.request('GET', route, { key: ALICE });
+
+  assert.equal(bob.status, 403);
+  assert.equal(bob.body.error, 'This file belongs to another user');
+  assert.equal(alice.status, 200);
+  assert.equal(alice.body, '%PDF-1.4 test');
+});
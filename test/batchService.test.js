@@ -0,0 +1,76 @@
+// batchService.test.js - Batch jobs that fail while queued, running or interrupted
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Job records are files under downloads/.batches, so records of a stopped process can be seeded
+process.env.SESSION_STORE = 'file';
+process.env.SESSION_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-batch-sessions-'));
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { createBatchJob, getBatchJob, failInterruptedBatches } = require('../services/batchService');
+const { getFileRecord, removeFile } = require('../services/fileRegistry');
+
+const batchesDir = path.join(__dirname, '..', 'downloads', '.batches');
+const jobIds = [];
+
+test.after(async () => {
+  for (const id of jobIds) {
+    const job = await getBatchJob(id);
+    if (job?.fileId) await removeFile(await getFileRecord(job.fileId));
+    fs.rmSync(path.join(batchesDir, `${id}.json`), { force: true });
+  }
+  fs.rmSync(process.env.SESSION_STORE_DIR, { recursive: true, force: true });
+});
+
+const waitForJob = async (id) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await getBatchJob(id);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Batch ${id} did not finish`);
+};
+
+test('a job whose run rejects is failed and the next job still runs', async () => {
+  const form = VERIFIED_GOVERNMENT_FORMS.voter_id;
+  const mkdtemp = fs.promises.mkdtemp;
+  fs.promises.mkdtemp = async () => {
+    fs.promises.mkdtemp = mkdtemp;
+    throw new Error('disk full');
+  };
+
+  const first = await createBatchJob(form, [{ full_name: 'Ravi Kumar' }]);
+  const second = await createBatchJob(form, [{ full_name: 'Ravi Kumar' }]);
+  jobIds.push(first.job.id, second.job.id);
+
+  assert.equal((await waitForJob(first.job.id)).status, 'failed');
+  assert.equal((await waitForJob(second.job.id)).status, 'completed');
+});
+
+test('jobs left queued or running by a stopped process are failed at startup', async () => {
+  const ids = [
+    '00000000-0000-4000-8000-00000000000a',
+    '00000000-0000-4000-8000-00000000000b',
+    '00000000-0000-4000-8000-00000000000c',
+    '00000000-0000-4000-8000-00000000000d'
+  ];
+  const jobs = [
+    { status: 'running', worker: { host: os.hostname(), pid: 2 ** 22 + 1 } },
+    { status: 'queued' },
+    { status: 'running', worker: { host: `not-${os.hostname()}`, pid: 1 } },
+    { status: 'completed', worker: { host: os.hostname(), pid: 2 ** 22 + 1 } }
+  ];
+  fs.mkdirSync(batchesDir, { recursive: true });
+  ids.forEach((id, index) => fs.writeFileSync(path.join(batchesDir, `${id}.json`), JSON.stringify({ id, rows: [], ...jobs[index] })));
+  jobIds.push(...ids);
+
+  await failInterruptedBatches();
+
+  const statuses = await Promise.all(ids.map(async id => (await getBatchJob(id)).status));
+  assert.deepEqual(statuses, ['failed', 'failed', 'running', 'completed']);
+  assert.match((await getBatchJob(ids[0])).error, /Interrupted by a server restart/);
+});
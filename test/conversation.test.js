@@ -0,0 +1,222 @@
+// conversation.test.js - Chat flow driven through the offline scripted model
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { processUserMessage, updateFieldValue } = require('../services/aiService');
+const { LangChainSession } = require('../services/sessionService');
+
+const PAN_ANSWERS = [
+  'Individual',
+  'Ravi Kumar',
+  'Mohan Kumar',
+  '12/03/1990',
+  '9876543210',
+  'ravi@example.com',
+  '12 MG Road, Bengaluru 560001',
+  'Aadhaar Card',
+  'Aadhaar Card',
+  'Physical PAN card to an Indian address'
+];
+
+/**
+ * Start a conversation and send each message in turn
+ * @returns {Promise<Object>} - { session, say(message, options) -> response, response }
+ */
+async function startConversation(request, options) {
+  const session = new LangChainSession();
+  const say = (message, messageOptions) => processUserMessage(message, session, messageOptions);
+  const response = await say(request, options);
+  return { session, say, response };
+}
+
+const fieldName = (session) => session.verifiedFormStructure.verified_fields[session.currentField]?.name;
+
+const answerAll = async (say, answers) => {
+  let response;
+  for (const answer of answers) response = await say(answer);
+  return response;
+};
+
+test('discovers the form the user asks for', async () => {
+  const { session, response } = await startConversation('I need a PAN card');
+
+  assert.equal(response.intent, 'form_discovered');
+  assert.equal(session.currentForm, 'pan_card_application');
+  assert.equal(session.state, 'COLLECTING');
+});
+
+test('asks for clarification when no form matches', async () => {
+  const { session, response } = await startConversation('hello there');
+
+  assert.equal(response.intent, 'clarification_needed');
+  assert.equal(session.currentForm, null);
+});
+
+test('accepts a valid answer and moves to the next question', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+
+  const response = await say('Individual');
+
+  assert.equal(response.intent, 'next_question');
+  assert.equal(session.formData.applicant_category, 'Individual');
+  assert.equal(session.currentField, 1);
+});
+
+test('goes back, skips and edits answers with commands', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+  await answerAll(say, PAN_ANSWERS.slice(0, 3));
+  assert.equal(fieldName(session), 'date_of_birth');
+
+  await say('go back');
+  assert.equal(fieldName(session), 'father_name');
+
+  const skip = await say('skip');
+  assert.equal(skip.intent, 'validation_error');
+  assert.equal(fieldName(session), 'father_name');
+
+  await say('Suresh Kumar');
+  await say('change my full name to Ravi Shankar');
+  assert.equal(session.formData.full_name, 'Ravi Shankar');
+  assert.equal(session.formData.father_name, 'Suresh Kumar');
+});
+
+test('reviews every answer and completes only after confirmation', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+
+  const review = await answerAll(say, PAN_ANSWERS);
+  assert.equal(review.intent, 'review');
+  assert.equal(session.state, 'REVIEW');
+  assert.equal(session.confirmedAt, null);
+
+  const complete = await say('confirm');
+  assert.equal(complete.intent, 'form_complete');
+  assert.equal(session.state, 'COMPLETE');
+  assert.ok(session.confirmedAt);
+});
+
+test('clearing an optional answer on a completed form asks for confirmation again', async () => {
+  const { session, say } = await startConversation('I need a voter ID');
+  await answerAll(say, [
+    'Ravi Kumar', 'Mohan Kumar', '12/03/1990', 'Male', '12 MG Road, Bengaluru 560001', 'skip',
+    '9876543210', 'ravi@example.com', 'skip', 'confirm'
+  ]);
+  assert.equal(session.state, 'COMPLETE');
+
+  const result = await updateFieldValue(session, 'email_address', '');
+
+  assert.deepEqual(result, { success: true, field: 'email_address', value: null, reopened: false, violations: [] });
+  assert.equal(session.formData.email_address, undefined);
+  assert.equal(session.state, 'REVIEW');
+  assert.equal(session.confirmedAt, null);
+});
+
+test('going back from a completed form clears the confirmation', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+  await answerAll(say, [...PAN_ANSWERS, 'confirm']);
+
+  const response = await say('back');
+
+  assert.equal(response.intent, 'next_question');
+  assert.equal(session.state, 'COLLECTING');
+  assert.equal(session.confirmedAt, null);
+  assert.equal(fieldName(session), 'pan_card_delivery');
+});
+
+test('rejects an invalid answer and keeps asking the same question', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+  await answerAll(say, PAN_ANSWERS.slice(0, 4));
+
+  const response = await say('98765');
+
+  assert.equal(response.intent, 'validation_error');
+  assert.equal(fieldName(session), 'mobile_number');
+  assert.equal(session.formData.mobile_number, undefined);
+});
+
+test('confirms several answers found in one message before saving them', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+  await say('Individual');
+
+  const found = await say("I'm Ravi Kumar, born 12/03/1990, mobile 9876543210");
+  assert.equal(found.intent, 'confirm_extracted');
+  assert.equal(session.formData.mobile_number, undefined);
+
+  await say('yes');
+  assert.equal(session.formData.mobile_number, '9876543210');
+  assert.equal(session.pendingExtraction, null);
+});
+
+test('answers questions about the form without moving on', async () => {
+  const { session, say } = await startConversation('I need a PAN card');
+  await say('Individual');
+
+  const response = await say('What documents do I need?');
+
+  assert.equal(response.intent, 'form_question');
+  assert.equal(fieldName(session), 'full_name');
+  assert.equal(session.formData.full_name, undefined);
+});
+
+test('saves answers that open with a question word', async () => {
+  const pan = await startConversation('I need a PAN card');
+  await pan.say('Individual');
+  await pan.say('May Anne Thomas');
+  assert.equal(pan.session.formData.full_name, 'May Anne Thomas');
+
+  const gst = await startConversation('I want GST registration');
+  gst.session.currentField = gst.session.verifiedFormStructure.verified_fields.findIndex(field => field.name === 'business_activity');
+  await gst.say('Do catering for events and parties');
+  assert.equal(gst.session.formData.business_activity, 'Do catering for events and parties');
+});
+
+test('answers a rejected message that reads as a question, and rejects one that does not', async () => {
+  const { session, say } = await startConversation('I want GST registration');
+  session.currentField = session.verifiedFormStructure.verified_fields.findIndex(field => field.name === 'email_address');
+
+  const question = await say('what address proof is accepted for GST');
+  assert.equal(question.intent, 'form_question');
+
+  const answer = await say('Do not have one right now');
+  assert.equal(answer.intent, 'validation_error');
+  assert.equal(fieldName(session), 'email_address');
+});
+
+test('answers a question that would also pass as an answer', async () => {
+  const { session, say } = await startConversation('I need an FSSAI food license');
+  assert.equal(session.currentForm, 'fssai_food_license');
+  session.currentField = session.verifiedFormStructure.verified_fields.findIndex(field => field.name === 'business_name');
+
+  const response = await say('which FSSAI license do I need for 15 lakh turnover');
+
+  assert.equal(response.intent, 'form_question');
+  assert.equal(fieldName(session), 'business_name');
+  assert.equal(session.formData.business_name, undefined);
+});
+
+test('understands Hindi navigation commands', async () => {
+  const { session, say } = await startConversation('I need a PAN card', { language: 'hi' });
+  await answerAll(say, PAN_ANSWERS.slice(0, 3));
+
+  await say('पीछे जाओ');
+  assert.equal(fieldName(session), 'father_name');
+
+  const skip = await say('छोड़ें');
+  assert.equal(skip.intent, 'validation_error');
+  assert.match(skip.message, /[ऀ-ॿ]/);
+
+  await say('Mohan Kumar');
+  await say('ईमेल को a@b.com में बदलें');
+  assert.equal(session.formData.email_address, 'a@b.com');
+});
+
+test('understands Tamil edit commands that name a field in Tamil', async () => {
+  const { session, say } = await startConversation('I need a PAN card', { language: 'ta' });
+  await answerAll(say, PAN_ANSWERS.slice(0, 7));
+  assert.equal(fieldName(session), 'id_proof');
+
+  await say('முகவரியை மாற்று');
+
+  assert.equal(fieldName(session), 'address');
+});
@@ -0,0 +1,109 @@
+// documents.test.js - Document upload routes and upload retention
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-uploads-'));
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.OCR_ENGINE = 'none';
+process.env.LLM_PROVIDER = 'fake';
+process.env.DATA_ENCRYPTION_KEY = 'test-encryption-key';
+process.env.USER_API_KEYS = 'alice:key-alice-123,bob:key-bob-456';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getSession, saveSession } = require('../services/sessionService');
+const { cleanupOrphanedUploads } = require('../services/documentService');
+const { startTestServer } = require('./testServer');
+
+const ALICE = 'key-alice-123';
+const BOB = 'key-bob-456';
+
+let api;
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(async () => {
+  await api.close();
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+const startSession = async () => {
+  const { body } = await api.request('POST', '/chat', { key: ALICE, body: { message: 'I need a PAN card' } });
+  return body.sessionId;
+};
+
+// A PNG signature followed by text that must not appear in the stored file
+const scan = () => {
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.from('\x89PNG\r\n\x1a\nAadhaar scan ABCPK1234F')], { type: 'image/png' }), 'aadhaar.png');
+  form.append('documentType', 'aadhaar');
+  return form;
+};
+
+test('uploads a document for its owner and stores it encrypted', async () => {
+  const sessionId = await startSession();
+
+  const { status, body } = await api.request('POST', `/session/${sessionId}/documents`, { key: ALICE, body: scan() });
+
+  assert.equal(status, 201);
+  assert.equal(body.document.documentType, 'aadhaar');
+  const stored = fs.readFileSync(path.join(uploadsDir, sessionId, body.document.storedAs));
+  assert.equal(stored.subarray(0, 6).toString(), 'IFENC1');
+  assert.ok(!stored.includes('ABCPK1234F'));
+});
+
+test('lists and deletes documents, removing the file', async () => {
+  const sessionId = await startSession();
+  const { body: uploaded } = await api.request('POST', `/session/${sessionId}/documents`, { key: ALICE, body: scan() });
+
+  const listed = await api.request('GET', `/session/${sessionId}/documents`, { key: ALICE });
+  assert.deepEqual(listed.body.documents.map(document => document.id), [uploaded.document.id]);
+
+  const deleted = await api.request('DELETE', `/session/${sessionId}/documents/${uploaded.document.id}`, { key: ALICE });
+  assert.equal(deleted.status, 200);
+  assert.equal(fs.existsSync(path.join(uploadsDir, sessionId, uploaded.document.storedAs)), false);
+  assert.deepEqual((await api.request('GET', `/session/${sessionId}/documents`, { key: ALICE })).body.documents, []);
+
+  const again = await api.request('DELETE', `/session/${sessionId}/documents/${uploaded.document.id}`, { key: ALICE });
+  assert.equal(again.status, 404);
+});
+
+test('refuses another user and anonymous callers', async () => {
+  const sessionId = await startSession();
+  const { body: uploaded } = await api.request('POST', `/session/${sessionId}/documents`, { key: ALICE, body: scan() });
+
+  assert.equal((await api.request('POST', `/session/${sessionId}/documents`, { key: BOB, body: scan() })).status, 403);
+  assert.equal((await api.request('GET', `/session/${sessionId}/documents`, { key: BOB })).status, 403);
+  assert.equal((await api.request('DELETE', `/session/${sessionId}/documents/${uploaded.document.id}`, { key: BOB })).status, 403);
+  assert.equal((await api.request('GET', `/session/${sessionId}/documents`)).status, 401);
+  assert.equal(fs.readdirSync(path.join(uploadsDir, sessionId)).length, 1);
+});
+
+test('rejects uploads of unsupported types', async () => {
+  const sessionId = await startSession();
+  const form = new FormData();
+  form.append('file', new Blob(['plain text'], { type: 'text/plain' }), 'notes.txt');
+
+  const { status } = await api.request('POST', `/session/${sessionId}/documents`, { key: ALICE, body: form });
+
+  assert.equal(status, 400);
+});
+
+test('uploads are deleted once their session is gone', async () => {
+  const session = await getSession();
+  await saveSession(session);
+  fs.mkdirSync(path.join(uploadsDir, session.id));
+  fs.writeFileSync(path.join(uploadsDir, session.id, 'aadhaar.enc'), 'contents');
+  fs.mkdirSync(path.join(uploadsDir, 'expired-session'));
+  fs.writeFileSync(path.join(uploadsDir, 'expired-session', 'pan.enc'), 'contents');
+  const before = fs.readdirSync(uploadsDir).length;
+
+  assert.equal(await cleanupOrphanedUploads(), 1);
+  assert.equal(fs.readdirSync(uploadsDir).length, before - 1);
+  assert.ok(fs.existsSync(path.join(uploadsDir, session.id)));
+  assert.ok(!fs.existsSync(path.join(uploadsDir, 'expired-session')));
+});
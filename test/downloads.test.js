@@ -0,0 +1,85 @@
+// downloads.test.js - Signed download links and retention of generated files
+const fs = require('fs');
+const path = require('path');
+
+process.env.FILE_RETENTION_MS = '60000';
+process.env.AUTH_JWT_SECRET = 'test-jwt-secret';
+process.env.USER_API_KEYS = 'alice:key-alice-123,bob:key-bob-456';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { allocateFile, registerFile, getFileRecord, createDownloadLink, removeFile, cleanupExpiredFiles } = require('../services/fileRegistry');
+const { startTestServer } = require('./testServer');
+
+const downloadsDir = path.join(__dirname, '..', 'downloads');
+
+let api;
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(() => api.close());
+
+const writeFile = (filePath, ageMs = 0) => {
+  fs.writeFileSync(filePath, 'contents');
+  const time = (Date.now() - ageMs) / 1000;
+  fs.utimesSync(filePath, time, time);
+  return filePath;
+};
+
+/**
+ * Register a generated file for a user and return the route of its signed link
+ */
+const storeFile = async (t, userId) => {
+  fs.mkdirSync(downloadsDir, { recursive: true });
+  const file = allocateFile('voter_id.pdf');
+  writeFile(file.path);
+  const record = await registerFile(file, { userId, sessionId: 'downloads-test', formId: 'voter_id' });
+  t.after(() => removeFile(record));
+  return createDownloadLink(record).url.replace(/^\/api/, '');
+};
+
+test("a user's file is not served to anonymous callers holding its link", async (t) => {
+  const route = await storeFile(t, 'alice');
+
+  const anonymous = await api.request('GET', route);
+  const owner = await api.request('GET', `${route}&access_token=key-alice-123`);
+
+  assert.equal(anonymous.status, 401);
+  assert.equal(owner.status, 200);
+  assert.equal(owner.body, 'contents');
+  assert.equal(owner.headers.get('cache-control'), 'private, no-store');
+});
+
+test('links with a changed signature are refused', async (t) => {
+  const route = await storeFile(t, 'alice');
+
+  const { status, body } = await api.request('GET', route.replace(/signature=[^&]+/, 'signature=forged'), { key: 'key-alice-123' });
+
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Download link signature is invalid');
+});
+
+test('old download files without a record are swept, recorded and recent ones are kept', async (t) => {
+  fs.mkdirSync(downloadsDir, { recursive: true });
+  const file = allocateFile('recorded.pdf');
+  writeFile(file.path, 120000);
+  const record = await registerFile(file, { sessionId: null, formId: 'voter_id' });
+  const orphan = writeFile(path.join(downloadsDir, '11111111-2222-4333-8444-555555555555.pdf.enc'), 120000);
+  const plaintext = writeFile(path.join(downloadsDir, '21111111-2222-4333-8444-555555555555.pdf'), 120000);
+  const recent = writeFile(path.join(downloadsDir, '31111111-2222-4333-8444-555555555555.pdf.enc'));
+  t.after(async () => {
+    fs.rmSync(recent, { force: true });
+    const stored = await getFileRecord(record.id);
+    if (stored) await removeFile(stored);
+  });
+
+  await cleanupExpiredFiles();
+
+  assert.equal(fs.existsSync(file.path), true);
+  assert.equal(fs.existsSync(orphan), false);
+  assert.equal(fs.existsSync(plaintext), false);
+  assert.equal(fs.existsSync(recent), true);
+});
@@ -0,0 +1,98 @@
+// drafts.test.js - Saving drafts, resuming them by code and keeping them past the session lifetime
+process.env.LLM_PROVIDER = 'fake';
+process.env.SESSION_STORE = 'memory';
+process.env.USER_API_KEYS = 'alice:key-alice-123,bob:key-bob-456';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findSession, cleanupSessions } = require('../services/sessionService');
+const { normalizeCode, findDraftSession, cleanupExpiredDrafts } = require('../services/draftService');
+const { startTestServer } = require('./testServer');
+
+const ALICE = 'key-alice-123';
+const BOB = 'key-bob-456';
+
+let api;
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(() => api.close());
+
+/**
+ * Start a PAN card session for Alice, answer its first questions and save it as a draft
+ * @returns {Promise<Object>} - { sessionId, resumeCode }
+ */
+const saveDraft = async () => {
+  let body;
+  for (const message of ['I need a PAN card', 'Individual', 'Ravi Kumar']) {
+    ({ body } = await api.request('POST', '/chat', { key: ALICE, body: { message, sessionId: body?.sessionId } }));
+  }
+  const draft = await api.request('POST', `/session/${body.sessionId}/draft`, { key: ALICE });
+  assert.equal(draft.status, 201);
+  return { sessionId: body.sessionId, resumeCode: draft.body.resumeCode };
+};
+
+test('resume codes are read in any case and with or without the dash', () => {
+  assert.equal(normalizeCode('k7mq-4tx9'), 'K7MQ4TX9');
+  assert.equal(normalizeCode('K7MQ 4TX9'), 'K7MQ4TX9');
+  assert.equal(normalizeCode('K7MQ-4TX0'), null);
+  assert.equal(normalizeCode('K7MQ'), null);
+});
+
+test('resumes a saved draft at the question it stopped at', async () => {
+  const { sessionId, resumeCode } = await saveDraft();
+  assert.match(resumeCode, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+  const { status, body } = await api.request('POST', `/drafts/${resumeCode.toLowerCase().replace('-', '')}/resume`, { key: ALICE });
+
+  assert.equal(status, 200);
+  assert.equal(body.sessionId, sessionId);
+  assert.equal(body.response.field, 'father_name');
+  assert.ok(body.messages.some(message => message.content === 'Ravi Kumar'));
+});
+
+test('saving again keeps the code and listing shows only the caller\'s drafts', async () => {
+  const { sessionId, resumeCode } = await saveDraft();
+
+  const again = await api.request('POST', `/session/${sessionId}/draft`, { key: ALICE });
+
+  assert.equal(again.body.resumeCode, resumeCode);
+  const listed = (await api.request('GET', '/drafts', { key: ALICE })).body.drafts.map(draft => draft.resumeCode);
+  assert.ok(listed.includes(resumeCode));
+  assert.deepEqual((await api.request('GET', '/drafts', { key: BOB })).body.drafts, []);
+});
+
+test("another user's resume code is refused and unknown codes are not found", async () => {
+  const { resumeCode } = await saveDraft();
+
+  const bob = await api.request('POST', `/drafts/${resumeCode}/resume`, { key: BOB });
+
+  assert.equal(bob.status, 403);
+  assert.equal(bob.body.error, 'This draft belongs to another user');
+  assert.equal((await api.request('POST', '/drafts/ZZZZ-ZZZZ/resume', { key: ALICE })).status, 404);
+});
+
+test('a saved draft outlives the idle session lifetime until its keepUntil', async () => {
+  const { sessionId, resumeCode } = await saveDraft();
+  const { body } = await api.request('POST', '/chat', { key: ALICE, body: { message: 'I need a PAN card' } });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  await cleanupSessions(1);
+
+  assert.equal(await findSession(body.sessionId), null);
+  assert.equal((await findDraftSession(resumeCode)).id, sessionId);
+});
+
+test('expired drafts can no longer be resumed and their codes are removed', async (t) => {
+  process.env.DRAFT_TTL_MS = '1';
+  t.after(() => delete process.env.DRAFT_TTL_MS);
+  const { resumeCode } = await saveDraft();
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.equal((await api.request('POST', `/drafts/${resumeCode}/resume`, { key: ALICE })).status, 404);
+  assert.ok(await cleanupExpiredDrafts() >= 1);
+  assert.equal(await findDraftSession(resumeCode), null);
+});
@@ -0,0 +1,156 @@
+// exports.test.js - Exporting confirmed answers as JSON, CSV, XML and DOCX
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mappingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-mappings-'));
+process.env.EXPORT_MAPPINGS_DIR = mappingsDir;
+process.env.LLM_PROVIDER = 'fake';
+process.env.DATA_ENCRYPTION_KEY = 'test-encryption-key';
+process.env.USER_API_KEYS = 'alice:key-alice-123,bob:key-bob-456';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { listExporters, writeExport } = require('../services/exportService');
+const { getFileRecord, removeFile } = require('../services/fileRegistry');
+const { startTestServer } = require('./testServer');
+
+const ALICE = 'key-alice-123';
+const BOB = 'key-bob-456';
+const downloadsDir = path.join(__dirname, '..', 'downloads');
+
+const PAN_ANSWERS = [
+  'Individual',
+  'Ravi Kumar',
+  'Mohan Kumar',
+  '12/03/1990',
+  '9876543210',
+  'ravi@example.com',
+  '12 MG Road, Bengaluru 560001',
+  'Aadhaar Card',
+  'Aadhaar Card',
+  'Physical PAN card to an Indian address'
+];
+
+let api;
+const fileIds = [];
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(async () => {
+  await api.close();
+  for (const id of fileIds) {
+    const record = await getFileRecord(id);
+    if (record) await removeFile(record);
+  }
+  fs.rmSync(mappingsDir, { recursive: true, force: true });
+});
+
+/**
+ * Start a PAN card session as Alice and send the given answers
+ * @returns {Promise<string>} - Session ID
+ */
+const fillPan = async (messages) => {
+  let body;
+  for (const message of ['I need a PAN card', ...messages]) {
+    ({ body } = await api.request('POST', '/chat', { key: ALICE, body: { message, sessionId: body?.sessionId } }));
+  }
+  return body.sessionId;
+};
+
+const exportAs = async (format, sessionId, key = ALICE) => {
+  const response = await api.request('POST', `/export/${format}`, { key, body: { sessionId } });
+  if (response.body.fileId) fileIds.push(response.body.fileId);
+  return response;
+};
+
+test('exports a confirmed form in every format, encrypted on disk', async () => {
+  const sessionId = await fillPan([...PAN_ANSWERS, 'confirm']);
+  const formats = listExporters().map(exporter => exporter.format);
+  assert.deepEqual(formats, ['json', 'csv', 'xml', 'docx']);
+
+  const downloads = {};
+  for (const format of formats) {
+    const { status, body } = await exportAs(format, sessionId);
+    assert.equal(status, 200, format);
+    assert.equal(body.format, format);
+    assert.equal(JSON.stringify(body).includes('12/03/1990'), false);
+
+    const stored = fs.readFileSync(path.join(downloadsDir, (await getFileRecord(body.fileId)).storedAs));
+    assert.equal(stored.includes('12/03/1990'), false, format);
+
+    downloads[format] = (await api.request('GET', body.downloadUrl.replace(/^\/api/, ''), { key: ALICE })).body;
+  }
+
+  const json = downloads.json;
+  assert.equal(json.form.id, 'pan_card_application');
+  assert.equal(json.data.date_of_birth, '12/03/1990');
+  assert.equal(json.assessment.fees.display, '₹110');
+  assert.ok(json.confirmedAt);
+
+  const [header, row] = downloads.csv.split('\r\n');
+  assert.ok(header.startsWith('applicant_category,full_name,father_name'));
+  assert.ok(row.includes('"12 MG Road, Bengaluru 560001"'));
+
+  assert.match(downloads.xml, /<field name="date_of_birth" label="[^"]+">12\/03\/1990<\/field>/);
+  assert.equal(downloads.xml.includes('karta_name'), false);
+  assert.ok(downloads.docx.startsWith('PK'));
+});
+
+test('refuses to export a form before its answers are confirmed', async () => {
+  const collecting = await fillPan(PAN_ANSWERS.slice(0, 3));
+  const review = await fillPan(PAN_ANSWERS);
+
+  assert.equal((await exportAs('json', collecting)).status, 400);
+  const unconfirmed = await exportAs('csv', review);
+  assert.equal(unconfirmed.status, 409);
+  assert.equal(unconfirmed.body.error, 'Confirm the reviewed answers before exporting');
+  assert.equal((await exportAs('json', 'no-such-session')).status, 400);
+});
+
+test("refuses another user's session and unknown formats", async () => {
+  const sessionId = await fillPan([...PAN_ANSWERS, 'confirm']);
+
+  assert.equal((await exportAs('json', sessionId, BOB)).status, 403);
+  const unknown = await exportAs('pdfa', sessionId);
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(unknown.body.formats, ['json', 'csv', 'xml', 'docx']);
+});
+
+test('shapes XML with a form mapping, translating option values', async (t) => {
+  fs.writeFileSync(path.join(mappingsDir, 'gst_registration.xml.json'), JSON.stringify({
+    root: 'GSTRegistration',
+    namespace: 'urn:example:gst:reg01',
+    fields: {
+      business_name: 'PartA/LegalName',
+      business_type: { path: 'PartA/Constitution', values: { Proprietorship: 'PRO' } },
+      email_address: 'PartB/Email'
+    }
+  }));
+  const outputPath = path.join(mappingsDir, 'gst.xml');
+  t.after(() => fs.rmSync(outputPath, { force: true }));
+
+  await writeExport('xml', VERIFIED_GOVERNMENT_FORMS.gst_registration, {
+    business_type: 'Proprietorship',
+    business_name: 'Asha Tiffins & Co',
+    email_address: 'asha@example.com'
+  }, outputPath);
+
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<GSTRegistration xmlns="urn:example:gst:reg01">',
+    '  <PartA>',
+    '    <LegalName>Asha Tiffins &amp; Co</LegalName>',
+    '    <Constitution>PRO</Constitution>',
+    '  </PartA>',
+    '  <PartB>',
+    '    <Email>asha@example.com</Email>',
+    '  </PartB>',
+    '</GSTRegistration>',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,97 @@
+// feeCalculator.test.js - Fees, processing time and eligibility computed from form rules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { calculateFees, estimateProcessingTime, checkEligibility, assessApplication } = require('../services/feeCalculator');
+
+const { fssai_food_license: FSSAI, pan_card_application: PAN, passport_application: PASSPORT, voter_id: VOTER_ID } = VERIFIED_GOVERNMENT_FORMS;
+
+const BASIC = 'Basic Registration (<₹12 lakh turnover)';
+const STATE = 'State License (₹12 lakh - ₹20 crore)';
+const CENTRAL = 'Central License (>₹20 crore)';
+
+test('FSSAI fees follow the license type', () => {
+  const cases = [
+    [BASIC, { total: 100, totalMax: 100, display: '₹100 per year' }],
+    [STATE, { total: 2000, totalMax: 5000, display: '₹2,000 - ₹5,000 per year' }],
+    [CENTRAL, { total: 7500, totalMax: 7500, display: '₹7,500 per year' }]
+  ];
+
+  for (const [licenseType, expected] of cases) {
+    const { calculated, total, totalMax, display } = calculateFees(FSSAI, { license_type: licenseType });
+    assert.deepEqual({ calculated, total, totalMax, display }, { calculated: true, ...expected }, licenseType);
+  }
+});
+
+test('PAN fees follow where the card is delivered', () => {
+  const cases = [
+    ['Physical PAN card to an Indian address', '₹110', 'PAN fee (physical card, Indian address)'],
+    ['Physical PAN card to a foreign address', '₹1,020', 'PAN fee (physical card, foreign address)'],
+    ['e-PAN only (by email)', '₹50', 'PAN fee (e-PAN only)']
+  ];
+
+  for (const [delivery, display, label] of cases) {
+    const fees = calculateFees(PAN, { applicant_category: 'Individual', pan_card_delivery: delivery });
+    assert.equal(fees.display, display, delivery);
+    assert.deepEqual(fees.items.map(item => item.label), [label]);
+  }
+});
+
+test('falls back to the free text when no rule matches or the form has none', () => {
+  const cases = [
+    [PAN, {}],
+    [FSSAI, { annual_turnover: 500000 }],
+    [VOTER_ID, { full_name: 'Ravi Kumar' }]
+  ];
+
+  for (const [form, formData] of cases) {
+    assert.deepEqual(calculateFees(form, formData), { calculated: false, items: [], total: null, totalMax: null, display: form.verified_fees }, form.id);
+  }
+});
+
+test('processing time comes from the first matching rule', () => {
+  const cases = [
+    [FSSAI, { license_type: BASIC }, '7 days'],
+    [FSSAI, { license_type: CENTRAL }, '30-60 days'],
+    [FSSAI, {}, FSSAI.verified_processing_time],
+    [PASSPORT, { application_type: 'Tatkal Passport' }, '1-3 days'],
+    [PASSPORT, { application_type: 'Reissue of Passport' }, '7-30 days'],
+    [PAN, { pan_card_delivery: 'e-PAN only (by email)' }, PAN.verified_processing_time]
+  ];
+
+  for (const [form, formData, time] of cases) {
+    assert.equal(estimateProcessingTime(form, formData), time, `${form.id} ${JSON.stringify(formData)}`);
+  }
+});
+
+test('FSSAI eligibility checks the license type against the turnover', () => {
+  const cases = [
+    [BASIC, 500000, 'eligible'],
+    [BASIC, 1200000, 'not_eligible'],
+    [STATE, 1500000, 'eligible'],
+    [STATE, 800000, 'review'],
+    [STATE, 250000000, 'not_eligible'],
+    [CENTRAL, 250000000, 'eligible'],
+    [CENTRAL, 200000000, 'review']
+  ];
+
+  for (const [licenseType, turnover, verdict] of cases) {
+    const eligibility = checkEligibility(FSSAI, { license_type: licenseType, annual_turnover: turnover });
+    assert.equal(eligibility.verdict, verdict, `${licenseType} at ${turnover}`);
+    assert.equal(eligibility.findings.length, verdict === 'eligible' ? 0 : 1);
+  }
+});
+
+test('forms without eligibility rules have no verdict', () => {
+  assert.equal(checkEligibility(PAN, { applicant_category: 'Individual' }), null);
+});
+
+test('assesses a filled form in one call', () => {
+  const assessment = assessApplication(FSSAI, { license_type: BASIC, annual_turnover: 1500000 });
+
+  assert.equal(assessment.fees.display, '₹100 per year');
+  assert.equal(assessment.processingTime, '7 days');
+  assert.equal(assessment.eligibility.verdict, 'not_eligible');
+  assert.match(assessment.eligibility.findings[0].message, /needs a State License/);
+});
@@ -0,0 +1,56 @@
+// fieldConditions.test.js - Conditional and dependent fields
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { evaluateCondition, isFieldRequired, getApplicableFields, findMissingField } = require('../services/fieldConditions');
+const { processUserMessage } = require('../services/aiService');
+const { LangChainSession } = require('../services/sessionService');
+
+test('conditions compare answers case-insensitively and combine with all/any', () => {
+  const data = { company_type: 'Private Limited Company', annual_turnover: 1500000 };
+
+  assert.equal(evaluateCondition({ field: 'company_type', equals: 'private limited company' }, data), true);
+  assert.equal(evaluateCondition({ field: 'company_type', in: ['Public Limited Company'] }, data), false);
+  assert.equal(evaluateCondition({ field: 'director2_name', answered: true }, data), false);
+  assert.equal(evaluateCondition({ field: 'annual_turnover', at_least: 1200000 }, data), true);
+  assert.equal(evaluateCondition({ field: 'missing', not_equals: 'x' }, data), false);
+  assert.equal(evaluateCondition({ any: [{ field: 'missing', answered: true }, { field: 'annual_turnover', less_than: 2000000 }] }, data), true);
+  assert.equal(evaluateCondition([{ field: 'company_type', answered: true }, { field: 'annual_turnover', at_most: 100 }], data), false);
+  assert.throws(() => evaluateCondition({ field: 'company_type', like: 'x' }, data), /Unsupported field condition/);
+});
+
+test('fields apply only when their show_if condition holds', () => {
+  const form = VERIFIED_GOVERNMENT_FORMS.pan_card_application;
+  const names = (data) => getApplicableFields(form, data).map(field => field.name);
+
+  assert.ok(names({ applicant_category: 'Individual' }).includes('date_of_birth'));
+  assert.ok(!names({ applicant_category: 'Individual' }).includes('karta_name'));
+  assert.ok(names({ applicant_category: 'HUF' }).includes('karta_name'));
+  assert.ok(names({ applicant_category: 'Company' }).includes('date_of_incorporation'));
+});
+
+test('required_if makes a field required only when its condition holds', () => {
+  const fields = [
+    { name: 'has_gstin', type: 'choice', required: true },
+    { name: 'gstin', type: 'gstin', required_if: { field: 'has_gstin', equals: 'Yes' } }
+  ];
+
+  assert.equal(isFieldRequired(fields[1], { has_gstin: 'Yes' }), true);
+  assert.equal(isFieldRequired(fields[1], { has_gstin: 'No' }), false);
+  assert.equal(findMissingField(fields, { has_gstin: 'Yes' }, fields.length), 1);
+  assert.equal(findMissingField(fields, { has_gstin: 'No' }, fields.length), -1);
+});
+
+test('the conversation skips questions that do not apply', async () => {
+  const session = new LangChainSession();
+  for (const message of ['I need a PAN card', 'Individual', 'Ravi Kumar']) await processUserMessage(message, session);
+
+  assert.equal(session.verifiedFormStructure.verified_fields[session.currentField].name, 'father_name');
+
+  for (const message of ['Mohan Kumar', '12/03/1990']) await processUserMessage(message, session);
+
+  assert.equal(session.verifiedFormStructure.verified_fields[session.currentField].name, 'mobile_number');
+});
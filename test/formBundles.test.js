@@ -0,0 +1,137 @@
+// formBundles.test.js - Bundle loading and validation, answers carried between forms, combined checklists
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const {
+  VERIFIED_FORM_BUNDLES, loadBundlesCatalog, validateBundleDefinition, getBundle, carryForwardValues, buildChecklist
+} = require('../services/formBundles');
+
+const bundlesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-bundles-'));
+
+test.after(() => {
+  loadBundlesCatalog();
+  fs.rmSync(bundlesDir, { recursive: true, force: true });
+});
+
+const RESTAURANT = getBundle('restaurant_company');
+const { company_registration: COMPANY, gst_registration: GST, fssai_food_license: FSSAI } = VERIFIED_GOVERNMENT_FORMS;
+
+const bundle = (overrides = {}) => ({
+  id: 'test_bundle',
+  name: 'Test Bundle',
+  description: 'GST then FSSAI',
+  goals: ['start a food stall'],
+  forms: [{ form_id: 'gst_registration' }, { form_id: 'fssai_food_license', depends_on: ['gst_registration'] }],
+  last_verified: '2024-01-15',
+  ...overrides
+});
+
+test('loads JSON and YAML bundles, and keeps the catalog when a file is invalid', () => {
+  fs.writeFileSync(path.join(bundlesDir, 'test_bundle.json'), JSON.stringify(bundle()));
+  fs.writeFileSync(path.join(bundlesDir, 'yaml_bundle.yaml'), [
+    'id: yaml_bundle',
+    'name: YAML Bundle',
+    'description: FSSAI then GST',
+    'goals: [open a bakery]',
+    'forms:',
+    '  - form_id: fssai_food_license',
+    '  - form_id: gst_registration',
+    'last_verified: "2024-01-15"'
+  ].join('\n'));
+
+  assert.deepEqual(loadBundlesCatalog({ dir: bundlesDir }), { count: 2 });
+  assert.deepEqual(Object.keys(VERIFIED_FORM_BUNDLES).sort(), ['test_bundle', 'yaml_bundle']);
+
+  fs.writeFileSync(path.join(bundlesDir, 'renamed.json'), JSON.stringify(bundle()));
+  assert.throws(() => loadBundlesCatalog({ dir: bundlesDir }), /renamed\.json: id "test_bundle" does not match the file name/);
+  assert.deepEqual(Object.keys(VERIFIED_FORM_BUNDLES).sort(), ['test_bundle', 'yaml_bundle']);
+});
+
+test('validates bundles against the schema and the forms catalog', () => {
+  const cases = [
+    [bundle(), []],
+    [bundle({ forms: [{ form_id: 'gst_registration' }] }), ['/forms must NOT have fewer than 2 items']],
+    [
+      bundle({ forms: [{ form_id: 'fssai_food_license', depends_on: ['gst_registration'] }, { form_id: 'gst_registration' }] }),
+      ['form "fssai_food_license" depends on "gst_registration", which must come earlier']
+    ],
+    [
+      bundle({ forms: [{ form_id: 'gst_registration' }, { form_id: 'gst_registration' }, { form_id: 'shop_license' }] }),
+      ['form "gst_registration" is listed more than once', 'unknown form "shop_license"']
+    ],
+    [
+      bundle({ shared_fields: [{ name: 'business_name', fields: { gst_registration: 'business_name', fssai_food_license: 'shop_name' } }] }),
+      ['shared field "business_name" refers to unknown field "fssai_food_license.shop_name"']
+    ],
+    [
+      bundle({ shared_fields: [{ name: 'business_name', fields: { gst_registration: 'business_name', voter_id: 'full_name' } }] }),
+      ['shared field "business_name" refers to form "voter_id", which is not in the bundle']
+    ]
+  ];
+
+  for (const [definition, problems] of cases) {
+    assert.deepEqual(validateBundleDefinition(definition), problems);
+  }
+});
+
+test('carries shared and canonical answers forward, dropping values the next form does not accept', () => {
+  const companyData = {
+    company_name: 'Spice Route Foods Private Limited',
+    company_type: 'Private Limited Company',
+    registered_office: '14 Park Street, Kolkata 700016',
+    business_activity: 'Running restaurants',
+    email_address: 'accounts@spiceroute.in'
+  };
+
+  const carried = carryForwardValues(RESTAURANT, GST, [{ formId: 'company_registration', form: COMPANY, formData: companyData }]);
+
+  assert.deepEqual(carried, {
+    business_type: 'Private Limited Company',
+    business_name: 'Spice Route Foods Private Limited',
+    business_address: '14 Park Street, Kolkata 700016',
+    email_address: 'accounts@spiceroute.in',
+    business_activity: 'Running restaurants'
+  });
+
+  const llp = { ...companyData, company_type: 'Limited Liability Partnership (LLP)' };
+  const fromLlp = carryForwardValues(RESTAURANT, GST, [{ formId: 'company_registration', form: COMPANY, formData: llp }]);
+  assert.equal(fromLlp.business_type, undefined);
+  assert.equal(fromLlp.business_name, 'Spice Route Foods Private Limited');
+});
+
+test('later forms win when several earlier forms hold an answer', () => {
+  const completed = [
+    { formId: 'company_registration', form: COMPANY, formData: { company_name: 'Old Name Private Limited', email_address: 'old@spiceroute.in' } },
+    { formId: 'gst_registration', form: GST, formData: { business_name: 'Spice Route Foods', email_address: 'gst@spiceroute.in' } }
+  ];
+
+  const carried = carryForwardValues(RESTAURANT, FSSAI, completed);
+
+  assert.equal(carried.business_name, 'Spice Route Foods');
+  assert.equal(carried.email_address, 'gst@spiceroute.in');
+});
+
+test('builds one checklist with each form\'s dependencies, documents and computed fees', () => {
+  const checklist = buildChecklist(RESTAURANT, [COMPANY, GST, FSSAI], {
+    fssai_food_license: { license_type: 'State License (₹12 lakh - ₹20 crore)', annual_turnover: 1500000 }
+  });
+
+  assert.deepEqual(checklist.steps.map(step => [step.step, step.formId, step.dependsOn]), [
+    [1, 'company_registration', []],
+    [2, 'gst_registration', ['company_registration']],
+    [3, 'fssai_food_license', ['company_registration']]
+  ]);
+  assert.equal(checklist.steps[0].fees, COMPANY.verified_fees);
+  assert.equal(checklist.steps[0].eligibility, null);
+  assert.notEqual(checklist.steps[2].fees, FSSAI.verified_fees);
+  assert.ok(checklist.steps[2].eligibility);
+
+  const documents = [COMPANY, GST, FSSAI].flatMap(form => form.verified_documents);
+  assert.equal(checklist.documents.length, new Set(documents).size);
+  assert.deepEqual(checklist.documents.find(entry => entry.document === 'PAN Card of Business/Proprietor').forms, ['gst_registration']);
+});
@@ -0,0 +1,81 @@
+// formRules.test.js - Cross-field rules and defaults
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { checkFormRules, applyFormDefaults } = require('../services/formRules');
+const { formatDate } = require('../services/validators');
+const { processUserMessage } = require('../services/aiService');
+const { LangChainSession } = require('../services/sessionService');
+
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  return formatDate(date);
+};
+
+const TURNOVER_FORM = {
+  verified_fields: [
+    { name: 'annual_turnover', type: 'currency', question: 'Turnover?' },
+    { name: 'communication_address', type: 'textarea', question: 'Address for letters?' },
+    { name: 'address', type: 'textarea', question: 'Address?' }
+  ],
+  validation_rules: [
+    { type: 'min', field: 'annual_turnover', value: 100000 },
+    { type: 'default_from', field: 'communication_address', source: 'address' }
+  ]
+};
+
+test('rules apply only when their when condition holds', () => {
+  const form = VERIFIED_GOVERNMENT_FORMS.driving_license;
+  const data = { license_type: 'Permanent Driving License', vehicle_category: 'Two Wheeler', date_of_birth: yearsAgo(17) };
+
+  const [violation] = checkFormRules(form, data);
+
+  assert.equal(violation.field, 'date_of_birth');
+  assert.equal(violation.rule, 'age_range');
+  assert.match(violation.message, /at least 18/);
+  assert.deepEqual(checkFormRules(form, { ...data, license_type: "Learner's License" }), []);
+});
+
+test('rules without a message get a default one', () => {
+  const [violation] = checkFormRules(TURNOVER_FORM, { annual_turnover: 5000 });
+
+  assert.equal(violation.rule, 'min');
+  assert.match(violation.message, /₹1,00,000/);
+  assert.deepEqual(checkFormRules(TURNOVER_FORM, { annual_turnover: 500000 }), []);
+});
+
+test('rule messages follow the session language', () => {
+  const form = VERIFIED_GOVERNMENT_FORMS.driving_license;
+  const data = { license_type: 'Permanent Driving License', vehicle_category: 'Two Wheeler', date_of_birth: yearsAgo(17) };
+
+  assert.match(checkFormRules(form, data, 'hi')[0].message, /18 वर्ष/);
+  assert.match(checkFormRules(TURNOVER_FORM, { annual_turnover: 5000 }, 'ta')[0].message, /[஀-௿]/);
+});
+
+test('default_from fills an empty field from its source', () => {
+  const data = { address: '12 MG Road' };
+
+  assert.deepEqual(applyFormDefaults(TURNOVER_FORM, data), ['communication_address']);
+  assert.equal(data.communication_address, '12 MG Road');
+
+  const answered = { address: '12 MG Road', communication_address: 'PO Box 7' };
+  assert.deepEqual(applyFormDefaults(TURNOVER_FORM, answered), []);
+  assert.equal(answered.communication_address, 'PO Box 7');
+});
+
+test('a rule violation reopens the offending question', async () => {
+  const session = new LangChainSession();
+  let response;
+  for (const message of ['I need a driving license', 'Permanent Driving License', 'Two Wheeler', 'Ravi Kumar', 'Mohan Kumar',
+    yearsAgo(17), 'B+', '12 MG Road, Bengaluru 560001', '9876543210', 'ravi@example.com']) {
+    response = await processUserMessage(message, session);
+  }
+
+  assert.equal(response.intent, 'rule_violations');
+  assert.equal(session.state, 'COLLECTING');
+  assert.equal(session.verifiedFormStructure.verified_fields[session.currentField].name, 'date_of_birth');
+});
@@ -0,0 +1,116 @@
+// formsAdmin.test.js - Admin edits to the forms catalog through the API, and their audit trail
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-forms-admin-'));
+const formsDir = path.join(workDir, 'forms');
+const auditFile = path.join(workDir, 'audit', 'forms.jsonl');
+fs.cpSync(path.join(__dirname, '..', 'forms'), formsDir, { recursive: true });
+process.env.FORMS_DIR = formsDir;
+process.env.FORMS_AUDIT_FILE = auditFile;
+process.env.ADMIN_API_KEYS = 'ops:admin-key-123';
+process.env.USER_API_KEYS = 'alice:key-alice-123';
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestServer } = require('./testServer');
+
+const ADMIN = 'admin-key-123';
+const ALICE = 'key-alice-123';
+
+let api;
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(async () => {
+  await api.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * A new form based on the voter ID definition, without the version and history the service assigns
+ */
+const overseasVoterForm = () => {
+  const { version, history, ...definition } = JSON.parse(fs.readFileSync(path.join(formsDir, 'voter_id.json'), 'utf8'));
+  return { ...definition, id: 'overseas_voter', name: 'Overseas Voter Registration', form_number: 'Form 6A' };
+};
+
+test('catalog edits need an admin key, and are disabled without any', async (t) => {
+  const form = overseasVoterForm();
+
+  assert.equal((await api.request('POST', '/forms', { body: form })).status, 401);
+  assert.equal((await api.request('POST', '/forms', { key: ALICE, body: form })).status, 401);
+  assert.equal((await api.request('GET', '/forms/voter_id/audit', { key: ALICE })).status, 401);
+
+  delete process.env.ADMIN_API_KEYS;
+  t.after(() => { process.env.ADMIN_API_KEYS = 'ops:admin-key-123'; });
+  const disabled = await api.request('DELETE', '/forms/voter_id', { key: ADMIN });
+  assert.equal(disabled.status, 503);
+  assert.equal((await api.request('GET', '/forms/voter_id')).status, 200);
+});
+
+test('creates, updates and deletes a form, keeping earlier versions readable', async () => {
+  const form = overseasVoterForm();
+
+  const created = await api.request('POST', '/forms', { key: ADMIN, body: { ...form, changes: 'Added Form 6A' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.form.version, 1);
+  assert.ok(fs.existsSync(path.join(formsDir, 'overseas_voter.json')));
+  assert.equal((await api.request('POST', '/forms', { key: ADMIN, body: form })).status, 409);
+
+  const stale = await api.request('PUT', '/forms/overseas_voter', { key: ADMIN, body: { ...form, version: 7 } });
+  assert.equal(stale.status, 409);
+
+  const updated = await api.request('PUT', '/forms/overseas_voter', {
+    key: ADMIN,
+    body: { ...form, version: 1, verified_fees: '₹0 (no fee)', changes: 'Corrected the fee' }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.form.version, 2);
+  assert.deepEqual(updated.body.form.history.map(entry => entry.changes), ['Added Form 6A', 'Corrected the fee']);
+
+  const deleted = await api.request('DELETE', '/forms/overseas_voter?reason=Merged%20into%20Form%206', { key: ADMIN });
+  assert.deepEqual(deleted.body, { success: true, formId: 'overseas_voter', version: 2 });
+  assert.equal((await api.request('GET', '/forms/overseas_voter')).status, 404);
+
+  const pinned = await api.request('GET', '/forms/overseas_voter?version=1');
+  assert.equal(pinned.body.form.verified_fees, form.verified_fees);
+  assert.deepEqual(pinned.body.loadedVersions, [1, 2]);
+});
+
+test('rejects an invalid definition and leaves the form file untouched', async () => {
+  const filePath = path.join(formsDir, 'voter_id.json');
+  const before = fs.readFileSync(filePath, 'utf8');
+  const voter = JSON.parse(before);
+
+  const { status, body } = await api.request('PUT', '/forms/voter_id', {
+    key: ADMIN,
+    body: { ...voter, verified_fields: [...voter.verified_fields, voter.verified_fields[0]] }
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.problems, ['duplicate field "full_name"']);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), before);
+  assert.equal((await api.request('GET', '/forms/voter_id')).body.form.version, voter.version);
+});
+
+test('records each edit in the audit trail with the admin and the versions', async () => {
+  const { status, body } = await api.request('GET', '/forms/overseas_voter/audit', { key: ADMIN });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.entries.map(({ actor, action, fromVersion, toVersion, changes }) => ({ actor, action, fromVersion, toVersion, changes })), [
+    { actor: 'ops', action: 'delete', fromVersion: 2, toVersion: null, changes: 'Merged into Form 6' },
+    { actor: 'ops', action: 'update', fromVersion: 1, toVersion: 2, changes: 'Corrected the fee' },
+    { actor: 'ops', action: 'create', fromVersion: null, toVersion: 1, changes: 'Added Form 6A' }
+  ]);
+  assert.deepEqual(body.entries[1].changedKeys, ['verified_fees']);
+
+  const lines = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 3);
+  assert.ok(lines.every(entry => entry.timestamp && entry.formId === 'overseas_voter'));
+});
@@ -0,0 +1,118 @@
+// formsDatabase.test.js - Loading, validating and reloading the versioned forms catalog
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const formsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-forms-'));
+fs.cpSync(path.join(__dirname, '..', 'forms'), formsDir, { recursive: true });
+process.env.FORMS_DIR = formsDir;
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const YAML = require('yaml');
+
+const {
+  VERIFIED_GOVERNMENT_FORMS, getForm, getFormVersions, loadFormsCatalog, validateFormDefinition
+} = require('../services/formsDatabase');
+const { processUserMessage } = require('../services/aiService');
+const { LangChainSession } = require('../services/sessionService');
+
+test.after(() => fs.rmSync(formsDir, { recursive: true, force: true }));
+
+const readForm = (id) => JSON.parse(fs.readFileSync(path.join(formsDir, `${id}.json`), 'utf8'));
+const writeForm = (id, definition) => fs.writeFileSync(path.join(formsDir, `${id}.json`), JSON.stringify(definition, null, 2));
+
+/**
+ * The next version of a form's file, with one question reworded
+ */
+const bumpVersion = (id, question) => {
+  const definition = readForm(id);
+  const version = definition.version + 1;
+  definition.verified_fields[0].question = question;
+  definition.version = version;
+  definition.history.push({ version, last_verified: definition.last_verified, changes: 'Reworded the first question' });
+  return definition;
+};
+
+test('rejects definitions that break the schema or refer to unknown fields', () => {
+  const voter = readForm('voter_id');
+  const [fullName] = voter.verified_fields;
+  const withoutFees = { ...voter };
+  delete withoutFees.verified_fees;
+  const withFields = (fields) => ({ ...voter, verified_fields: [...voter.verified_fields, ...fields] });
+
+  const cases = [
+    [voter, []],
+    [withoutFees, ["/ must have required property 'verified_fees'"]],
+    [withFields([fullName]), ['duplicate field "full_name"']],
+    [
+      withFields([{ ...fullName, name: 'spouse_name', show_if: { field: 'marital_status', equals: 'Married' } }]),
+      ['field "spouse_name" has a condition on unknown field "marital_status"']
+    ],
+    [{ ...voter, version: 3 }, ['the last history entry must match version and last_verified']]
+  ];
+
+  for (const [definition, problems] of cases) {
+    assert.deepEqual(validateFormDefinition(definition), problems);
+  }
+});
+
+test('loads YAML definitions alongside JSON ones', (t) => {
+  const yamlPath = path.join(formsDir, 'voter_id_nri.yaml');
+  t.after(() => {
+    fs.rmSync(yamlPath, { force: true });
+    loadFormsCatalog();
+  });
+  fs.writeFileSync(yamlPath, YAML.stringify({ ...readForm('voter_id'), id: 'voter_id_nri', name: 'Overseas Voter Registration' }));
+
+  const { count, changed } = loadFormsCatalog();
+
+  assert.equal(count, 8);
+  assert.deepEqual(changed, ['voter_id_nri']);
+  assert.equal(getForm('voter_id_nri').name, 'Overseas Voter Registration');
+});
+
+test('keeps the previous catalog when a reload finds an invalid file', (t) => {
+  const original = readForm('pan_card_application');
+  const brokenPath = path.join(formsDir, 'broken.json');
+  t.after(() => {
+    fs.rmSync(brokenPath, { force: true });
+    writeForm('pan_card_application', original);
+  });
+  const before = VERIFIED_GOVERNMENT_FORMS.pan_card_application;
+
+  fs.writeFileSync(brokenPath, JSON.stringify({ id: 'broken' }));
+  assert.throws(() => loadFormsCatalog(), /broken\.json: \/ must have required property 'version'/);
+  fs.rmSync(brokenPath);
+
+  const edited = readForm('pan_card_application');
+  edited.verified_fees = 'Free';
+  writeForm('pan_card_application', edited);
+  assert.throws(() => loadFormsCatalog(), /pan_card_application\.json: version 3 changed without bumping "version"/);
+
+  assert.equal(VERIFIED_GOVERNMENT_FORMS.pan_card_application, before);
+  assert.equal(VERIFIED_GOVERNMENT_FORMS.broken, undefined);
+});
+
+test('sessions keep the version they started with after a reload', async () => {
+  const session = new LangChainSession();
+  await processUserMessage('I need a voter ID', session);
+  assert.equal(session.formVersion, 2);
+
+  writeForm('voter_id', bumpVersion('voter_id', 'What is your name as on your Aadhaar?'));
+  assert.deepEqual(loadFormsCatalog().changed, ['voter_id']);
+
+  assert.equal(VERIFIED_GOVERNMENT_FORMS.voter_id.version, 3);
+  assert.deepEqual(getFormVersions('voter_id'), [2, 3]);
+  assert.equal(session.verifiedFormStructure, getForm('voter_id', 2));
+  assert.ok(Object.isFrozen(session.verifiedFormStructure.verified_fields[0]));
+
+  await processUserMessage('Ravi Kumar', session);
+  assert.equal(session.formData.full_name, 'Ravi Kumar');
+  assert.equal(session.formVersion, 2);
+
+  const next = new LangChainSession();
+  await processUserMessage('I need a voter ID', next);
+  assert.equal(next.formVersion, 3);
+});
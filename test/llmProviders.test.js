@@ -0,0 +1,76 @@
+// llmProviders.test.js - Provider registry and the scripted offline model
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scripted rules take precedence over the built-in responder
+const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-llm-'));
+const scriptPath = path.join(scriptDir, 'script.json');
+fs.writeFileSync(scriptPath, JSON.stringify({
+  rules: [{
+    match: 'USER REQUEST: "open a bakery"',
+    response: JSON.stringify({
+      intent: 'form_discovery',
+      matched_form_id: 'fssai_food_license',
+      confidence: 0.8,
+      message: 'You need an FSSAI food license.',
+      form_name: 'FSSAI Food License'
+    })
+  }]
+}));
+process.env.LLM_PROVIDER = 'fake';
+process.env.LLM_FAKE_SCRIPT = scriptPath;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HumanMessage } = require('@langchain/core/messages');
+
+const { createLLM, registerLLMProvider, LLM_PROVIDERS } = require('../services/llmProviders');
+const { ScriptedChatModel } = require('../services/scriptedChatModel');
+const { processUserMessage } = require('../services/aiService');
+const { LangChainSession } = require('../services/sessionService');
+
+test.after(() => fs.rmSync(scriptDir, { recursive: true, force: true }));
+
+test('replays matching rules, then queued responses, then the built-in responder', async () => {
+  const model = new ScriptedChatModel({
+    script: { rules: [{ match: 'ping', response: 'pong' }], responses: ['first', 'second'] }
+  });
+
+  assert.equal((await model.invoke([new HumanMessage('ping')])).content, 'pong');
+  assert.equal((await model.invoke([new HumanMessage('hello')])).content, 'first');
+  assert.equal((await model.invoke([new HumanMessage('hello')])).content, 'second');
+  assert.equal(JSON.parse((await model.invoke([new HumanMessage('hello')])).content).intent, 'clarification_needed');
+});
+
+test('streams scripted responses token by token', async () => {
+  const model = new ScriptedChatModel({ script: { responses: ['one two three'] } });
+  const tokens = [];
+
+  for await (const chunk of await model.stream([new HumanMessage('count')])) tokens.push(chunk.content);
+
+  assert.deepEqual(tokens, ['one ', 'two ', 'three']);
+});
+
+test('shares one scripted model per script so queued responses carry across requests', () => {
+  assert.equal(createLLM(), createLLM());
+  assert.ok(createLLM() instanceof ScriptedChatModel);
+});
+
+test('rejects unknown providers and accepts registered ones', () => {
+  assert.throws(() => createLLM({ provider: 'nope' }), /Unknown LLM provider: nope/);
+
+  const model = new ScriptedChatModel();
+  registerLLMProvider('custom', () => model);
+  assert.equal(createLLM({ provider: 'custom' }), model);
+  delete LLM_PROVIDERS.custom;
+});
+
+test('the discovery chain follows LLM_FAKE_SCRIPT', async () => {
+  const session = new LangChainSession();
+
+  const response = await processUserMessage('open a bakery', session);
+
+  assert.equal(response.intent, 'form_discovered');
+  assert.equal(session.currentForm, 'fssai_food_license');
+});
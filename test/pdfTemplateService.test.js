@@ -0,0 +1,129 @@
+// pdfTemplateService.test.js - Filling official PDF templates
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const { VERIFIED_GOVERNMENT_FORMS } = require('../services/formsDatabase');
+const { loadTemplate } = require('../services/pdfTemplateService');
+const { generateFormPDF } = require('../services/pdfService');
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-pdf-'));
+const templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-templates-'));
+
+test.before(async () => {
+  process.env.PDF_TEMPLATES_DIR = templatesDir;
+
+  // A small fillable PDF with one field of each kind the mappings use
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage(PageSizes.A4);
+  const form = pdfDoc.getForm();
+
+  form.createTextField('ApplicantName').addToPage(page, { x: 60, y: 700, width: 300, height: 20 });
+  const category = form.createRadioGroup('Category');
+  category.addOptionToPage('P', page, { x: 60, y: 660, width: 12, height: 12 });
+  category.addOptionToPage('C', page, { x: 90, y: 660, width: 12, height: 12 });
+  const idProof = form.createDropdown('IdProof');
+  idProof.addOptions(['Aadhaar Card', 'Passport']);
+  idProof.addToPage(page, { x: 60, y: 620, width: 200, height: 20 });
+
+  fs.writeFileSync(path.join(templatesDir, 'fillable.pdf'), await pdfDoc.save());
+  fs.writeFileSync(path.join(templatesDir, 'pan_card_application.json'), JSON.stringify({
+    file: 'fillable.pdf',
+    mode: 'acroform',
+    fields: {
+      applicant_category: { name: 'Category', values: { Individual: 'P', Company: 'C' } },
+      full_name: 'ApplicantName',
+      id_proof: 'IdProof'
+    }
+  }));
+});
+
+test.after(() => {
+  delete process.env.PDF_TEMPLATES_DIR;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.rmSync(templatesDir, { recursive: true, force: true });
+});
+
+const PAN_DATA = {
+  applicant_category: 'Individual',
+  full_name: 'Ravi Kumar',
+  father_name: 'Suresh Kumar',
+  date_of_birth: '01/02/1990',
+  mobile_number: '9876543210',
+  email_address: 'ravi@example.com',
+  address: '12 MG Road, Bengaluru 560001',
+  id_proof: 'Passport',
+  address_proof: 'Water Bill',
+  pan_card_delivery: 'Physical PAN card to an Indian address'
+};
+
+test('loads a mapping with its PDF, and ignores forms without one', async () => {
+  const template = await loadTemplate('pan_card_application');
+
+  assert.equal(template.mode, 'acroform');
+  assert.equal(template.pdfPath, path.join(templatesDir, 'fillable.pdf'));
+  assert.equal(await loadTemplate('voter_id'), null);
+});
+
+test('fills and flattens the AcroForm template and adds the assessment page', async () => {
+  const outputPath = path.join(outputDir, 'pan.pdf');
+  const confirmedAt = new Date().toISOString();
+
+  const result = await generateFormPDF('pan_card_application', PAN_DATA, VERIFIED_GOVERNMENT_FORMS.pan_card_application, outputPath, { confirmedAt });
+
+  assert.equal(result.layout, 'acroform');
+  const bytes = fs.readFileSync(outputPath);
+  const document = await PDFDocument.load(bytes);
+  assert.equal(document.getPageCount(), 2);
+  assert.equal(document.getForm().getFields().length, 0);
+
+  const { text } = await pdfParse(bytes);
+  assert.match(text, /Ravi Kumar/);
+  assert.match(text, /Processing Fee: Rs\. 110/);
+  assert.match(text, /Processing Time:/);
+  assert.match(text, /reviewed and confirmed by the applicant/);
+});
+
+test('falls back to the summary when the template has no option for an answer', async () => {
+  const outputPath = path.join(outputDir, 'pan-voter-id.pdf');
+
+  const result = await generateFormPDF('pan_card_application', { ...PAN_DATA, id_proof: 'Voter ID' }, VERIFIED_GOVERNMENT_FORMS.pan_card_application, outputPath);
+
+  assert.equal(result.layout, 'summary');
+  const { text } = await pdfParse(fs.readFileSync(outputPath));
+  assert.match(text, /Voter ID/);
+});
+
+test('overlay templates print the fee and eligibility of the answers', async () => {
+  fs.writeFileSync(path.join(templatesDir, 'fssai_food_license.json'), JSON.stringify({
+    file: 'fillable.pdf',
+    mode: 'overlay',
+    fields: { business_name: { page: 0, x: 60, y: 100, size: 10 } }
+  }));
+
+  const outputPath = path.join(outputDir, 'fssai.pdf');
+  const result = await generateFormPDF('fssai_food_license', {
+    license_type: 'Basic Registration (<₹12 lakh turnover)',
+    business_name: 'Anna Foods',
+    annual_turnover: 1500000
+  }, VERIFIED_GOVERNMENT_FORMS.fssai_food_license, outputPath);
+
+  assert.equal(result.layout, 'overlay');
+  const { text } = await pdfParse(fs.readFileSync(outputPath));
+  assert.match(text, /Anna Foods/);
+  assert.match(text, /Eligibility: Not eligible/);
+});
+
+test('forms without a template use the summary layout', async () => {
+  const outputPath = path.join(outputDir, 'voter.pdf');
+
+  const result = await generateFormPDF('voter_id', { full_name: 'Ravi Kumar' }, VERIFIED_GOVERNMENT_FORMS.voter_id, outputPath);
+
+  assert.equal(result.layout, 'summary');
+  assert.ok(fs.statSync(outputPath).size > 0);
+});
@@ -0,0 +1,72 @@
+// privacy.test.js - Redaction of logged and traced messages
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { processUserMessage } = require('../services/aiService');
+const { LangChainSession } = require('../services/sessionService');
+const { REDACTED, redactMessage, redactText, redactDeep, maskFormData } = require('../services/privacy');
+
+/**
+ * Send messages in turn, returning what would be logged for each
+ */
+async function logged(session, messages) {
+  const lines = [];
+  for (const message of messages) {
+    lines.push(redactMessage(session, message));
+    await processUserMessage(message, session);
+  }
+  return lines;
+}
+
+test('answers to sensitive questions are redacted, other answers are kept', async () => {
+  const session = new LangChainSession();
+
+  const lines = await logged(session, ['I need a PAN card', 'Individual', 'Ravi Kumar', 'Mohan Kumar', '12/03/1990', '9876543210', 'ravi@example.com']);
+
+  assert.deepEqual(lines, ['I need a PAN card', 'Individual', 'Ravi Kumar', 'Mohan Kumar', REDACTED, REDACTED, 'ravi@example.com']);
+});
+
+test('several answers in one message are redacted while a sensitive field is unanswered', async () => {
+  const session = new LangChainSession();
+
+  const lines = await logged(session, ['I need a PAN card', 'Individual', "I'm Ravi Kumar, born 12/03/1990, mobile 9876543210", 'yes']);
+
+  assert.deepEqual(lines.slice(2), [REDACTED, 'yes']);
+});
+
+test('review corrections and edit commands lose their sensitive values', async () => {
+  const session = new LangChainSession();
+  await logged(session, ['I need a PAN card', 'Individual', 'Ravi Kumar', 'Mohan Kumar', '12/03/1990', '9876543210',
+    'ravi@example.com', '12 MG Road, Bengaluru 560001', 'Aadhaar Card', 'Aadhaar Card', 'e-PAN only']);
+  assert.equal(session.state, 'REVIEW');
+
+  const lines = await logged(session, [
+    'my date of birth should be 01/01/1991',
+    'no',
+    'change my date of birth to 02/02/1992',
+    'change email to r@example.com',
+    'confirm'
+  ]);
+
+  assert.deepEqual(lines, [REDACTED, 'no', `change my date of birth to ${REDACTED}`, 'change email to r@example.com', 'confirm']);
+});
+
+test('identifiers are redacted from free text and nested trace data', () => {
+  assert.equal(redactText('PAN ABCPE1234F, Aadhaar 2345 6789 0124'), `PAN ${REDACTED}, Aadhaar ${REDACTED}`);
+  assert.deepEqual(
+    redactDeep({ prompt: 'born on 12/03/1990 in Pune', values: ['Ravi Kumar'] }, ['Ravi Kumar']),
+    { prompt: `born on ${REDACTED} in Pune`, values: [REDACTED] }
+  );
+});
+
+test('sensitive answers are masked in responses', async () => {
+  const session = new LangChainSession();
+  await logged(session, ['I need a PAN card', 'Individual', 'Ravi Kumar', 'Mohan Kumar', '12/03/1990']);
+
+  const masked = maskFormData(session.verifiedFormStructure, session.formData);
+
+  assert.equal(masked.full_name, 'Ravi Kumar');
+  assert.notEqual(masked.date_of_birth, '12/03/1990');
+});
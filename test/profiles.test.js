@@ -0,0 +1,99 @@
+// profiles.test.js - Saving answers to a profile with consent and prefilling later forms
+process.env.LLM_PROVIDER = 'fake';
+process.env.SESSION_STORE = 'memory';
+process.env.PROFILE_STORE = 'memory';
+process.env.DATA_ENCRYPTION_KEY = 'test-encryption-key';
+process.env.USER_API_KEYS = 'alice:key-alice-123,bob:key-bob-456,carol:key-carol-789';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestServer } = require('./testServer');
+
+const ALICE = 'key-alice-123';
+const BOB = 'key-bob-456';
+const CAROL = 'key-carol-789';
+
+const PAN_ANSWERS = [
+  'Individual',
+  'Ravi Kumar',
+  'Mohan Kumar',
+  '12/03/1990',
+  '9876543210',
+  'ravi@example.com',
+  '12 MG Road, Bengaluru 560001',
+  'Aadhaar Card',
+  'Aadhaar Card',
+  'Physical PAN card to an Indian address',
+  'confirm'
+];
+
+let api;
+
+test.before(async () => {
+  api = await startTestServer();
+});
+
+test.after(() => api.close());
+
+/**
+ * Send messages to one chat session in turn
+ * @returns {Promise<Object>} - { sessionId, response } after the last message
+ */
+const chat = async (key, messages, sessionId) => {
+  let body;
+  for (const message of messages) {
+    ({ body } = await api.request('POST', '/chat', { key, body: { message, sessionId: body?.sessionId || sessionId } }));
+  }
+  return { sessionId: body.sessionId, response: body.response };
+};
+
+test('offers to save new answers and saves them only with consent', async () => {
+  const { sessionId, response } = await chat(ALICE, ['I need a PAN card', ...PAN_ANSWERS]);
+  assert.equal(response.intent, 'form_complete');
+  assert.ok(response.profileUpdate.fields.includes('date_of_birth'));
+
+  assert.equal((await api.request('POST', `/session/${sessionId}/profile`, { key: ALICE, body: { consent: 'yes' } })).status, 400);
+  assert.equal((await api.request('POST', `/session/${sessionId}/profile`, { key: BOB, body: { consent: true } })).status, 403);
+
+  const { status, body } = await api.request('POST', `/session/${sessionId}/profile`, { key: ALICE, body: { consent: true } });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.saved.sort(), ['address', 'date_of_birth', 'email_address', 'father_name', 'full_name', 'mobile_number']);
+  const profile = await api.request('GET', '/profiles/alice', { key: ALICE });
+  assert.equal(profile.body.profile.values.full_name.value, 'Ravi Kumar');
+  assert.equal(profile.body.profile.values.full_name.formId, 'pan_card_application');
+  assert.notEqual(profile.body.profile.values.date_of_birth.value, '12/03/1990');
+});
+
+test('prefills a later form from the profile for the user to confirm', async () => {
+  const { sessionId, response } = await chat(ALICE, ['I need a voter ID']);
+  assert.equal(response.suggestion.source, 'profile');
+  assert.equal(response.suggestion.value, 'Ravi Kumar');
+
+  const confirmed = await chat(ALICE, ['yes'], sessionId);
+  assert.equal(confirmed.response.suggestion.value, 'Mohan Kumar');
+
+  const declined = await chat(ALICE, ['no'], sessionId);
+  assert.equal(declined.response.suggestion, undefined);
+});
+
+test('declining keeps the profile empty', async () => {
+  const { sessionId } = await chat(CAROL, ['I need a PAN card', ...PAN_ANSWERS]);
+
+  const { body } = await api.request('POST', `/session/${sessionId}/profile`, { key: CAROL, body: { consent: false } });
+
+  assert.deepEqual(body.saved, []);
+  assert.equal(body.skipped.length, 6);
+  assert.equal((await api.request('GET', '/profiles/carol', { key: CAROL })).status, 404);
+  assert.equal((await chat(CAROL, ['I need a voter ID'])).response.suggestion, undefined);
+});
+
+test('profiles can only be read and deleted by their owner', async () => {
+  assert.equal((await api.request('GET', '/profiles/alice', { key: BOB })).status, 403);
+  assert.equal((await api.request('DELETE', '/profiles/alice', { key: BOB })).status, 403);
+  assert.equal((await api.request('GET', '/profiles/alice')).status, 401);
+
+  assert.equal((await api.request('DELETE', '/profiles/alice', { key: ALICE })).status, 200);
+  assert.equal((await api.request('GET', '/profiles/alice', { key: ALICE })).status, 404);
+});
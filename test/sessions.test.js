@@ -0,0 +1,88 @@
+// sessions.test.js - Session stores, optimistic saves and encryption at rest
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intelliform-sessions-'));
+process.env.LLM_PROVIDER = 'fake';
+process.env.SESSION_STORE = 'file';
+process.env.SESSION_STORE_DIR = sessionsDir;
+process.env.DATA_ENCRYPTION_KEY = 'test-encryption-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemorySessionStore, FileSessionStore } = require('../services/sessionStore');
+const { getSession, findSession, saveSession, withSessionLock, cleanupSessions, SessionConflictError } = require('../services/sessionService');
+const { processUserMessage } = require('../services/aiService');
+
+test.after(() => fs.rmSync(sessionsDir, { recursive: true, force: true }));
+
+for (const [name, createStore] of [
+  ['memory', () => new MemorySessionStore()],
+  ['file', () => new FileSessionStore({ directory: fs.mkdtempSync(path.join(sessionsDir, 'store-')) })]
+]) {
+  test(`${name} store only replaces the revision it was read at`, async () => {
+    const store = createStore();
+
+    assert.equal(await store.replace('a', { revision: 1 }, 0), true);
+    assert.equal(await store.replace('a', { revision: 2 }, 0), false);
+    assert.equal(await store.replace('a', { revision: 2 }, 1), true);
+    assert.equal((await store.get('a')).revision, 2);
+  });
+
+  test(`${name} store keeps snapshots with a future keepUntil past maxAge`, async () => {
+    const store = createStore();
+    const longAgo = new Date(Date.now() - 60000).toISOString();
+    await store.set('idle', { lastActivity: longAgo });
+    await store.set('draft', { lastActivity: longAgo, keepUntil: new Date(Date.now() + 60000).toISOString() });
+
+    assert.equal(await store.cleanup(1000), 1);
+    assert.deepEqual(await store.list(), ['draft']);
+  });
+}
+
+test('saving a session changed elsewhere since it was loaded is a conflict', async () => {
+  const session = await getSession();
+  await saveSession(session);
+  const otherCopy = await findSession(session.id);
+
+  await saveSession(session);
+
+  await assert.rejects(saveSession(otherCopy), (error) => error instanceof SessionConflictError && error.status === 409);
+});
+
+test('sensitive answers are encrypted in the stored session and restored on load', async () => {
+  const session = await getSession();
+  for (const message of ['I need a PAN card', 'Individual', 'Ravi Kumar', 'Mohan Kumar', '12/03/1990']) {
+    await processUserMessage(message, session);
+  }
+  await saveSession(session);
+
+  const stored = fs.readFileSync(path.join(sessionsDir, `${session.id}.json`), 'utf8');
+  assert.ok(!stored.includes('12/03/1990'));
+  assert.equal((await findSession(session.id)).formData.date_of_birth, '12/03/1990');
+});
+
+test('updates of one session run one after another', async () => {
+  const order = [];
+  const slow = withSessionLock('locked', async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    order.push('first');
+  });
+  const fast = withSessionLock('locked', async () => order.push('second'));
+
+  await Promise.all([slow, fast]);
+
+  assert.deepEqual(order, ['first', 'second']);
+});
+
+test('expired sessions are removed', async () => {
+  const session = await getSession();
+  session.lastActivity = new Date(Date.now() - 60000);
+  await saveSession(session);
+
+  await cleanupSessions(1000);
+
+  assert.equal(await findSession(session.id), null);
+});
@@ -0,0 +1,46 @@
+// testServer.js - Run the API on a free port for route tests (set the environment before requiring)
+const app = require('../server');
+
+// Route handlers log every request; write those lines to stderr, as the test runner misreads
+// console output that lands in the same stdout chunk as its own report
+console.log = console.error;
+
+/**
+ * Start the app on an ephemeral port
+ * @returns {Promise<Object>} - { request, close }
+ */
+async function startTestServer() {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  /**
+   * Call an API route as a user (API `key` or bearer `token`); FormData bodies are sent as multipart
+   * @returns {Promise<Object>} - { status, headers, body }
+   */
+  const request = async (method, route, { key, token, body } = {}) => {
+    const headers = {};
+    if (key) headers['X-API-Key'] = key;
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers,
+      body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+}
+
+module.exports = { startTestServer };
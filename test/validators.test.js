@@ -0,0 +1,54 @@
+// validators.test.js - Indian identifier, date and amount validators
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFieldInput, parseCurrency, formatCurrency } = require('../services/validators');
+
+const check = (type, input, extra = {}) => validateFieldInput({ type, required: true, ...extra }, input);
+
+test('PAN is normalized and checked against the expected holder type', () => {
+  assert.deepEqual(check('pan', 'abcpe 1234f'), { valid: true, value: 'ABCPE1234F', error: null });
+  assert.equal(check('pan', 'ABCPE1234').valid, false);
+  assert.match(check('pan', 'ABCPE1234F', { pan_holder_types: ['C'] }).error, /Company PAN/);
+});
+
+test('Aadhaar needs 12 digits and a valid Verhoeff check digit', () => {
+  assert.deepEqual(check('aadhaar', '2345 6789 0124'), { valid: true, value: '234567890124', error: null });
+  assert.equal(check('aadhaar', '234567890123').valid, false);
+  assert.equal(check('aadhaar', '134567890124').valid, false);
+});
+
+test('GSTIN needs a state code, an embedded PAN and the check character', () => {
+  assert.equal(check('gstin', '27aapfu0939f1zv').value, '27AAPFU0939F1ZV');
+  assert.equal(check('gstin', '27AAPFU0939F1ZV').valid, true);
+  assert.equal(check('gstin', '27AAPFU0939F1ZA').valid, false);
+  assert.equal(check('gstin', '45AAPFU0939F1ZV').valid, false);
+});
+
+test('PIN code, IFSC and mobile numbers', () => {
+  assert.equal(check('pincode', '560 001').value, '560001');
+  assert.equal(check('pincode', '060001').valid, false);
+  assert.equal(check('ifsc', 'sbin0001234').value, 'SBIN0001234');
+  assert.equal(check('ifsc', 'SBIN1001234').valid, false);
+  assert.equal(check('phone', '+91 98765 43210').value, '9876543210');
+  assert.equal(check('phone', '5876543210').valid, false);
+});
+
+test('dates must exist and respect age limits', () => {
+  assert.equal(check('date', '1-3-2001').value, '01/03/2001');
+  assert.equal(check('date', '31/02/2000').valid, false);
+  assert.match(check('date', '01/01/2020', { min_age: 18 }).error, /at least 18/);
+});
+
+test('amounts accept Indian notation', () => {
+  assert.equal(check('currency', '15 lakh').value, 1500000);
+  assert.equal(parseCurrency('₹15,00,000'), 1500000);
+  assert.equal(parseCurrency('2.5 crore'), 25000000);
+  assert.equal(formatCurrency(1234567), '₹12,34,567');
+  assert.match(check('currency', '500', { min: 1000 }).error, /at least ₹1,000/);
+});
+
+test('optional fields accept an empty answer', () => {
+  assert.equal(validateFieldInput({ type: 'pan', required: false }, '').valid, true);
+  assert.equal(check('text', '  ').valid, false);
+});